@@ -1,5 +1,5 @@
 import React, { useState, useMemo, useEffect, useRef } from 'react';
-import { AreaChart, Area, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer } from 'recharts';
+import { AreaChart, Area, BarChart, Bar, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer, ReferenceLine } from 'recharts';
 
 // ============================================================================
 // TYPES
@@ -7,40 +7,145 @@ import { AreaChart, Area, XAxis, YAxis, CartesianGrid, Tooltip, Legend, Responsi
 
 interface PropertyInputs {
   // Property Details
+  usageMode: 'rental' | 'ownerOccupied'; // buy-to-let, or a home to live in compared with renting
   purchasePrice: number;
   notaryAndLandRegistryFees: number; // % of purchase price (typically 1.5%)
   realEstateTransferTax: number; // % of purchase price (varies by state: 3.5-6.5%)
   brokerCommission: number; // % of purchase price
-  renovationCosts: number;
+  renovationCosts: number; // incl. VAT, spent right after purchase
+  buildingShareMethod: 'share' | 'landValue';
+  buildingSharePercent: number; // % of purchase price attributable to the building ('share')
+  landArea: number; // m² of land attributable to the property ('landValue')
+  landValuePerSqm: number; // Bodenrichtwert €/m² ('landValue')
+  livingArea: number; // m²
   
   // Financing
   equity: number;
   interestRate: number; // % p.a.
   repaymentRate: number; // % p.a.
+  fixedRatePeriod: number; // years (Zinsbindung)
+  followUpInterestRate: number; // % p.a. after the fixed-rate period
+  followUpRepaymentRate: number | null; // % p.a. after the fixed-rate period (null = keep initial repayment rate)
+  loanTranches: LoanTranche[]; // additional loans (KfW, Bauspar, ...); the bank loan above covers the remainder
+  specialRepaymentMode: 'none' | 'fixed' | 'percent' | 'sweep'; // Sondertilgung on the bank loan
+  specialRepaymentAmount: number; // € per year ('fixed')
+  specialRepaymentPercent: number; // % of the original bank loan per year ('percent')
+  specialRepaymentLimit: number; // contractual maximum, % of the original bank loan per year
   
   // Income
   monthlyRent: number;
+  rentRegime: 'free' | 'staffel' | 'index';
+  rentCapLimit: number; // Kappungsgrenze, % within three years (20, or 15 in tight markets)
+  localComparativeRent: number | null; // Mietspiegel €/m² per month (null = no ceiling)
+  localComparativeRentIncreaseRate: number; // % p.a.
+  rentSteps: RentStep[]; // Staffelmiete schedule
+  cpiPath: number[]; // Indexmiete: CPI change % p.a. per year, last value repeats
   
-  // Operating Costs
+  // Operating Costs (landlord's own costs outside the Hausgeld)
   monthlyPropertyManagement: number;
   monthlyMaintenance: number;
   monthlyInsurance: number;
   monthlyOtherCosts: number;
   
+  // Hausgeld (condominium fee per Wirtschaftsplan)
+  monthlyHausgeld: number; // total incl. recoverable costs and reserve
+  monthlyRecoverableCosts: number; // umlagefähig, passed on to the tenant with the Nebenkosten
+  monthlyMaintenanceReserve: number; // Instandhaltungsrücklage contribution
+  maintenanceReserveSpendingRate: number; // % of the reserve balance the WEG spends per year
+  capexEvents: CapExEvent[]; // roof, heating, windows, ...
+  
   // Growth Rates
   rentIncreaseRate: number; // % p.a.
   propertyValueIncreaseRate: number; // % p.a.
   operatingCostsIncreaseRate: number; // % p.a.
+  assumptionPaths: Partial<Record<PathVariable, AssumptionPath>>; // year-by-year paths; the single rate above is year 1
+  inflationRate: number; // % p.a. general price inflation (real view, real IRR)
+  discountRate: number; // % p.a. for NPV
   
   // Tax Information
   annualIncome: number;
   maritalStatus: 'single' | 'married';
-  marginalTaxRate: number; // %
   churchTaxLiability: boolean;
   
+  // Ownership Structure
+  ownershipStructure: 'private' | 'gmbh'; // private income tax or vermögensverwaltende GmbH
+  tradeTaxMultiplier: number; // Gewerbesteuer-Hebesatz, %
+  extendedTradeTaxReduction: boolean; // erweiterte Kürzung (§9 Nr. 1 Satz 2 GewStG)
+  companyAnnualCosts: number; // € p.a. accounting, annual accounts, IHK (today's prices)
+  distributionRate: number; // % of each year's positive company cash flow paid out as dividend
+  
+  // ETF Benchmark (opportunity cost of the equity)
+  etfReturn: number; // % p.a. gross return before costs
+  etfTer: number; // % p.a. total expense ratio
+  etfPartialExemption: number; // Teilfreistellung, % of fund income tax-free (30 for equity funds)
+  etfBaseRate: number; // Basiszins for the Vorabpauschale, %
+  
+  // Household Budget (Haushaltsrechnung)
+  monthlyNetIncome: number; // household net income, € per month
+  monthlyLivingCosts: number; // € per month, without the current rent if the buyer moves in
+  monthlyObligations: number; // existing loan rates, leasing, maintenance payments, € per month
+  bankRentHaircut: number; // % of the new rent the bank counts as income (typically 70-80)
+  
+  // Exit
+  exitYear: number | null; // year of sale (null = hold; horizons assume a sale at the horizon)
+  saleBrokerCommission: number; // % of sale price
+  saleOtherCosts: number; // % of sale price (notary, land charge deletion)
+  
   // Additional Factors
-  vacancyRate: number; // % annual rent loss
-  depreciationRate: number; // % p.a. (typically 2% for buildings, 2.5% for buildings before 1925)
+  vacancyModel: 'rate' | 'turnover';
+  vacancyRate: number; // % annual rent loss ('rate')
+  averageTenancyYears: number; // years per tenancy ('turnover')
+  vacancyMonthsPerTurnover: number; // months empty between two tenancies
+  reLettingBrokerMonths: number; // broker fee in monthly cold rents (Bestellerprinzip: landlord pays)
+  cosmeticRenovationCosts: number; // € per turnover in today's prices (Schönheitsreparaturen)
+  rentControlOnReletting: boolean; // Mietpreisbremse (§556d BGB) on new leases
+  depreciationRate: number; // % p.a. linear rate, also sets the useful life (2%, 2.5% before 1925, 3% from 2023)
+  depreciationRegime: 'linear' | 'degressive' | 'special7b' | 'listed';
+}
+
+interface LoanTranche {
+  id: number;
+  name: string;
+  type: 'annuity' | 'kfw' | 'bauspar';
+  amount: number;
+  interestRate: number; // % p.a.
+  repaymentRate: number; // % p.a. (anfängliche Tilgung)
+  fixedRatePeriod: number; // years (Zinsbindung)
+  followUpInterestRate: number; // % p.a. after the fixed-rate period
+  followUpRepaymentRate: number | null; // null = keep initial repayment rate
+  gracePeriodYears: number; // tilgungsfreie Anlaufjahre (interest only)
+  repaymentGrant: number; // % of amount (KfW Tilgungszuschuss)
+  termYears: number | null; // fixed term (e.g. KfW); null = term follows from the repayment rate
+  ratePath?: number[]; // bank loan: interest rate per year from an assumption path, last value holds
+}
+
+// Growth and interest inputs that can follow a year-by-year path
+type PathVariable = 'rentIncreaseRate' | 'propertyValueIncreaseRate' | 'operatingCostsIncreaseRate' | 'interestRate';
+
+interface AssumptionPath {
+  shape: 'piecewise' | 'glide';
+  steps: PathStep[]; // 'piecewise': each rate applies from its year on, the base rate before the first step
+  targetRate: number; // 'glide': reached in a straight line from the base rate ...
+  targetYear: number; // ... in this projection year, then held
+}
+
+interface PathStep {
+  year: number; // projection year from which the rate applies
+  rate: number; // % p.a.
+}
+
+interface RentStep {
+  year: number; // projection year from which the step applies
+  monthlyRent: number;
+}
+
+interface CapExEvent {
+  id: number;
+  name: string;
+  year: number; // projection year in which the work is paid
+  amount: number; // € incl. VAT, nominal
+  treatment: 'expense' | 'capitalize' | 'spread';
+  spreadYears: number; // 2-5 ('spread', §82b EStDV)
 }
 
 interface SensitivityVariable {
@@ -51,6 +156,7 @@ interface SensitivityVariable {
   step: number;
   unit: string;
   currentValue: number;
+  zeroBase?: 'fallback' | 'flat'; // ± % range around a current value of 0: catalogue range used, or none available
 }
 
 interface Scenario {
@@ -66,52 +172,147 @@ interface YearlyProjection {
   // Property Value
   propertyValue: number;
   
-  // Loan
+  // Loan (sum of all tranches)
   outstandingLoan: number;
   annualLoanPayment: number;
   interestPaid: number;
   principalRepaid: number;
+  specialRepayment: number; // Sondertilgung at year end
+  loanTranches: Array<{ name: string; outstandingLoan: number; interestPaid: number; principalRepaid: number }>;
   
   // Income
   grossRent: number;
+  rentCapBinding: 'kappungsgrenze' | 'mietspiegel' | 'mietpreisbremse' | null; // cap that limited this year's rent
+  tenantTurnover: boolean; // a new tenancy starts this year (turnover model)
   effectiveRent: number; // after vacancy
   
   // Operating Costs
-  totalOperatingCosts: number;
+  totalOperatingCosts: number; // cash paid by the landlord, incl. reserve contributions and re-letting costs
+  reLettingCosts: number; // broker and cosmetic renovation at a turnover
+  deductibleOperatingCosts: number; // reserve counts only when spent
+  maintenanceReserveContribution: number;
+  maintenanceReserveSpent: number;
+  maintenanceReserveBalance: number; // own share of the WEG reserve at year end
+  capitalExpenditure: number; // CapEx events paid this year
+  capexDeduction: number; // CapEx deducted as maintenance this year (incl. §82b instalments)
+  capexReclassified: number; // maintenance CapEx paid this year and capitalized under the 15% rule
   
   // Depreciation
   depreciation: number;
   
   // Taxable Income
+  renovationDeduction: number; // renovation deducted as maintenance (Erhaltungsaufwand)
   taxableIncome: number;
+  incomeTaxSavings: number; // Einkommensteuer delta (negative = additional tax)
+  solidarityTaxSavings: number; // Solidaritätszuschlag delta
+  churchTaxSavings: number; // Kirchensteuer delta
   taxSavings: number; // or tax liability if positive taxable income
+  lossCarryforward: number; // private loss not yet offset at year end (Verlustvortrag, §10d EStG)
+  
+  // Company (GmbH ownership)
+  corporateTax: number; // Körperschaftsteuer incl. Soli
+  tradeTax: number; // Gewerbesteuer
+  dividendTax: number; // Abgeltungsteuer on this year's distribution
+  retainedCash: number; // cash kept in the company at year end
   
   // Cash Flow
   grossCashFlow: number;
-  netCashFlow: number; // after tax
+  netCashFlow: number; // after tax (to the shareholder under GmbH ownership)
+  
+  // Sale (if sold at the end of this year; realized proceeds after the exit)
+  propertySold: boolean; // sold at the end of an earlier year
+  saleValue: number;
+  sellingCosts: number;
+  capitalGain: number; // after selling costs, over the cost basis less depreciation
+  speculationTax: number; // §23 EStG
+  saleCompanyTax: number; // GmbH: tax on the gain and on the liquidation payout
+  saleProceeds: number; // after selling costs, loan repayment and tax
+  
+  // ETF benchmark (equity and negative net cash flows invested in an ETF instead)
+  benchmarkContribution: number; // negative net cash flow invested at year end
+  benchmarkTax: number; // Abgeltungsteuer on the Vorabpauschale
+  benchmarkValue: number; // depot value after the tax on a sale at year end
+  benchmarkNetWorth: number; // benchmarkValue less the contributions, comparable to netWorth
+  
+  // Lender and return ratios
+  dscr: number | null; // net operating income / debt service (null without debt service)
+  ltv: number; // % outstanding loan / property value
+  cashOnCash: number; // % net cash flow / equity
   
   // Equity
   equity: number;
-  netWorth: number;
+  netWorth: number; // sale proceeds + cumulative cash flow
   
   // Cumulative
   cumulativeCashFlow: number;
   cumulativeTaxSavings: number;
 }
 
+interface LoanScheduleEntry {
+  month: number;
+  date: string;
+  interestRate: number; // % p.a. applied in this month
+  openingBalance: number;
+  payment: number;
+  interest: number;
+  principal: number;
+  grant: number; // Tilgungszuschuss credited to the balance
+  specialRepayment: number; // Sondertilgung, paid at year end
+  closingBalance: number;
+}
+
+interface TrancheSchedule {
+  tranche: LoanTranche;
+  schedule: LoanScheduleEntry[];
+}
+
 interface ProjectionResults {
   yearlyData: YearlyProjection[];
+  loanSchedule: LoanScheduleEntry[]; // all tranches combined
+  trancheSchedules: TrancheSchedule[];
   summary: {
     totalInvestment: number;
-    irr10Year: number;
-    irr20Year: number;
-    irr40Year: number;
+    acquisitionCosts: number;
+    depreciationBasis: DepreciationBasis;
+    loanTermMonths: number | null; // null if the loan is never repaid
+    loanPayoffDate: string | null;
+    totalInterestPaid: number; // over the whole loan term
+    totalSpecialRepayments: number; // over the whole loan term
+    exitYear: number | null;
+    exitSaleProceeds: number;
+    exitSpeculationTax: number;
+    exitCompanyTax: number;
+    irr10Year: IRRResult;
+    irr20Year: IRRResult;
+    irr40Year: IRRResult;
+    xirr10Year: IRRResult; // on the actual dates of the cash flows
+    xirr20Year: IRRResult;
+    xirr40Year: IRRResult;
+    realIrr10Year: number | null; // inflation-adjusted (Fisher)
+    realIrr20Year: number | null;
+    realIrr40Year: number | null;
+    npv10Year: number; // at the discount rate, net of the equity invested
+    npv20Year: number;
+    npv40Year: number;
+    equityMultiple10Year: number; // distributions / contributions
+    equityMultiple20Year: number;
+    equityMultiple40Year: number;
+    minDscr: number | null; // lowest DSCR over the projection (null without debt service)
+    initialLtv: number; // % loan / purchase price
+    firstYearCashOnCash: number; // %
+    grossRentalYield: number; // Bruttomietrendite, %
+    purchasePriceFactor: number; // Kaufpreisfaktor (price / annual rent)
+    paybackYear: number | null; // first year the equity is returned in cash (null if not within the projection)
     totalCashFlow10Year: number;
     totalCashFlow20Year: number;
     totalCashFlow40Year: number;
     netWorth10Year: number;
     netWorth20Year: number;
     netWorth40Year: number;
+    benchmarkNetWorth10Year: number; // ETF benchmark on the same basis as netWorth
+    benchmarkNetWorth20Year: number;
+    benchmarkNetWorth40Year: number;
+    breakEvenYear: number | null; // first year from which net worth stays ahead of the benchmark (null if never)
     averageAnnualCashFlow: number;
     roiAtYear10: number;
     roiAtYear20: number;
@@ -155,12 +356,12 @@ function calculateGermanTax(
     incomeTax = incomeTax * 2; // Splitting advantage
   }
   
-  // Solidarity surcharge (Solidaritätszuschlag) - 5.5% of income tax
-  // Only applies if income tax exceeds certain thresholds
+  // Solidarity surcharge (Solidaritätszuschlag) - 5.5% of income tax above the exemption threshold (§3 SolZG).
+  // In the taper zone (Milderungszone) it is limited to 11.9% of the income tax above the threshold (§4 SolZG)
   let solidarityTax = 0;
-  const solidarityThreshold = maritalStatus === 'married' ? 32734 : 16369;
+  const solidarityThreshold = maritalStatus === 'married' ? 36260 : 18130;
   if (incomeTax > solidarityThreshold) {
-    solidarityTax = (incomeTax - solidarityThreshold) * 0.055 * 1.2; // Simplified calculation
+    solidarityTax = Math.min(incomeTax * 0.055, (incomeTax - solidarityThreshold) * 0.119);
   }
   
   // Church tax (Kirchensteuer) - typically 8-9% of income tax (8% in most states)
@@ -174,1307 +375,5526 @@ function calculateGermanTax(
   };
 }
 
+// Marginal rate including Soli and church tax, measured over the next 100 € of income
+function calculateMarginalTaxRate(
+  taxableIncome: number,
+  maritalStatus: 'single' | 'married',
+  churchTax: boolean
+): number {
+  const current = calculateGermanTax(taxableIncome, maritalStatus, churchTax).totalTax;
+  const next = calculateGermanTax(taxableIncome + 100, maritalStatus, churchTax).totalTax;
+  return next - current;
+}
+
 // ============================================================================
-// PROJECTION CALCULATOR
+// ASSUMPTION PATHS
 // ============================================================================
 
-function calculateProjections(inputs: PropertyInputs, years: number = 40): ProjectionResults {
-  // Calculate total investment
-  const acquisitionCosts = inputs.purchasePrice * (
-    1 + 
-    inputs.notaryAndLandRegistryFees / 100 + 
-    inputs.realEstateTransferTax / 100 + 
-    inputs.brokerCommission / 100
-  ) + inputs.renovationCosts;
-  
-  const loanAmount = acquisitionCosts - inputs.equity;
-  const totalInvestment = inputs.equity;
-  
-  // Get start date (1st of next month)
-  const today = new Date();
-  const startDate = new Date(today.getFullYear(), today.getMonth() + 1, 1);
-  
-  const yearlyData: YearlyProjection[] = [];
-  let cumulativeCashFlow = 0;
-  let cumulativeTaxSavings = 0;
+// Rate in each projection year (0-based) for a base rate and an optional path
+function resolvePathRates(baseRate: number, path: AssumptionPath | undefined, years: number): number[] {
+  return Array.from({ length: years }, (_, year) => {
+    if (!path) return baseRate;
+    if (path.shape === 'glide') {
+      const progress = path.targetYear <= 1 ? 1 : Math.min(1, year / (path.targetYear - 1));
+      return baseRate + (path.targetRate - baseRate) * progress;
+    }
+    const step = path.steps
+      .filter(s => s.year <= year + 1)
+      .reduce<PathStep | null>((latest, s) => latest === null || s.year >= latest.year ? s : latest, null);
+    return step ? step.rate : baseRate;
+  });
+}
+
+function resolveAssumptionPath(inputs: PropertyInputs, key: PathVariable, years: number): number[] {
+  return resolvePathRates(inputs[key], inputs.assumptionPaths[key], years);
+}
+
+const PATH_VARIABLES: PathVariable[] = ['rentIncreaseRate', 'propertyValueIncreaseRate', 'operatingCostsIncreaseRate', 'interestRate'];
+
+// Inputs with the values tested by sensitivity tools, scenarios and the solvers. A changed base rate shifts
+// its whole path by the same amount; otherwise absolute piecewise steps would hide the change after year 1.
+function withInputOverrides(inputs: PropertyInputs, overrides: Partial<PropertyInputs>): PropertyInputs {
+  const result: PropertyInputs = { ...inputs, ...overrides };
+  PATH_VARIABLES.forEach(key => {
+    const path = inputs.assumptionPaths[key];
+    const override = overrides[key];
+    if (!path || override === undefined || override === inputs[key]) return;
+    const shift = override - inputs[key];
+    result.assumptionPaths = {
+      ...result.assumptionPaths,
+      [key]: {
+        ...path,
+        steps: path.steps.map(step => ({ ...step, rate: step.rate + shift })),
+        targetRate: path.targetRate + shift
+      }
+    };
+  });
+  return result;
+}
+
+// Cumulative growth factor at the start of each projection year (index 0 = 1, one entry more than rates)
+function getGrowthIndex(rates: number[]): number[] {
+  const index = [1];
+  rates.forEach(rate => index.push(index[index.length - 1] * (1 + rate / 100)));
+  return index;
+}
+
+// ============================================================================
+// LOAN SCHEDULE
+// ============================================================================
+
+// Safety cap for loans whose payment never covers the interest
+const MAX_LOAN_MONTHS = 100 * 12;
+
+// Monthly annuity payment that repays the balance in the given number of months
+function annuityPayment(balance: number, annualRate: number, months: number): number {
+  const monthlyRate = annualRate / 100 / 12;
+  if (months <= 0) return balance;
+  if (monthlyRate === 0) return balance / months;
+  return balance * monthlyRate / (1 - Math.pow(1 + monthlyRate, -months));
+}
+
+// The bank loan from the main financing inputs covers whatever the other tranches leave open. Tranches beyond
+// the financing need are cut back, last tranche first, so no debt service is charged on proceeds that are never used
+function getLoanTranches(inputs: PropertyInputs, financingNeed: number): LoanTranche[] {
+  let remainingNeed = Math.max(0, financingNeed);
+  const otherTranches = inputs.loanTranches.map(t => {
+    const amount = Math.max(0, Math.min(t.amount, remainingNeed));
+    remainingNeed -= amount;
+    return amount === t.amount ? t : { ...t, amount };
+  });
+  const bankLoan: LoanTranche = {
+    id: 0,
+    name: 'Bank Loan',
+    type: 'annuity',
+    amount: remainingNeed,
+    interestRate: inputs.interestRate,
+    repaymentRate: inputs.repaymentRate,
+    fixedRatePeriod: inputs.fixedRatePeriod,
+    followUpInterestRate: inputs.followUpInterestRate,
+    followUpRepaymentRate: inputs.followUpRepaymentRate,
+    gracePeriodYears: 0,
+    repaymentGrant: 0,
+    termYears: null,
+    ratePath: inputs.assumptionPaths.interestRate
+      ? resolveAssumptionPath(inputs, 'interestRate', MAX_LOAN_MONTHS / 12)
+      : undefined
+  };
+  return [bankLoan, ...otherTranches];
+}
+
+interface LoanState {
+  tranche: LoanTranche;
+  balance: number;
+  interestRate: number;
+  monthlyPayment: number;
+  schedule: LoanScheduleEntry[];
+}
+
+function createLoanState(tranche: LoanTranche): LoanState {
+  return {
+    tranche,
+    balance: Math.max(0, tranche.amount),
+    interestRate: tranche.interestRate,
+    monthlyPayment: 0,
+    schedule: []
+  };
+}
+
+// Runs the monthly schedule until it covers `untilMonth` months or the loan is repaid
+function advanceLoan(state: LoanState, untilMonth: number, startDate: Date): void {
+  const { tranche } = state;
+  const graceMonths = Math.max(0, tranche.gracePeriodYears) * 12;
+  const termMonths = tranche.termYears ? tranche.termYears * 12 : null;
   
-  // Building value for depreciation (typically 80% of purchase price)
-  const buildingValue = inputs.purchasePrice * 0.8;
+  // Annuity from the current rate: over the remaining fixed term if there is one,
+  // otherwise set by interest plus repayment rate (anfängliche Tilgung)
+  const getMonthlyPayment = (month: number, repaymentRate: number) =>
+    termMonths !== null
+      ? annuityPayment(state.balance, state.interestRate, termMonths - month)
+      : state.balance * (state.interestRate + repaymentRate) / 100 / 12;
   
-  for (let year = 0; year < years; year++) {
-    const yearDate = new Date(startDate);
-    yearDate.setFullYear(yearDate.getFullYear() + year);
+  while (state.schedule.length < Math.min(untilMonth, MAX_LOAN_MONTHS) && state.balance > 0.005) {
+    const month = state.schedule.length;
+    const isAmortizationStart = month === graceMonths;
     
-    // Property value with appreciation
-    const propertyValue = inputs.purchasePrice * Math.pow(1 + inputs.propertyValueIncreaseRate / 100, year);
-    
-    // Rent with increases
-    const grossRent = inputs.monthlyRent * 12 * Math.pow(1 + inputs.rentIncreaseRate / 100, year);
-    const effectiveRent = grossRent * (1 - inputs.vacancyRate / 100);
+    // KfW repayment grant is credited when amortization starts
+    const grant = isAmortizationStart ? Math.min(state.balance, tranche.amount * tranche.repaymentGrant / 100) : 0;
+    state.balance -= grant;
     
-    // Operating costs with increases
-    const monthlyOperatingCosts = (
-      inputs.monthlyPropertyManagement +
-      inputs.monthlyMaintenance +
-      inputs.monthlyInsurance +
-      inputs.monthlyOtherCosts
-    );
-    const totalOperatingCosts = monthlyOperatingCosts * 12 * Math.pow(1 + inputs.operatingCostsIncreaseRate / 100, year);
-    
-    // Loan calculations (annuity loan)
-    const annualRate = inputs.interestRate / 100;
-    const annualRepaymentRate = inputs.repaymentRate / 100;
-    const annualPaymentRate = annualRate + annualRepaymentRate;
-    
-    // Outstanding loan at start of year
-    let outstandingLoan = loanAmount;
-    if (year > 0) {
-      // Calculate outstanding loan using annuity formula
-      const monthlyRate = annualPaymentRate / 12;
-      const monthsPassed = year * 12;
-      const totalMonths = 30 * 12; // Assume 30-year term
-      
-      if (monthsPassed < totalMonths) {
-        const monthlyPayment = loanAmount * monthlyRate / (1 - Math.pow(1 + monthlyRate, -totalMonths));
-        outstandingLoan = loanAmount * Math.pow(1 + monthlyRate, monthsPassed) - 
-                         monthlyPayment * (Math.pow(1 + monthlyRate, monthsPassed) - 1) / monthlyRate;
-      } else {
-        outstandingLoan = 0;
-      }
+    // Re-annuitize the remaining balance when the fixed-rate period (Zinsbindung) ends. A rate path
+    // replaces the follow-up rate: it sets the rate at the follow-up start and then changes it at the
+    // start of each year, with the payment kept and only the interest/principal split adjusted
+    const isFollowUpStart = tranche.fixedRatePeriod > 0 && month === tranche.fixedRatePeriod * 12;
+    const pathRate = tranche.ratePath && month % 12 === 0 && month >= tranche.fixedRatePeriod * 12
+      ? tranche.ratePath[Math.min(month / 12, tranche.ratePath.length - 1)]
+      : null;
+    if (isFollowUpStart) {
+      state.interestRate = tranche.followUpInterestRate;
+    }
+    if (pathRate !== null) {
+      state.interestRate = pathRate;
+    }
+    if (month >= graceMonths && (isAmortizationStart || isFollowUpStart)) {
+      const isFollowUp = tranche.fixedRatePeriod > 0 && month >= tranche.fixedRatePeriod * 12;
+      const repaymentRate = isFollowUp
+        ? tranche.followUpRepaymentRate ?? tranche.repaymentRate
+        : tranche.repaymentRate;
+      state.monthlyPayment = getMonthlyPayment(month, repaymentRate);
     }
     
-    outstandingLoan = Math.max(0, outstandingLoan);
+    const interest = state.balance * state.interestRate / 100 / 12;
+    // Interest only during the repayment-free start years (tilgungsfreie Anlaufjahre)
+    const payment = month < graceMonths ? interest : Math.min(state.monthlyPayment, state.balance + interest);
+    const closingBalance = Math.max(0, state.balance + interest - payment);
     
-    // Annual loan payment
-    const annualLoanPayment = outstandingLoan > 0 ? outstandingLoan * annualPaymentRate : 0;
-    const interestPaid = outstandingLoan * annualRate;
-    const principalRepaid = annualLoanPayment - interestPaid;
+    const date = new Date(startDate);
+    date.setMonth(date.getMonth() + month);
     
-    // Depreciation (Abschreibung)
-    const depreciation = buildingValue * (inputs.depreciationRate / 100);
+    state.schedule.push({
+      month: month + 1,
+      date: date.toISOString().split('T')[0],
+      interestRate: state.interestRate,
+      openingBalance: state.balance + grant,
+      payment,
+      interest,
+      principal: payment - interest,
+      grant,
+      specialRepayment: 0,
+      closingBalance
+    });
     
-    // Taxable rental income
-    const taxableRentalIncome = effectiveRent - totalOperatingCosts - interestPaid - depreciation;
+    state.balance = closingBalance;
+  }
+}
+
+// Sondertilgung: reduces the balance after the last scheduled month; the annuity stays unchanged,
+// so the term shortens. Returns the amount actually applied.
+function applySpecialRepayment(state: LoanState, amount: number): number {
+  const lastEntry = state.schedule[state.schedule.length - 1];
+  const applied = Math.min(Math.max(0, amount), state.balance);
+  if (!lastEntry || applied <= 0) return 0;
+  
+  lastEntry.specialRepayment += applied;
+  lastEntry.closingBalance -= applied;
+  state.balance -= applied;
+  return applied;
+}
+
+// Special repayment due at the end of a year under the plan; 'sweep' pays out the year's
+// positive net cash flow. Capped by the contractual annual limit.
+function getPlannedSpecialRepayment(inputs: PropertyInputs, bankLoanAmount: number, netCashFlow: number): number {
+  const limit = bankLoanAmount * inputs.specialRepaymentLimit / 100;
+  let amount = 0;
+  switch (inputs.specialRepaymentMode) {
+    case 'fixed': amount = inputs.specialRepaymentAmount; break;
+    case 'percent': amount = bankLoanAmount * inputs.specialRepaymentPercent / 100; break;
+    case 'sweep': amount = Math.max(0, netCashFlow); break;
+    case 'none': amount = 0; break;
+  }
+  return Math.min(amount, limit);
+}
+
+// Adds up the tranche schedules month by month; the interest rate becomes the balance-weighted average
+function combineLoanSchedules(trancheSchedules: TrancheSchedule[]): LoanScheduleEntry[] {
+  const months = Math.max(0, ...trancheSchedules.map(t => t.schedule.length));
+  const combined: LoanScheduleEntry[] = [];
+  
+  for (let i = 0; i < months; i++) {
+    const entries = trancheSchedules.map(t => t.schedule[i]).filter(Boolean);
+    const openingBalance = entries.reduce((sum, e) => sum + e.openingBalance, 0);
+    const interest = entries.reduce((sum, e) => sum + e.interest, 0);
+    const balanceAfterGrant = openingBalance - entries.reduce((sum, e) => sum + e.grant, 0);
     
-    // Tax impact
-    let taxSavings = 0;
-    if (taxableRentalIncome < 0) {
-      // Tax savings from rental loss
-      taxSavings = Math.abs(taxableRentalIncome) * (inputs.marginalTaxRate / 100);
-      if (inputs.churchTaxLiability) {
-        taxSavings *= 1.08; // Account for church tax reduction
-      }
+    combined.push({
+      month: i + 1,
+      date: entries[0].date,
+      interestRate: balanceAfterGrant > 0 ? interest * 12 / balanceAfterGrant * 100 : 0,
+      openingBalance,
+      payment: entries.reduce((sum, e) => sum + e.payment, 0),
+      interest,
+      principal: entries.reduce((sum, e) => sum + e.principal, 0),
+      grant: entries.reduce((sum, e) => sum + e.grant, 0),
+      specialRepayment: entries.reduce((sum, e) => sum + e.specialRepayment, 0),
+      closingBalance: entries.reduce((sum, e) => sum + e.closingBalance, 0)
+    });
+  }
+  
+  return combined;
+}
+
+// ============================================================================
+// RENT REGIME
+// ============================================================================
+
+// Rent increases within three years may not exceed the Kappungsgrenze (§558 Abs. 3 BGB)
+const RENT_CAP_PERIOD_YEARS = 3;
+
+// New-lease rents under the Mietpreisbremse: at most 10% above the local comparative rent (§556d BGB)
+const RENT_CONTROL_NEW_LEASE_LIMIT = 0.10;
+
+interface RentYear {
+  monthlyRent: number;
+  capBinding: 'kappungsgrenze' | 'mietspiegel' | 'mietpreisbremse' | null;
+  turnover: boolean; // a new tenancy starts this year
+}
+
+// Projection years (0-based) in which a tenancy ends and a new one starts, one every average tenancy length
+function getTurnoverYears(inputs: PropertyInputs, years: number): Set<number> {
+  const turnoverYears = new Set<number>();
+  if (inputs.vacancyModel !== 'turnover' || inputs.usageMode === 'ownerOccupied') return turnoverYears;
+  
+  const tenancyYears = Math.max(1, inputs.averageTenancyYears);
+  for (let k = 1; Math.round(k * tenancyYears) < years; k++) {
+    turnoverYears.add(Math.round(k * tenancyYears));
+  }
+  return turnoverYears;
+}
+
+function calculateRentSchedule(inputs: PropertyInputs, years: number): RentYear[] {
+  const schedule: RentYear[] = [];
+  const turnoverYears = getTurnoverYears(inputs, years);
+  const marketRentIndex = getGrowthIndex(resolveAssumptionPath(inputs, 'rentIncreaseRate', years));
+  let leaseStartYear = 0;
+  
+  for (let year = 0; year < years; year++) {
+    if (year === 0) {
+      schedule.push({ monthlyRent: inputs.monthlyRent, capBinding: null, turnover: false });
+      continue;
+    }
+    const previousRent = schedule[year - 1].monthlyRent;
+    const ceilingRent = inputs.localComparativeRent !== null
+      ? inputs.localComparativeRent * inputs.livingArea * Math.pow(1 + inputs.localComparativeRentIncreaseRate / 100, year)
+      : Infinity;
+    
+    if (turnoverYears.has(year) && inputs.rentRegime !== 'staffel') {
+      // New lease at the market rent; the Mietpreisbremse caps it unless the previous rent was higher (§556e BGB)
+      const marketRent = inputs.monthlyRent * marketRentIndex[year];
+      const controlledRent = Math.max(previousRent, ceilingRent * (1 + RENT_CONTROL_NEW_LEASE_LIMIT));
+      const capped = inputs.rentControlOnReletting && controlledRent < marketRent;
+      schedule.push({
+        monthlyRent: capped ? controlledRent : marketRent,
+        capBinding: capped ? 'mietpreisbremse' : null,
+        turnover: true
+      });
+      leaseStartYear = year;
+    } else if (inputs.rentRegime === 'staffel') {
+      // Latest step that has started; steps are agreed amounts (§557a BGB)
+      const step = inputs.rentSteps
+        .filter(s => s.year <= year + 1)
+        .reduce<RentStep | null>((latest, s) => latest === null || s.year >= latest.year ? s : latest, null);
+      schedule.push({ monthlyRent: step ? step.monthlyRent : inputs.monthlyRent, capBinding: null, turnover: turnoverYears.has(year) });
+    } else if (inputs.rentRegime === 'index') {
+      // Adjusted once a year by the change in consumer prices (§557b BGB)
+      const cpiPath = inputs.cpiPath.length > 0 ? inputs.cpiPath : [0];
+      const cpiChange = cpiPath[Math.min(year - 1, cpiPath.length - 1)];
+      schedule.push({ monthlyRent: previousRent * (1 + cpiChange / 100), capBinding: null, turnover: false });
     } else {
-      // Additional tax liability
-      taxSavings = -taxableRentalIncome * (inputs.marginalTaxRate / 100);
-      if (inputs.churchTaxLiability) {
-        taxSavings *= 1.08;
+      // Free market: raise towards the market rent within the Kappungsgrenze and the Mietspiegel;
+      // the three-year window starts no earlier than the current lease
+      const marketRent = inputs.monthlyRent * marketRentIndex[year];
+      const referenceRent = schedule[Math.max(leaseStartYear, year - RENT_CAP_PERIOD_YEARS)].monthlyRent;
+      const cappedRent = referenceRent * (1 + inputs.rentCapLimit / 100);
+      
+      let monthlyRent = marketRent;
+      let capBinding: RentYear['capBinding'] = null;
+      if (cappedRent < monthlyRent) {
+        monthlyRent = cappedRent;
+        capBinding = 'kappungsgrenze';
+      }
+      if (ceilingRent < monthlyRent) {
+        monthlyRent = ceilingRent;
+        capBinding = 'mietspiegel';
       }
+      // Rents are never lowered
+      schedule.push({ monthlyRent: Math.max(previousRent, monthlyRent), capBinding, turnover: false });
     }
+  }
+  
+  return schedule;
+}
+
+// ============================================================================
+// DEPRECIATION BASIS
+// ============================================================================
+
+// Renovation within three years of purchase above this share of the building's cost is
+// capitalized (anschaffungsnahe Herstellungskosten, §6 Abs. 1 Nr. 1a EStG)
+const ACQUISITION_RELATED_COSTS_LIMIT = 0.15;
+const ACQUISITION_RELATED_YEARS = 3; // CapEx paid in projection years 1-3 falls within the window
+const VAT_RATE = 0.19; // the 15% test uses renovation costs net of VAT
+
+// Degressive AfA for new residential buildings (§7 Abs. 5a EStG)
+const DEGRESSIVE_DEPRECIATION_RATE = 0.05;
+
+// Sonder-AfA for new rental housing (§7b EStG): 5% p.a. in the first four years
+const SPECIAL_DEPRECIATION_RATE = 0.05;
+const SPECIAL_DEPRECIATION_YEARS = 4;
+const SPECIAL_DEPRECIATION_BASIS_LIMIT = 4000; // €/m² of living area
+const SPECIAL_DEPRECIATION_COST_LIMIT = 5200; // €/m², above this no Sonder-AfA at all
+
+// Listed-building AfA (§7i/§7h EStG) on modernization costs: 9% for 8 years, then 7% for 4 years
+const LISTED_DEPRECIATION_RATES = [...Array(8).fill(0.09), ...Array(4).fill(0.07)] as number[];
+
+interface DepreciationBasis {
+  buildingShare: number; // 0..1 of the purchase price
+  buildingAcquisitionCost: number; // building share of price plus side costs
+  renovationCapitalized: boolean;
+  acquisitionRelatedCapEx: number; // maintenance CapEx of the first three years, counted in the 15% test
+  capexCapitalized: boolean; // that CapEx is capitalized because the 15% limit is exceeded
+  depreciationBasis: number; // AfA basis
+  specialDepreciationBasis: number; // §7b basis, 0 if not eligible
+  modernizationBasis: number; // §7i/§7h basis (renovation of a listed building)
+  renovationDeduction: number; // deducted as maintenance in the first year
+  costBasis: number; // Anschaffungskosten incl. capitalized renovation (for §23 EStG)
+}
+
+function calculateDepreciationBasis(inputs: PropertyInputs): DepreciationBasis {
+  const buildingShare = inputs.buildingShareMethod === 'landValue'
+    ? inputs.purchasePrice > 0
+      ? Math.min(1, Math.max(0, 1 - inputs.landArea * inputs.landValuePerSqm / inputs.purchasePrice))
+      : 0
+    : Math.min(1, Math.max(0, inputs.buildingSharePercent / 100));
+  
+  // Notary, transfer tax and broker are part of the acquisition cost and split pro rata between land and building
+  const sideCostRate = (inputs.notaryAndLandRegistryFees + inputs.realEstateTransferTax + inputs.brokerCommission) / 100;
+  const totalPurchaseCost = inputs.purchasePrice * (1 + sideCostRate);
+  const buildingAcquisitionCost = totalPurchaseCost * buildingShare;
+  
+  // Modernization of a listed building has its own AfA and bypasses the 15% test. CapEx events of the first
+  // three years that would otherwise be deducted as maintenance count towards the limit as well.
+  const isListed = inputs.depreciationRegime === 'listed';
+  const acquisitionRelatedCapEx = inputs.capexEvents
+    .filter(event => event.year <= ACQUISITION_RELATED_YEARS && event.treatment !== 'capitalize')
+    .reduce((sum, event) => sum + event.amount, 0);
+  const acquisitionRelatedCosts = (isListed ? 0 : inputs.renovationCosts) + acquisitionRelatedCapEx;
+  const limitExceeded = acquisitionRelatedCosts / (1 + VAT_RATE) > buildingAcquisitionCost * ACQUISITION_RELATED_COSTS_LIMIT;
+  const renovationCapitalized = !isListed && limitExceeded;
+  const depreciationBasis = buildingAcquisitionCost + (renovationCapitalized ? inputs.renovationCosts : 0);
+  
+  let specialDepreciationBasis = 0;
+  if (inputs.depreciationRegime === 'special7b' && inputs.livingArea > 0 &&
+      depreciationBasis / inputs.livingArea <= SPECIAL_DEPRECIATION_COST_LIMIT) {
+    specialDepreciationBasis = Math.min(depreciationBasis, inputs.livingArea * SPECIAL_DEPRECIATION_BASIS_LIMIT);
+  }
+  
+  return {
+    buildingShare,
+    buildingAcquisitionCost,
+    renovationCapitalized,
+    acquisitionRelatedCapEx,
+    capexCapitalized: limitExceeded && acquisitionRelatedCapEx > 0,
+    depreciationBasis,
+    specialDepreciationBasis,
+    modernizationBasis: isListed ? inputs.renovationCosts : 0,
+    renovationDeduction: renovationCapitalized || isListed ? 0 : inputs.renovationCosts,
+    costBasis: totalPurchaseCost + (renovationCapitalized || isListed ? inputs.renovationCosts : 0)
+  };
+}
+
+// Year-by-year AfA for the chosen regime; each component stops once its basis is used up
+function calculateDepreciationSchedule(inputs: PropertyInputs, basis: DepreciationBasis, years: number): number[] {
+  const linearRate = inputs.depreciationRate / 100;
+  const usefulLife = linearRate > 0 ? 1 / linearRate : Infinity;
+  let bookValue = basis.depreciationBasis;
+  let modernizationBookValue = basis.modernizationBasis;
+  let switchedToLinear = false;
+  const schedule: number[] = [];
+  
+  for (let year = 0; year < years; year++) {
+    // Residual value spread over the remaining useful life (§7 Abs. 3, §7a Abs. 9 EStG)
+    const remainingLinear = bookValue / Math.max(1, usefulLife - year);
+    let depreciation: number;
     
-    // Cash flow
-    const grossCashFlow = effectiveRent - totalOperatingCosts - annualLoanPayment;
-    const netCashFlow = grossCashFlow + taxSavings;
+    if (inputs.depreciationRegime === 'degressive') {
+      // Switch to linear once it yields more than the degressive rate
+      const degressive = bookValue * DEGRESSIVE_DEPRECIATION_RATE;
+      if (!switchedToLinear && remainingLinear > degressive) switchedToLinear = true;
+      depreciation = switchedToLinear ? remainingLinear : degressive;
+    } else if (inputs.depreciationRegime === 'special7b') {
+      depreciation = year < SPECIAL_DEPRECIATION_YEARS
+        ? basis.depreciationBasis * linearRate + basis.specialDepreciationBasis * SPECIAL_DEPRECIATION_RATE
+        : remainingLinear;
+    } else {
+      depreciation = basis.depreciationBasis * linearRate;
+    }
     
-    cumulativeCashFlow += netCashFlow;
-    cumulativeTaxSavings += taxSavings;
+    depreciation = Math.min(depreciation, bookValue);
+    bookValue -= depreciation;
     
-    // Equity and net worth
-    const equity = propertyValue - outstandingLoan;
-    const netWorth = equity + cumulativeCashFlow;
+    const modernizationDepreciation = Math.min(
+      basis.modernizationBasis * (LISTED_DEPRECIATION_RATES[year] ?? 0),
+      modernizationBookValue
+    );
+    modernizationBookValue -= modernizationDepreciation;
     
-    yearlyData.push({
-      year: year + 1,
-      date: yearDate.toISOString().split('T')[0],
-      propertyValue,
-      outstandingLoan,
-      annualLoanPayment,
-      interestPaid,
-      principalRepaid,
-      grossRent,
-      effectiveRent,
-      totalOperatingCosts,
-      depreciation,
-      taxableIncome: taxableRentalIncome,
-      taxSavings,
-      grossCashFlow,
-      netCashFlow,
-      equity,
-      netWorth,
-      cumulativeCashFlow,
-      cumulativeTaxSavings
-    });
+    schedule.push(depreciation + modernizationDepreciation);
   }
   
-  // Calculate IRR (Internal Rate of Return) using Newton-Raphson method
-  function calculateIRR(cashFlows: number[], initialInvestment: number): number {
-    const flows = [-initialInvestment, ...cashFlows];
-    let rate = 0.1; // Initial guess
+  return schedule;
+}
+
+// ============================================================================
+// CAPITAL EXPENDITURE
+// ============================================================================
+
+interface CapExYear {
+  spending: number;
+  deduction: number; // maintenance deducted this year
+  depreciation: number; // AfA on capitalized events
+  capitalized: number; // cumulative capitalized amount (part of the cost basis)
+  deferredDeduction: number; // §82b instalments still open at year end
+  reclassified: number; // maintenance paid this year and capitalized under the 15% rule
+}
+
+// Maintenance of the first three years is capitalized instead when the 15% test of the depreciation basis fails
+function calculateCapExSchedule(inputs: PropertyInputs, basis: DepreciationBasis, years: number): CapExYear[] {
+  const linearRate = inputs.depreciationRate / 100;
+  const isCapitalized = (event: CapExEvent) =>
+    event.treatment === 'capitalize' || (basis.capexCapitalized && event.year <= ACQUISITION_RELATED_YEARS);
+  
+  return Array.from({ length: years }, (_, year) => {
+    const entry: CapExYear = { spending: 0, deduction: 0, depreciation: 0, capitalized: 0, deferredDeduction: 0, reclassified: 0 };
     
-    for (let i = 0; i < 100; i++) {
-      let npv = 0;
-      let dnpv = 0;
-      
-      for (let j = 0; j < flows.length; j++) {
-        npv += flows[j] / Math.pow(1 + rate, j);
-        dnpv -= j * flows[j] / Math.pow(1 + rate, j + 1);
-      }
-      
-      const newRate = rate - npv / dnpv;
+    inputs.capexEvents.forEach(event => {
+      const index = event.year - 1; // projection year index of the payment
+      if (index > year) return;
+      if (index === year) entry.spending += event.amount;
+      if (index === year && event.treatment !== 'capitalize' && isCapitalized(event)) entry.reclassified += event.amount;
       
-      if (Math.abs(newRate - rate) < 0.0001) {
-        return newRate * 100;
+      if (isCapitalized(event)) {
+        // Nachträgliche Herstellungskosten: depreciated with the building's linear rate until written off
+        entry.capitalized += event.amount;
+        const written = Math.min(event.amount, event.amount * linearRate * (year - index));
+        entry.depreciation += Math.min(event.amount * linearRate, event.amount - written);
+      } else if (event.treatment === 'expense') {
+        if (index === year) entry.deduction += event.amount;
+      } else if (event.treatment === 'spread') {
+        // Equal instalments over 2-5 years (§82b EStDV)
+        const spreadYears = Math.min(5, Math.max(2, Math.round(event.spreadYears)));
+        const claimed = Math.min(year - index + 1, spreadYears);
+        if (year - index < spreadYears) entry.deduction += event.amount / spreadYears;
+        entry.deferredDeduction += event.amount * (spreadYears - claimed) / spreadYears;
       }
-      
-      rate = newRate;
-    }
+    });
     
-    return rate * 100;
+    return entry;
+  });
+}
+
+// ============================================================================
+// SALE / EXIT
+// ============================================================================
+
+// Private sales are taxed if the holding period is not more than ten years (§23 Abs. 1 Nr. 1 EStG).
+// A sale at the end of projection year N falls one day before the N-th anniversary, so year 10 is still inside.
+const SPECULATION_PERIOD_YEARS = 10;
+// Gains below this amount per year stay tax-free (Freigrenze, not Freibetrag)
+const SPECULATION_TAX_EXEMPTION_LIMIT = 1000;
+
+interface SaleResult {
+  saleValue: number;
+  sellingCosts: number;
+  capitalGain: number;
+  speculationTax: number;
+  companyTax: number; // GmbH: corporate and trade tax on the gain plus dividend tax on the liquidation payout
+  saleProceeds: number;
+}
+
+// The unspent share of the WEG maintenance reserve passes to the buyer, who pays for it with the price.
+// Its contributions were never deducted, so it comes back without tax on the gain.
+function calculateSale(
+  inputs: PropertyInputs,
+  saleValue: number,
+  costBasis: number,
+  cumulativeDepreciation: number,
+  outstandingLoan: number,
+  maintenanceReserve: number,
+  holdingYears: number,
+  otherTaxableIncome: number // other income plus the rental result of the sale year
+): SaleResult {
+  const sellingCosts = saleValue * (inputs.saleBrokerCommission + inputs.saleOtherCosts) / 100;
+  
+  // Depreciation already claimed lowers the cost basis (§23 Abs. 3 Satz 4 EStG)
+  const capitalGain = saleValue - sellingCosts - (costBasis - cumulativeDepreciation);
+  
+  let speculationTax = 0;
+  // A home used by the owner is exempt regardless of the holding period (§23 Abs. 1 Nr. 1 Satz 3 EStG)
+  if (inputs.usageMode === 'rental' && holdingYears <= SPECULATION_PERIOD_YEARS && capitalGain >= SPECULATION_TAX_EXEMPTION_LIMIT) {
+    const taxWithoutGain = calculateGermanTax(Math.max(0, otherTaxableIncome), inputs.maritalStatus, inputs.churchTaxLiability);
+    const taxWithGain = calculateGermanTax(Math.max(0, otherTaxableIncome + capitalGain), inputs.maritalStatus, inputs.churchTaxLiability);
+    speculationTax = taxWithGain.totalTax - taxWithoutGain.totalTax;
   }
   
-  // Calculate summary metrics
-  const cashFlows10 = yearlyData.slice(0, 10).map(d => d.netCashFlow);
-  const cashFlows20 = yearlyData.slice(0, 20).map(d => d.netCashFlow);
-  const cashFlows40 = yearlyData.map(d => d.netCashFlow);
+  return {
+    saleValue,
+    sellingCosts,
+    capitalGain,
+    speculationTax,
+    companyTax: 0,
+    saleProceeds: saleValue - sellingCosts - outstandingLoan - speculationTax + maintenanceReserve
+  };
+}
+
+// ============================================================================
+// COMPANY OWNERSHIP (VERMÖGENSVERWALTENDE GMBH)
+// ============================================================================
+
+// Körperschaftsteuer 15% plus Solidaritätszuschlag 5.5% (§23 KStG)
+const CORPORATE_TAX_RATE = 0.15 * 1.055;
+// Gewerbesteuer: Steuermesszahl 3.5% times the Hebesatz (§11 GewStG)
+const TRADE_TAX_BASE_RATE = 0.035;
+// Simple property reduction (§9 Nr. 1 Satz 1 GewStG): 0.11% of the Grundsteuerwert, approximated by the purchase price
+const SIMPLE_TRADE_TAX_REDUCTION_RATE = 0.0011;
+// Abgeltungsteuer on distributions (§32d EStG); Soli and church tax are levied on top
+const CAPITAL_INCOME_TAX_RATE = 0.25;
+const SOLIDARITY_SURCHARGE_RATE = 0.055;
+const CHURCH_TAX_RATE = 0.08;
+
+interface CompanyTax {
+  corporateTax: number;
+  tradeTax: number;
+  lossCarryforward: number; // Verlustvortrag after this result
+}
+
+// Tax on a company result; losses are carried forward and offset against later profits
+function calculateCompanyTax(inputs: PropertyInputs, profit: number, lossCarryforward: number): CompanyTax {
+  const lossOffset = profit > 0 ? Math.min(profit, lossCarryforward) : 0;
+  const taxableProfit = Math.max(0, profit - lossOffset);
+  
+  // The erweiterte Kürzung removes rental income and the sale of the property from trade tax
+  const tradeTaxBase = inputs.extendedTradeTaxReduction
+    ? 0
+    : Math.max(0, taxableProfit - inputs.purchasePrice * SIMPLE_TRADE_TAX_REDUCTION_RATE);
   
-  // Add final property equity to last cash flow for IRR calculation
-  const finalEquity10 = yearlyData[9]?.equity || 0;
-  const finalEquity20 = yearlyData[19]?.equity || 0;
-  const finalEquity40 = yearlyData[39]?.equity || 0;
+  return {
+    corporateTax: taxableProfit * CORPORATE_TAX_RATE,
+    tradeTax: tradeTaxBase * TRADE_TAX_BASE_RATE * inputs.tradeTaxMultiplier / 100,
+    lossCarryforward: lossCarryforward - lossOffset + Math.max(0, -profit)
+  };
+}
+
+// Abgeltungsteuer, Soli and church tax on capital income (dividends, fund income);
+// church tax lowers the withholding rate (§32d Abs. 1 Satz 3 EStG)
+function calculateCapitalIncomeTax(inputs: PropertyInputs, income: number): number {
+  if (income <= 0) return 0;
+  const churchTaxRate = inputs.churchTaxLiability ? CHURCH_TAX_RATE : 0;
+  const capitalIncomeTax = income * CAPITAL_INCOME_TAX_RATE / (1 + CAPITAL_INCOME_TAX_RATE * churchTaxRate);
+  return capitalIncomeTax * (1 + SOLIDARITY_SURCHARGE_RATE + churchTaxRate);
+}
+
+// Sale by the GmbH followed by its liquidation: the gain is taxed in the company regardless of the
+// holding period, contributed capital is returned tax-free (steuerliches Einlagekonto) and the rest is a dividend
+function calculateCompanySale(
+  inputs: PropertyInputs,
+  saleValue: number,
+  costBasis: number,
+  cumulativeDepreciation: number,
+  outstandingLoan: number,
+  maintenanceReserve: number,
+  lossCarryforward: number,
+  retainedCash: number,
+  contributedCapital: number
+): SaleResult {
+  const sellingCosts = saleValue * (inputs.saleBrokerCommission + inputs.saleOtherCosts) / 100;
+  const capitalGain = saleValue - sellingCosts - (costBasis - cumulativeDepreciation);
+  const gainTax = calculateCompanyTax(inputs, capitalGain, lossCarryforward);
   
-  const irr10 = cashFlows10.length >= 10 ? calculateIRR([...cashFlows10.slice(0, -1), cashFlows10[9] + finalEquity10], totalInvestment) : 0;
-  const irr20 = cashFlows20.length >= 20 ? calculateIRR([...cashFlows20.slice(0, -1), cashFlows20[19] + finalEquity20], totalInvestment) : 0;
-  const irr40 = cashFlows40.length >= 40 ? calculateIRR([...cashFlows40.slice(0, -1), cashFlows40[39] + finalEquity40], totalInvestment) : 0;
+  const liquidationPayout = saleValue - sellingCosts - outstandingLoan - gainTax.corporateTax - gainTax.tradeTax +
+    maintenanceReserve + retainedCash;
+  const dividendTax = calculateCapitalIncomeTax(inputs, liquidationPayout - contributedCapital);
   
   return {
-    yearlyData,
-    summary: {
-      totalInvestment,
-      irr10Year: irr10,
-      irr20Year: irr20,
-      irr40Year: irr40,
-      totalCashFlow10Year: yearlyData[9]?.cumulativeCashFlow || 0,
-      totalCashFlow20Year: yearlyData[19]?.cumulativeCashFlow || 0,
-      totalCashFlow40Year: yearlyData[39]?.cumulativeCashFlow || 0,
-      netWorth10Year: yearlyData[9]?.netWorth || 0,
-      netWorth20Year: yearlyData[19]?.netWorth || 0,
-      netWorth40Year: yearlyData[39]?.netWorth || 0,
-      averageAnnualCashFlow: (yearlyData[Math.min(39, yearlyData.length - 1)]?.cumulativeCashFlow || 0) / Math.min(40, yearlyData.length),
-      roiAtYear10: yearlyData[9] ? (yearlyData[9].netWorth / totalInvestment - 1) * 100 : 0,
-      roiAtYear20: yearlyData[19] ? (yearlyData[19].netWorth / totalInvestment - 1) * 100 : 0,
-      roiAtYear40: yearlyData[39] ? (yearlyData[39].netWorth / totalInvestment - 1) * 100 : 0
-    }
+    saleValue,
+    sellingCosts,
+    capitalGain,
+    speculationTax: 0,
+    companyTax: gainTax.corporateTax + gainTax.tradeTax + dividendTax,
+    saleProceeds: liquidationPayout - dividendTax
   };
 }
 
 // ============================================================================
-// TABLE-BASED HEATMAP COMPONENT
+// ETF BENCHMARK
 // ============================================================================
 
-interface TableHeatmapProps {
-  heatmapData: any[];
-  heatmapVarX: string;
-  heatmapVarY: string;
-  heatmapMetric: string;
-  sensitivityVariables: any[];
-  formatPercent: (value: number, decimals?: number) => string;
-  formatCurrency: (value: number) => string;
-  gapSize?: '0' | '1px';
-  glossyOverlay?: boolean;
+// Vorabpauschale: 70% of the Basiszins on the value at the start of the year, capped at the year's gain (§18 InvStG)
+const VORABPAUSCHALE_FACTOR = 0.7;
+
+interface BenchmarkState {
+  value: number; // depot value before tax on a sale
+  costBasis: number; // contributions plus Vorabpauschalen already taxed
+  contributions: number; // negative net cash flows invested after the initial equity
 }
 
-const TableHeatmap: React.FC<TableHeatmapProps> = ({
-  heatmapData,
-  heatmapVarX,
-  heatmapVarY,
-  heatmapMetric,
-  sensitivityVariables,
-  formatPercent,
-  formatCurrency,
-  gapSize = '1px',
-  glossyOverlay = false
-}) => {
-  const firstCellRef = useRef<HTMLTableCellElement>(null);
-  const lastCellRef = useRef<HTMLTableCellElement>(null);
-  const [overlayBounds, setOverlayBounds] = useState({ top: 0, left: 0, width: 0, height: 0 });
+interface BenchmarkYear {
+  benchmarkContribution: number;
+  benchmarkTax: number;
+  benchmarkValue: number;
+  benchmarkNetWorth: number;
+}
+
+function createBenchmarkState(equity: number): BenchmarkState {
+  return { value: equity, costBasis: equity, contributions: 0 };
+}
+
+// One year of an accumulating ETF: growth after TER, tax on the Vorabpauschale paid from the depot,
+// then the year's negative net cash flow is invested. The value shown is after tax on a sale at year end.
+function advanceBenchmark(inputs: PropertyInputs, state: BenchmarkState, netCashFlow: number): BenchmarkYear {
+  const taxableShare = 1 - inputs.etfPartialExemption / 100;
+  const startValue = state.value;
+  const endValue = startValue * (1 + inputs.etfReturn / 100) * (1 - inputs.etfTer / 100);
   
-  useEffect(() => {
-    if (glossyOverlay && firstCellRef.current && lastCellRef.current) {
-      // Small delay to ensure table layout is complete
-      const updateBounds = () => {
-        const firstRect = firstCellRef.current!.getBoundingClientRect();
-        const lastRect = lastCellRef.current!.getBoundingClientRect();
-        const containerRect = firstCellRef.current!.closest('.heatmap-container')?.getBoundingClientRect();
-        
-        if (containerRect) {
-          // Calculate bounds to cover ONLY the 5x5 colored cell grid
-          // This excludes header labels, row labels, and the legend in tfoot
-          setOverlayBounds({
-            top: firstRect.top - containerRect.top,
-            left: firstRect.left - containerRect.left,
-            width: lastRect.right - firstRect.left,
-            height: lastRect.bottom - firstRect.top
-          });
-        }
-      };
-      
-      // Call immediately
-      updateBounds();
-      
-      // Also recalculate after a brief delay to handle any layout shifts
-      const timeoutId = setTimeout(updateBounds, 50);
-      
-      return () => clearTimeout(timeoutId);
+  const baseYield = Math.max(0, startValue * inputs.etfBaseRate / 100 * VORABPAUSCHALE_FACTOR);
+  const prepaymentAmount = Math.min(baseYield, Math.max(0, endValue - startValue));
+  const benchmarkTax = calculateCapitalIncomeTax(inputs, prepaymentAmount * taxableShare);
+  
+  const benchmarkContribution = Math.max(0, -netCashFlow);
+  state.value = endValue - benchmarkTax + benchmarkContribution;
+  state.costBasis += prepaymentAmount + benchmarkContribution;
+  state.contributions += benchmarkContribution;
+  
+  const saleTax = calculateCapitalIncomeTax(inputs, (state.value - state.costBasis) * taxableShare);
+  const benchmarkValue = state.value - saleTax;
+  return {
+    benchmarkContribution,
+    benchmarkTax,
+    benchmarkValue,
+    benchmarkNetWorth: benchmarkValue - state.contributions
+  };
+}
+
+// ============================================================================
+// IRR SOLVER
+// ============================================================================
+
+interface IRRResult {
+  status: 'converged' | 'noSolution' | 'multipleSolutions';
+  rate: number | null; // % p.a., only when converged
+  reason: string | null; // why there is no single rate
+}
+
+const IRR_TOLERANCE = 1e-9;
+const IRR_MAX_ITERATIONS = 200;
+
+// Rates scanned for NPV sign changes: -99% to 1000%, finer around typical returns
+const IRR_SCAN_RATES: number[] = [
+  ...Array.from({ length: 10 }, (_, i) => -0.99 + i * 0.05),
+  ...Array.from({ length: 100 }, (_, i) => -0.5 + i * 0.01),
+  ...Array.from({ length: 40 }, (_, i) => 0.5 * Math.pow(20, i / 39))
+];
+
+function netPresentValue(flows: number[], times: number[], rate: number): number {
+  return flows.reduce((npv, flow, i) => npv + flow / Math.pow(1 + rate, times[i]), 0);
+}
+
+// Safeguarded Newton-Raphson: Newton steps inside the bracket, bisection whenever a step leaves it
+function solveBracket(flows: number[], times: number[], low: number, high: number): number {
+  let npvLow = netPresentValue(flows, times, low);
+  let rate = (low + high) / 2;
+  
+  for (let i = 0; i < IRR_MAX_ITERATIONS; i++) {
+    const npv = netPresentValue(flows, times, rate);
+    const derivative = flows.reduce((sum, flow, j) => sum - times[j] * flow / Math.pow(1 + rate, times[j] + 1), 0);
+    
+    if (Math.sign(npv) === Math.sign(npvLow)) {
+      low = rate;
+      npvLow = npv;
+    } else {
+      high = rate;
+    }
+    
+    let next = rate - npv / derivative;
+    if (!isFinite(next) || next <= low || next >= high) {
+      next = (low + high) / 2;
+    }
+    if (Math.abs(next - rate) < IRR_TOLERANCE || npv === 0) {
+      return next;
+    }
+    rate = next;
+  }
+  
+  return rate;
+}
+
+// IRR of flows at the given times (in years from the first flow)
+function solveIRR(flows: number[], times: number[]): IRRResult {
+  if (!flows.some(f => f > 0) || !flows.some(f => f < 0)) {
+    return {
+      status: 'noSolution',
+      rate: null,
+      reason: flows.some(f => f < 0) ? 'Cash flows never turn positive' : 'No equity invested and no negative cash flows'
+    };
+  }
+  
+  const npvs = IRR_SCAN_RATES.map(rate => netPresentValue(flows, times, rate));
+  const roots: number[] = [];
+  for (let i = 1; i < npvs.length; i++) {
+    if (npvs[i - 1] === 0) {
+      roots.push(IRR_SCAN_RATES[i - 1]);
+    } else if (Math.sign(npvs[i - 1]) !== Math.sign(npvs[i]) && npvs[i] !== 0) {
+      roots.push(solveBracket(flows, times, IRR_SCAN_RATES[i - 1], IRR_SCAN_RATES[i]));
     }
-  }, [glossyOverlay, heatmapData]);
+  }
+  
+  if (roots.length === 0) {
+    return { status: 'noSolution', rate: null, reason: 'NPV does not reach zero between -99% and 1000%' };
+  }
+  if (roots.length > 1) {
+    return {
+      status: 'multipleSolutions',
+      rate: null,
+      reason: `NPV is zero at ${roots.map(r => `${(r * 100).toFixed(1)}%`).join(', ')}`
+    };
+  }
+  return { status: 'converged', rate: roots[0] * 100, reason: null };
+}
+
+// ============================================================================
+// PROJECTION CALCULATOR
+// ============================================================================
+
+function createEmptyYear(year: number, date: string): YearlyProjection {
+  return {
+    year, date,
+    propertyValue: 0, outstandingLoan: 0, annualLoanPayment: 0, interestPaid: 0, principalRepaid: 0,
+    specialRepayment: 0, loanTranches: [],
+    grossRent: 0, rentCapBinding: null, tenantTurnover: false, effectiveRent: 0, totalOperatingCosts: 0, reLettingCosts: 0,
+    deductibleOperatingCosts: 0,
+    maintenanceReserveContribution: 0, maintenanceReserveSpent: 0, maintenanceReserveBalance: 0,
+    capitalExpenditure: 0, capexDeduction: 0, capexReclassified: 0, depreciation: 0, renovationDeduction: 0,
+    taxableIncome: 0, incomeTaxSavings: 0, solidarityTaxSavings: 0, churchTaxSavings: 0, taxSavings: 0, lossCarryforward: 0,
+    grossCashFlow: 0, netCashFlow: 0,
+    corporateTax: 0, tradeTax: 0, dividendTax: 0, retainedCash: 0,
+    propertySold: false, saleValue: 0, sellingCosts: 0, capitalGain: 0, speculationTax: 0, saleCompanyTax: 0, saleProceeds: 0,
+    benchmarkContribution: 0, benchmarkTax: 0, benchmarkValue: 0, benchmarkNetWorth: 0,
+    dscr: null, ltv: 0, cashOnCash: 0,
+    equity: 0, netWorth: 0, cumulativeCashFlow: 0, cumulativeTaxSavings: 0
+  };
+}
+
+// A portfolio property bought in a later year starts that many years later, so its loan schedule and yearly dates
+// fall on its own purchase date
+function calculateProjections(rawInputs: PropertyInputs, years: number = 40, startYearOffset: number = 0): ProjectionResults {
+  // A sale happens at the end of a whole year; sensitivity tools may pass a fractional exit year
+  const inputs: PropertyInputs = rawInputs.exitYear === null
+    ? rawInputs
+    : { ...rawInputs, exitYear: Math.max(1, Math.round(rawInputs.exitYear)) };
   
-  const minValue = Math.min(...heatmapData.map(d => d.value));
-  const maxValue = Math.max(...heatmapData.map(d => d.value));
+  // Calculate total investment
+  const acquisitionCosts = inputs.purchasePrice * (
+    1 + 
+    inputs.notaryAndLandRegistryFees / 100 + 
+    inputs.realEstateTransferTax / 100 + 
+    inputs.brokerCommission / 100
+  ) + inputs.renovationCosts;
   
-  const xVarName = sensitivityVariables.find(v => v.key === heatmapVarX)?.name || '';
-  const yVarName = sensitivityVariables.find(v => v.key === heatmapVarY)?.name || '';
+  // Equity above the acquisition costs is not invested in the property
+  const totalInvestment = Math.min(inputs.equity, acquisitionCosts);
+  const loanAmount = acquisitionCosts - totalInvestment;
   
-  const isPercentMetric = heatmapMetric.startsWith('irr');
+  // Get start date (1st of next month, plus the offset of a later purchase)
+  const today = new Date();
+  const startDate = new Date(today.getFullYear() + startYearOffset, today.getMonth() + 1, 1);
   
-  const getColor = (value: number, min: number, max: number) => {
-    const normalized = (value - min) / (max - min);
+  const yearlyData: YearlyProjection[] = [];
+  let cumulativeCashFlow = 0;
+  let cumulativeTaxSavings = 0;
+  let cumulativeDepreciation = 0;
+  let maintenanceReserveBalance = 0;
+  let exitSale: SaleResult | null = null;
+  
+  // Owner-occupied: the rent saved replaces the rental income and there are no rental tax effects
+  const isOwnerOccupied = inputs.usageMode === 'ownerOccupied';
+  
+  // GmbH ownership: the company pays the taxes, the shareholder only sees contributions and dividends
+  const isCompany = inputs.ownershipStructure === 'gmbh' && !isOwnerOccupied;
+  let lossCarryforward = 0;
+  let privateLossCarryforward = 0; // rental losses above the other income (§10d EStG)
+  let retainedCash = 0;
+  let retainedEarnings = 0; // after-tax profits not yet distributed (ausschüttbarer Gewinn)
+  let contributedCapital = totalInvestment; // steuerliches Einlagekonto
+  
+  // Building share of purchase price, side costs and capitalized renovation (AfA basis)
+  const depreciationBasis = calculateDepreciationBasis(inputs);
+  const depreciationSchedule = calculateDepreciationSchedule(inputs, depreciationBasis, years);
+  const capexSchedule = calculateCapExSchedule(inputs, depreciationBasis, years);
+  const rentSchedule = calculateRentSchedule(inputs, years);
+  const valueIndex = getGrowthIndex(resolveAssumptionPath(inputs, 'propertyValueIncreaseRate', years));
+  const costIndex = getGrowthIndex(resolveAssumptionPath(inputs, 'operatingCostsIncreaseRate', years));
+  
+  // Monthly annuity schedule per tranche, advanced year by year and aggregated into the yearly figures below.
+  // Special repayments go to the bank loan (first tranche).
+  const loanStates = getLoanTranches(inputs, loanAmount).map(createLoanState);
+  const bankLoan = loanStates[0];
+  
+  // The same equity invested in an ETF instead (opportunity cost)
+  const benchmark = createBenchmarkState(totalInvestment);
+  
+  // Tax on other income without the property (reference for rental tax effects)
+  const baseTax = calculateGermanTax(inputs.annualIncome, inputs.maritalStatus, inputs.churchTaxLiability);
+  
+  for (let year = 0; year < years; year++) {
+    const yearDate = new Date(startDate);
+    yearDate.setFullYear(yearDate.getFullYear() + year);
     
-    if (normalized < 0.5) {
-      const red = 255;
-      const green = Math.round(255 * normalized * 2);
-      return `rgb(${red}, ${green}, 100)`;
-    } else {
-      const red = Math.round(255 * (1 - (normalized - 0.5) * 2));
-      const green = 255;
-      return `rgb(${red}, ${green}, 100)`;
+    // After the exit only the realized sale proceeds remain. The benchmark is sold at the same time,
+    // so both sides hold their proceeds and the comparison stays the one at the exit.
+    if (exitSale) {
+      const { benchmarkValue, benchmarkNetWorth } = yearlyData[yearlyData.length - 1];
+      yearlyData.push({
+        ...createEmptyYear(year + 1, yearDate.toISOString().split('T')[0]),
+        benchmarkValue,
+        benchmarkNetWorth,
+        propertySold: true,
+        saleProceeds: exitSale.saleProceeds,
+        netWorth: exitSale.saleProceeds + cumulativeCashFlow,
+        cumulativeCashFlow,
+        cumulativeTaxSavings
+      });
+      continue;
+    }
+    
+    // Property value with appreciation
+    const propertyValue = inputs.purchasePrice * valueIndex[year];
+    
+    // Rent with increases; vacancy is a flat share of the year or the empty months of a turnover
+    const { monthlyRent, turnover } = rentSchedule[year];
+    const grossRent = monthlyRent * 12;
+    const vacancyShare = isOwnerOccupied
+      ? 0
+      : inputs.vacancyModel === 'turnover'
+        ? (turnover ? Math.min(12, inputs.vacancyMonthsPerTurnover) / 12 : 0)
+        : inputs.vacancyRate / 100;
+    const effectiveRent = grossRent * (1 - vacancyShare);
+    
+    // Operating costs with increases
+    const costGrowth = costIndex[year];
+    const monthlyOperatingCosts = (
+      inputs.monthlyPropertyManagement +
+      inputs.monthlyMaintenance +
+      inputs.monthlyInsurance +
+      inputs.monthlyOtherCosts
+    );
+    
+    // Hausgeld: recoverable costs are reimbursed by the tenant except during vacancy,
+    // the reserve is paid now but deductible only when the WEG spends it
+    const nonRecoverableHausgeld = Math.max(0, inputs.monthlyHausgeld - inputs.monthlyRecoverableCosts - inputs.monthlyMaintenanceReserve);
+    const recoverableShortfall = inputs.monthlyRecoverableCosts * vacancyShare;
+    const maintenanceReserveContribution = inputs.monthlyMaintenanceReserve * 12 * costGrowth;
+    maintenanceReserveBalance += maintenanceReserveContribution;
+    const maintenanceReserveSpent = maintenanceReserveBalance * (inputs.maintenanceReserveSpendingRate / 100);
+    maintenanceReserveBalance -= maintenanceReserveSpent;
+    
+    // Re-letting: broker fee on the new rent and cosmetic renovation, both deductible immediately
+    const reLettingCosts = turnover
+      ? inputs.reLettingBrokerMonths * monthlyRent + inputs.cosmeticRenovationCosts * costGrowth
+      : 0;
+    const companyCosts = isCompany ? inputs.companyAnnualCosts * costGrowth : 0;
+    
+    const totalOperatingCosts = (monthlyOperatingCosts + nonRecoverableHausgeld + recoverableShortfall) * 12 * costGrowth +
+      maintenanceReserveContribution + reLettingCosts + companyCosts;
+    const deductibleOperatingCosts = totalOperatingCosts - maintenanceReserveContribution + maintenanceReserveSpent;
+    
+    // Loan calculations (sum of the monthly annuity payments in this year)
+    loanStates.forEach(state => advanceLoan(state, (year + 1) * 12, startDate));
+    const loanTranches = loanStates.map(({ tranche, schedule }) => {
+      const trancheMonths = schedule.slice(year * 12, year * 12 + 12);
+      return {
+        name: tranche.name,
+        outstandingLoan: trancheMonths[0]?.openingBalance ?? 0,
+        interestPaid: trancheMonths.reduce((sum, m) => sum + m.interest, 0),
+        principalRepaid: trancheMonths.reduce((sum, m) => sum + m.principal, 0),
+        payment: trancheMonths.reduce((sum, m) => sum + m.payment, 0)
+      };
+    });
+    const outstandingLoan = loanTranches.reduce((sum, t) => sum + t.outstandingLoan, 0); // at start of year
+    const annualLoanPayment = loanTranches.reduce((sum, t) => sum + t.payment, 0);
+    const interestPaid = loanTranches.reduce((sum, t) => sum + t.interestPaid, 0);
+    const principalRepaid = annualLoanPayment - interestPaid;
+    
+    // Depreciation (Abschreibung), including capitalized CapEx; none for an owner-occupied home
+    const capex = capexSchedule[year];
+    const depreciation = isOwnerOccupied ? 0 : depreciationSchedule[year] + capex.depreciation;
+    cumulativeDepreciation += depreciation;
+    
+    // Renovation below the 15% limit is deductible maintenance in the first year
+    const renovationDeduction = year === 0 && !isOwnerOccupied ? depreciationBasis.renovationDeduction : 0;
+    
+    // CapEx maintenance; open §82b instalments are deducted in full in the year of sale
+    const isExitYear = inputs.exitYear !== null && year + 1 === inputs.exitYear;
+    const capexDeduction = isOwnerOccupied ? 0 : capex.deduction + (isExitYear ? capex.deferredDeduction : 0);
+    
+    // Taxable rental income (the rent saved by an owner-occupier is not income)
+    const taxableRentalIncome = isOwnerOccupied
+      ? 0
+      : effectiveRent - deductibleOperatingCosts - interestPaid - depreciation - renovationDeduction - capexDeduction;
+    
+    // Tax impact: difference between tax on other income alone and tax with the rental result;
+    // a GmbH is taxed on its own result and cannot pass losses to the shareholder.
+    // A loss above the other income is carried forward and offsets the next positive income.
+    const lossCarriedIn = privateLossCarryforward;
+    const privateIncome = inputs.annualIncome + (isCompany ? 0 : taxableRentalIncome);
+    const privateLossOffset = Math.min(lossCarriedIn, Math.max(0, privateIncome));
+    privateLossCarryforward = lossCarriedIn - privateLossOffset + Math.max(0, -privateIncome);
+    const taxWithRental = calculateGermanTax(
+      Math.max(0, privateIncome - privateLossOffset),
+      inputs.maritalStatus,
+      inputs.churchTaxLiability
+    );
+    const companyTax = isCompany
+      ? calculateCompanyTax(inputs, taxableRentalIncome, lossCarryforward)
+      : { corporateTax: 0, tradeTax: 0, lossCarryforward: 0 };
+    lossCarryforward = companyTax.lossCarryforward;
+    
+    const incomeTaxSavings = baseTax.incomeTax - taxWithRental.incomeTax;
+    const solidarityTaxSavings = baseTax.solidarityTax - taxWithRental.solidarityTax;
+    const churchTaxSavings = baseTax.churchTax - taxWithRental.churchTax;
+    const taxSavings = baseTax.totalTax - taxWithRental.totalTax - companyTax.corporateTax - companyTax.tradeTax;
+    
+    // Cash flow
+    const grossCashFlow = effectiveRent - totalOperatingCosts - capex.spending - annualLoanPayment;
+    
+    // Special repayment (Sondertilgung) at year end, paid out of the year's cash flow
+    const specialRepayment = applySpecialRepayment(
+      bankLoan,
+      getPlannedSpecialRepayment(inputs, bankLoan.tranche.amount, grossCashFlow + taxSavings)
+    );
+    let netCashFlow = grossCashFlow + taxSavings - specialRepayment;
+    
+    // GmbH: shortfalls come from retained cash, then from shareholder contributions; a share of each
+    // surplus is distributed, taxed as a dividend up to the retained earnings and returned from the Einlagekonto beyond
+    let dividendTax = 0;
+    if (isCompany) {
+      const companyCashFlow = netCashFlow;
+      retainedEarnings += taxableRentalIncome - companyTax.corporateTax - companyTax.tradeTax;
+      
+      if (companyCashFlow < 0) {
+        const fromRetainedCash = Math.min(retainedCash, -companyCashFlow);
+        retainedCash -= fromRetainedCash;
+        const contribution = -companyCashFlow - fromRetainedCash;
+        contributedCapital += contribution;
+        netCashFlow = -contribution;
+      } else {
+        const distribution = companyCashFlow * inputs.distributionRate / 100;
+        retainedCash += companyCashFlow - distribution;
+        const dividend = Math.min(distribution, Math.max(0, retainedEarnings));
+        retainedEarnings -= dividend;
+        contributedCapital = Math.max(0, contributedCapital - (distribution - dividend));
+        dividendTax = calculateCapitalIncomeTax(inputs, dividend);
+        netCashFlow = distribution - dividendTax;
+      }
+    }
+    
+    cumulativeCashFlow += netCashFlow;
+    cumulativeTaxSavings += taxSavings;
+    
+    // Sale at the end of this year (actual at the exit year, hypothetical otherwise)
+    const saleValue = inputs.purchasePrice * valueIndex[year + 1];
+    const closingLoan = loanStates.reduce((sum, state) => sum + state.balance, 0);
+    const sale = isCompany
+      ? calculateCompanySale(
+          inputs,
+          saleValue,
+          depreciationBasis.costBasis + capex.capitalized,
+          cumulativeDepreciation,
+          closingLoan,
+          maintenanceReserveBalance,
+          lossCarryforward,
+          retainedCash,
+          contributedCapital
+        )
+      : calculateSale(
+          inputs,
+          saleValue,
+          depreciationBasis.costBasis + capex.capitalized,
+          cumulativeDepreciation,
+          closingLoan,
+          maintenanceReserveBalance,
+          year + 1,
+          privateIncome - lossCarriedIn
+        );
+    if (isExitYear) {
+      exitSale = sale;
+    }
+    
+    // Equity and net worth
+    const equity = propertyValue - outstandingLoan;
+    const netWorth = sale.saleProceeds + cumulativeCashFlow;
+    
+    // Net operating income (before debt service and CapEx) over the annuity payments
+    const dscr = annualLoanPayment > 0 ? (effectiveRent - totalOperatingCosts) / annualLoanPayment : null;
+    
+    yearlyData.push({
+      year: year + 1,
+      date: yearDate.toISOString().split('T')[0],
+      propertyValue,
+      outstandingLoan,
+      annualLoanPayment,
+      interestPaid,
+      principalRepaid,
+      specialRepayment,
+      loanTranches: loanTranches.map(({ payment, ...tranche }) => tranche),
+      grossRent,
+      rentCapBinding: rentSchedule[year].capBinding,
+      tenantTurnover: turnover,
+      effectiveRent,
+      totalOperatingCosts,
+      reLettingCosts,
+      deductibleOperatingCosts,
+      maintenanceReserveContribution,
+      maintenanceReserveSpent,
+      maintenanceReserveBalance,
+      capitalExpenditure: capex.spending,
+      capexDeduction,
+      capexReclassified: capex.reclassified,
+      depreciation,
+      renovationDeduction,
+      taxableIncome: taxableRentalIncome,
+      incomeTaxSavings,
+      solidarityTaxSavings,
+      churchTaxSavings,
+      taxSavings,
+      lossCarryforward: privateLossCarryforward,
+      corporateTax: companyTax.corporateTax,
+      tradeTax: companyTax.tradeTax,
+      dividendTax,
+      retainedCash,
+      grossCashFlow,
+      netCashFlow,
+      propertySold: false,
+      saleValue: sale.saleValue,
+      sellingCosts: sale.sellingCosts,
+      capitalGain: sale.capitalGain,
+      speculationTax: sale.speculationTax,
+      saleCompanyTax: sale.companyTax,
+      saleProceeds: sale.saleProceeds,
+      ...advanceBenchmark(inputs, benchmark, netCashFlow),
+      dscr,
+      ltv: propertyValue > 0 ? outstandingLoan / propertyValue * 100 : 0,
+      cashOnCash: totalInvestment > 0 ? netCashFlow / totalInvestment * 100 : 0,
+      equity,
+      netWorth,
+      cumulativeCashFlow,
+      cumulativeTaxSavings
+    });
+  }
+  
+  // Run the loans to payoff (or the sale) beyond the projection horizon; the sweep has no cash flow to draw on there
+  const lastLoanYear = Math.min(inputs.exitYear ?? Infinity, MAX_LOAN_MONTHS / 12);
+  for (let year = years; loanStates.some(state => state.balance > 0.005) && year < lastLoanYear; year++) {
+    loanStates.forEach(state => advanceLoan(state, (year + 1) * 12, startDate));
+    if (inputs.specialRepaymentMode !== 'sweep') {
+      applySpecialRepayment(bankLoan, getPlannedSpecialRepayment(inputs, bankLoan.tranche.amount, 0));
     }
+  }
+  
+  const trancheSchedules = loanStates.map(({ tranche, schedule }) => ({ tranche, schedule }));
+  const loanSchedule = combineLoanSchedules(trancheSchedules);
+  // A balance left at the exit is repaid from the sale proceeds
+  const isLoanSoldOff = inputs.exitYear !== null && loanSchedule.length === inputs.exitYear * 12;
+  const isLoanRepaid = loanSchedule.length === 0 || isLoanSoldOff || loanSchedule[loanSchedule.length - 1].closingBalance <= 0.005;
+  
+  // Calculate summary metrics
+  // Cash flows to a horizon: net cash flows plus the after-tax sale proceeds at the horizon (or at the exit, if earlier)
+  const getHorizonCashFlows = (horizon: number): number[] => {
+    const saleYear = Math.min(horizon, inputs.exitYear ?? horizon);
+    const cashFlows = yearlyData.slice(0, horizon).map(d => d.netCashFlow);
+    cashFlows[saleYear - 1] += yearlyData[saleYear - 1].saleProceeds;
+    return cashFlows;
   };
   
-  const tableStyle: React.CSSProperties = {
-    borderCollapse: gapSize === '0' ? 'collapse' : 'separate',
-    borderSpacing: gapSize === '0' ? '0' : gapSize,
-    margin: '0 auto',
-    border: 'none'
+  const beyondProjection: IRRResult = { status: 'noSolution', rate: null, reason: 'Horizon beyond the projection period' };
+  
+  // Annual IRR: equity at time 0, each year's flows at its end
+  const calculateHorizonIRR = (horizon: number): IRRResult => {
+    if (yearlyData.length < horizon) return beyondProjection;
+    const times = Array.from({ length: horizon + 1 }, (_, idx) => idx);
+    return solveIRR([-totalInvestment, ...getHorizonCashFlows(horizon)], times);
   };
   
-  // Consistent font size for all labels (matching tornado chart)
-  const labelFontSize = '11px';
+  // XIRR: the flows on their calendar dates, Actual/365. Equity is paid on the purchase date, the monthly rent, costs
+  // and loan payments of a year fall on average in its middle, and the sale closes at the end of the sale year
+  const calculateHorizonXIRR = (horizon: number): IRRResult => {
+    if (yearlyData.length < horizon) return beyondProjection;
+    const saleYear = Math.min(horizon, inputs.exitYear ?? horizon);
+    const yearsAfterPurchase = (months: number): number => {
+      const date = new Date(startDate);
+      date.setMonth(date.getMonth() + months);
+      return Math.round((date.getTime() - startDate.getTime()) / (24 * 60 * 60 * 1000)) / 365;
+    };
+    const cashFlows = yearlyData.slice(0, horizon).map(d => d.netCashFlow);
+    const times = cashFlows.map((_, idx) => yearsAfterPurchase(idx * 12 + 6));
+    return solveIRR(
+      [-totalInvestment, ...cashFlows, yearlyData[saleYear - 1].saleProceeds],
+      [0, ...times, yearsAfterPurchase(saleYear * 12)]
+    );
+  };
   
-  return (
-    <div style={{ maxWidth: '800px', margin: '0 auto', overflowX: 'auto', WebkitOverflowScrolling: 'touch' }}>
-      <style>{`
-        .heatmap-table { 
-          border-collapse: collapse;
-          border: none !important;
-          background-color: white;
-        }
-        .heatmap-table th, 
-        .heatmap-table td,
-        .heatmap-table thead th,
-        .heatmap-table tbody th,
-        .heatmap-table tbody td,
-        .heatmap-table tfoot td { 
-          border: none !important;
-          outline: none !important;
-          padding: 0;
-        }
-        /* Add gap only between colored cells */
-        .heatmap-table tbody td.heatmap-data-cell { 
-          border: ${gapSize} solid white !important;
-          box-sizing: border-box;
-        }
-        
-        /* Container for overlay positioning */
-        .heatmap-container {
-          position: relative;
-          display: inline-block;
-        }
-        
-        /* Glossy blur overlay - preserved for reference */
-        /*
-        .heatmap-glossy-overlay {
-          position: absolute;
-          pointer-events: none;
-          z-index: 1;
-          backdrop-filter: blur(8px);
-          background: linear-gradient(
-            135deg,
-            rgba(255, 255, 255, 0.3) 0%,
-            rgba(255, 255, 255, 0.1) 50%,
-            rgba(255, 255, 255, 0.05) 100%
-          );
-          mix-blend-mode: overlay;
-        }
-        */
-        
-        /* Using Tailwind's backdrop-blur instead */
-        .heatmap-glossy-overlay {
-          position: absolute;
-          pointer-events: none;
-          z-index: 1;
-        }
-        
-        /* Ensure badges appear above overlay */
-        .heatmap-data-cell span {
-          position: relative;
-          z-index: 2;
-        }
-        
-        @media (max-width: 1024px) {
-          .heatmap-data-cell { width: 80px !important; height: 70px !important; }
-        }
-        @media (max-width: 768px) {
-          .heatmap-data-cell { width: 60px !important; height: 60px !important; }
-        }
-        @media (max-width: 480px) {
-          .heatmap-data-cell { width: 50px !important; height: 50px !important; }
-        }
-      `}</style>
-      
-      <div className="heatmap-container">
-        <table className="heatmap-table" id="heatmap-table-element">
-        <thead>
-          <tr>
-            <th 
-              colSpan={7} 
-              style={{ 
-                textAlign: 'center', 
-                padding: '8px', 
-                fontSize: labelFontSize,
-                fontWeight: 600, 
-                color: '#374151',
-                letterSpacing: '0.025em',
-                border: 'none'
-              }}
-            >
-              {xVarName}
-            </th>
-          </tr>
-          <tr>
-            <th style={{ width: '24px', border: 'none' }}></th>
-            <th style={{ width: '24px', border: 'none' }}></th>
-            {[0, 1, 2, 3, 4].map(x => {
-              const cell = heatmapData.find(d => d.x === x);
-              return (
-                <th 
-                  key={x} 
-                  style={{ 
-                    fontSize: labelFontSize,
-                    color: '#6b7280', 
-                    padding: '4px', 
-                    textAlign: 'center',
-                    letterSpacing: '0.025em',
-                    border: 'none'
-                  }}
-                >
-                  {cell?.xLabel}%
-                </th>
-              );
-            })}
-          </tr>
-        </thead>
-        <tbody>
-          {[4, 3, 2, 1, 0].map((y, idx) => {
-            const rowCells = [0, 1, 2, 3, 4].map(x => 
-              heatmapData.find(d => d.x === x && d.y === y)
-            );
-            const firstCell = rowCells[0];
-            
-            return (
-              <tr key={y}>
-                {idx === 0 && (
-                  <th 
-                    rowSpan={5}
-                    className="heatmap-vertical-label"
-                    style={{ 
-                      position: 'relative', 
-                      width: '24px', 
-                      padding: 0,
-                      border: 'none'
-                    }}
-                  >
-                    <div
-                      style={{
-                        position: 'absolute',
-                        top: '50%',
-                        left: '50%',
-                        transform: 'translate(-50%, -50%) rotate(-90deg)',
-                        whiteSpace: 'nowrap',
-                        fontSize: labelFontSize,
-                        fontWeight: 600,
-                        color: '#374151',
-                        letterSpacing: '0.025em'
-                      }}
-                    >
-                      {yVarName}
-                    </div>
-                  </th>
-                )}
-                
-                <th 
-                  className="heatmap-row-label"
-                  style={{ 
-                    position: 'relative', 
-                    width: '24px', 
-                    padding: 0,
-                    border: 'none'
-                  }}
-                >
-                  <div
-                    style={{
-                      position: 'absolute',
-                      top: '50%',
-                      left: '50%',
-                      transform: 'translate(-50%, -50%) rotate(-90deg)',
-                      whiteSpace: 'nowrap',
-                      fontSize: labelFontSize,
-                      color: '#6b7280',
-                      letterSpacing: '0.025em'
-                    }}
-                  >
-                    {firstCell?.yLabel}%
-                  </div>
-                </th>
-                
-                {rowCells.map((cell, x) => {
-                  if (!cell) return null;
-                  const color = getColor(cell.value, minValue, maxValue);
-                  const displayValue = isPercentMetric 
-                    ? formatPercent(cell.value, 1)
-                    : `${(cell.value / 1000).toFixed(0)}k`;
-                  const fullValue = isPercentMetric 
-                    ? formatPercent(cell.value) 
-                    : formatCurrency(cell.value);
-                  
-                  // Assign refs to first and last colored cells
-                  const isFirstCell = y === 4 && x === 0;
-                  const isLastCell = y === 0 && x === 4;
-                  
-                  return (
-                    <td 
-                      ref={isFirstCell ? firstCellRef : isLastCell ? lastCellRef : null} 
-                      key={x}
-                      className="heatmap-data-cell"
-                      style={{ 
-                        backgroundColor: color,
-                        width: '100px',
-                        height: '80px',
-                        textAlign: 'center',
-                        verticalAlign: 'middle',
-                        cursor: 'pointer'
-                      }}
-                      title={fullValue}
-                    >
-                      {/* Badge style with 25% opacity */}
-                      <span
-                        style={{
-                          backgroundColor: 'rgba(0, 0, 0, 0.25)',
-                          color: 'white',
-                          padding: '2px 8px',
-                          borderRadius: '4px',
-                          fontWeight: 500,
-                          fontSize: '12px',
-                          display: 'inline-block'
-                        }}
-                      >
-                        {displayValue}
-                      </span>
-                    </td>
-                  );
-                })}
-              </tr>
-            );
-          })}
-        </tbody>
-        <tfoot>
-          <tr>
-            {/* Empty cells for label columns */}
-            <td style={{ border: 'none' }}></td>
-            <td style={{ border: 'none' }}></td>
-            {/* Legend spanning only the colored cells */}
-            <td 
-              colSpan={5} 
-              style={{ 
-                textAlign: 'center', 
-                padding: '16px 8px 8px 8px',
-                border: 'none'
-              }}
-            >
-              <div style={{ display: 'flex', alignItems: 'center', justifyContent: 'center', gap: '16px', fontSize: '13px' }}>
-                <div style={{ display: 'flex', alignItems: 'center' }}>
-                  <div style={{ width: '32px', height: '16px', backgroundColor: 'rgb(255, 100, 100)', marginRight: '8px' }}></div>
-                  <span style={{ color: '#374151' }}>Low</span>
-                </div>
-                <div style={{ display: 'flex', alignItems: 'center' }}>
-                  <div style={{ width: '32px', height: '16px', backgroundColor: 'rgb(255, 255, 100)', marginRight: '8px' }}></div>
-                  <span style={{ color: '#374151' }}>Medium</span>
-                </div>
-                <div style={{ display: 'flex', alignItems: 'center' }}>
-                  <div style={{ width: '32px', height: '16px', backgroundColor: 'rgb(100, 255, 100)', marginRight: '8px' }}></div>
-                  <span style={{ color: '#374151' }}>High</span>
-                </div>
-              </div>
-            </td>
-          </tr>
-        </tfoot>
-      </table>
-      
-      {/* Glossy overlay - positioned over colored cells only, excludes legend */}
-      {glossyOverlay && overlayBounds.width > 0 && overlayBounds.height > 0 && (
-        <div 
-          className="heatmap-glossy-overlay backdrop-blur-sm"
-          style={{
-            top: `${overlayBounds.top}px`,
-            left: `${overlayBounds.left}px`,
-            width: `${overlayBounds.width}px`,
-            height: `${overlayBounds.height}px`,
-            overflow: 'hidden'
-          }}
-        />
-      )}
-      </div>
-    </div>
-  );
-};
-
-// ============================================================================
-// ============================================================================
-// MAIN COMPONENT
-// ============================================================================
-
-// ============================================================================
-// ============================================================================
-// MAIN COMPONENT
-// ============================================================================
-
-const GermanPropertyAnalyzer: React.FC = () => {
-  // Default values
-  const [inputs, setInputs] = useState<PropertyInputs>({
-    purchasePrice: 300000,
-    notaryAndLandRegistryFees: 1.5,
-    realEstateTransferTax: 5.0,
-    brokerCommission: 3.57,
-    renovationCosts: 10000,
-    equity: 60000,
-    interestRate: 3.75,
-    repaymentRate: 1.4,
-    monthlyRent: 1200,
-    monthlyPropertyManagement: 60,
-    monthlyMaintenance: 100,
-    monthlyInsurance: 30,
-    monthlyOtherCosts: 20,
-    rentIncreaseRate: 3.0,
-    propertyValueIncreaseRate: 3.0,
-    operatingCostsIncreaseRate: 2.0,
-    annualIncome: 60000,
-    maritalStatus: 'single',
-    marginalTaxRate: 42,
-    churchTaxLiability: false,
-    vacancyRate: 0,
-    depreciationRate: 2.0
-  });
+  const calculateHorizonNPV = (horizon: number): number => {
+    if (yearlyData.length < horizon) return 0;
+    return getHorizonCashFlows(horizon).reduce(
+      (npv, cashFlow, idx) => npv + cashFlow / Math.pow(1 + inputs.discountRate / 100, idx + 1),
+      -totalInvestment
+    );
+  };
   
-  const [projectionYears, setProjectionYears] = useState<10 | 20 | 40>(40);
-  const [sensitivityEnabled, setSensitivityEnabled] = useState(false);
-  const [analysisType, setAnalysisType] = useState<'quick' | 'one-way' | 'two-way'>('quick');
-  const [selectedPreset, setSelectedPreset] = useState<'base' | 'optimistic' | 'pessimistic' | 'custom'>('base');
+  // Equity multiple: everything paid out over everything paid in (equity plus negative cash flows)
+  const calculateEquityMultiple = (horizon: number): number => {
+    if (yearlyData.length < horizon) return 0;
+    const cashFlows = getHorizonCashFlows(horizon);
+    const distributions = cashFlows.reduce((sum, cf) => sum + Math.max(0, cf), 0);
+    const contributions = totalInvestment + cashFlows.reduce((sum, cf) => sum + Math.max(0, -cf), 0);
+    return contributions > 0 ? distributions / contributions : 0;
+  };
   
-  // Sensitivity variables
-  const sensitivityVariables: SensitivityVariable[] = [
-    { name: 'Interest Rate', key: 'interestRate', min: 2, max: 6, step: 0.25, unit: '%', currentValue: inputs.interestRate },
-    { name: 'Rent Increase', key: 'rentIncreaseRate', min: 1, max: 5, step: 0.5, unit: '%', currentValue: inputs.rentIncreaseRate },
-    { name: 'Property Value Increase', key: 'propertyValueIncreaseRate', min: 0, max: 5, step: 0.5, unit: '%', currentValue: inputs.propertyValueIncreaseRate },
-    { name: 'Operating Costs Increase', key: 'operatingCostsIncreaseRate', min: 1, max: 4, step: 0.5, unit: '%', currentValue: inputs.operatingCostsIncreaseRate },
-    { name: 'Vacancy Rate', key: 'vacancyRate', min: 0, max: 10, step: 1, unit: '%', currentValue: inputs.vacancyRate },
-    { name: 'Marginal Tax Rate', key: 'marginalTaxRate', min: 30, max: 50, step: 1, unit: '%', currentValue: inputs.marginalTaxRate },
-    { name: 'Repayment Rate', key: 'repaymentRate', min: 1, max: 3, step: 0.2, unit: '%', currentValue: inputs.repaymentRate },
-    { name: 'Depreciation Rate', key: 'depreciationRate', min: 1, max: 3, step: 0.5, unit: '%', currentValue: inputs.depreciationRate },
-  ];
+  // Payback: cumulative cash flow (plus realized sale proceeds after the exit) recovers the equity
+  const paybackEntry = yearlyData.find(d => {
+    const realized = inputs.exitYear !== null && d.year >= inputs.exitYear ? d.saleProceeds : 0;
+    return d.cumulativeCashFlow + realized >= totalInvestment;
+  });
   
-  const [customAdjustments, setCustomAdjustments] = useState<Partial<PropertyInputs>>({});
-  const [scenarios, setScenarios] = useState<Scenario[]>([
-    { name: 'Base', variables: {}, color: '#1e3a8a' }
-  ]);
-  const [showScenarioDialog, setShowScenarioDialog] = useState(false);
-  const [newScenarioName, setNewScenarioName] = useState('');
-  const [newScenarioType, setNewScenarioType] = useState<'optimistic' | 'pessimistic' | 'custom'>('custom');
-  const [editingScenarioIndex, setEditingScenarioIndex] = useState<number | null>(null);
+  // Break-even: the property (or, owner-occupied, buying) stays ahead of the ETF benchmark (renting and investing) from here on.
+  // The comparison ends at the exit; after it the property side only holds the sale proceeds
+  let breakEvenYear: number | null = null;
+  const lastComparedYear = Math.min(yearlyData.length, inputs.exitYear ?? Infinity);
+  for (let idx = lastComparedYear - 1; idx >= 0 && yearlyData[idx].netWorth >= yearlyData[idx].benchmarkNetWorth; idx--) {
+    breakEvenYear = idx + 1;
+  }
   
-  // Tornado chart settings
-  const [showTornadoChart, setShowTornadoChart] = useState(false);
-  const [tornadoMetric, setTornadoMetric] = useState<'irr10' | 'irr20' | 'irr40' | 'cashflow' | 'networth'>('irr20');
+  const dscrValues = yearlyData.map(d => d.dscr).filter((dscr): dscr is number => dscr !== null);
+  const annualRent = inputs.monthlyRent * 12;
   
-  // Heatmap settings
-  const [showHeatmap, setShowHeatmap] = useState(false);
-  const [heatmapVarX, setHeatmapVarX] = useState<keyof PropertyInputs>('interestRate');
-  const [heatmapVarY, setHeatmapVarY] = useState<keyof PropertyInputs>('rentIncreaseRate');
-  const [heatmapMetric, setHeatmapMetric] = useState<'irr10' | 'irr20' | 'irr40' | 'cashflow' | 'networth'>('irr20');
+  const irr10 = calculateHorizonIRR(10);
+  const irr20 = calculateHorizonIRR(20);
+  const irr40 = calculateHorizonIRR(40);
   
-  // Calculate projections
-  const baseProjection = useMemo(() => calculateProjections(inputs, projectionYears), [inputs, projectionYears]);
+  // Real IRR: (1 + nominal) / (1 + inflation) - 1
+  const toRealIRR = (irr: IRRResult) =>
+    irr.rate !== null ? ((1 + irr.rate / 100) / (1 + inputs.inflationRate / 100) - 1) * 100 : null;
   
-  // Calculate scenario projections
-  const scenarioProjections = useMemo(() => {
-    if (!sensitivityEnabled) return [baseProjection];
-    
-    return scenarios.map(scenario => {
-      const scenarioInputs = { ...inputs, ...scenario.variables };
-      return calculateProjections(scenarioInputs, projectionYears);
-    });
-  }, [inputs, scenarios, sensitivityEnabled, projectionYears]);
-  
-  // Calculate tornado chart data
-  const tornadoData = useMemo(() => {
-    if (!showTornadoChart) return [];
-    
-    const getMetricValue = (projection: ProjectionResults): number => {
-      switch (tornadoMetric) {
-        case 'irr10': return projection.summary.irr10Year;
-        case 'irr20': return projection.summary.irr20Year;
-        case 'irr40': return projection.summary.irr40Year;
-        case 'cashflow': 
-          return projectionYears === 10 ? projection.summary.totalCashFlow10Year :
-                 projectionYears === 20 ? projection.summary.totalCashFlow20Year :
-                 projection.summary.totalCashFlow40Year;
-        case 'networth':
-          return projectionYears === 10 ? projection.summary.netWorth10Year :
-                 projectionYears === 20 ? projection.summary.netWorth20Year :
-                 projection.summary.netWorth40Year;
-      }
-    };
-    
-    const baseValue = getMetricValue(baseProjection);
-    
-    return sensitivityVariables.map(variable => {
-      // Calculate with min value
-      const minInputs = { ...inputs, [variable.key]: variable.min };
-      const minProjection = calculateProjections(minInputs, projectionYears);
-      const minValue = getMetricValue(minProjection);
-      
-      // Calculate with max value
-      const maxInputs = { ...inputs, [variable.key]: variable.max };
-      const maxProjection = calculateProjections(maxInputs, projectionYears);
-      const maxValue = getMetricValue(maxProjection);
-      
-      return {
-        variable: variable.name,
-        minImpact: minValue,  // Store absolute value, not delta
-        maxImpact: maxValue,  // Store absolute value, not delta
-        baseValue: baseValue,
-        range: Math.abs(maxValue - minValue)
-      };
-    }).sort((a, b) => b.range - a.range); // Sort by total range
-  }, [showTornadoChart, tornadoMetric, inputs, projectionYears, baseProjection]);
-  
-  // Calculate heatmap data
-  const heatmapData = useMemo(() => {
-    if (!showHeatmap) return [];
-    
-    const varX = sensitivityVariables.find(v => v.key === heatmapVarX);
-    const varY = sensitivityVariables.find(v => v.key === heatmapVarY);
-    
-    if (!varX || !varY) return [];
-    
-    const stepsX = 5;
-    const stepsY = 5;
-    const stepSizeX = (varX.max - varX.min) / (stepsX - 1);
-    const stepSizeY = (varY.max - varY.min) / (stepsY - 1);
-    
-    const getMetricValue = (projection: ProjectionResults): number => {
-      switch (heatmapMetric) {
-        case 'irr10': return projection.summary.irr10Year;
-        case 'irr20': return projection.summary.irr20Year;
-        case 'irr40': return projection.summary.irr40Year;
-        case 'cashflow': 
-          return projectionYears === 10 ? projection.summary.totalCashFlow10Year :
-                 projectionYears === 20 ? projection.summary.totalCashFlow20Year :
-                 projection.summary.totalCashFlow40Year;
-        case 'networth':
-          return projectionYears === 10 ? projection.summary.netWorth10Year :
-                 projectionYears === 20 ? projection.summary.netWorth20Year :
-                 projection.summary.netWorth40Year;
-      }
+  return {
+    yearlyData,
+    loanSchedule,
+    trancheSchedules,
+    summary: {
+      totalInvestment,
+      acquisitionCosts,
+      depreciationBasis,
+      loanTermMonths: isLoanRepaid ? loanSchedule.length : null,
+      // Without a loan (equity covers the purchase) there is nothing to repay after the purchase date
+      loanPayoffDate: isLoanRepaid ? loanSchedule[loanSchedule.length - 1]?.date ?? startDate.toISOString().split('T')[0] : null,
+      totalInterestPaid: loanSchedule.reduce((sum, m) => sum + m.interest, 0),
+      totalSpecialRepayments: loanSchedule.reduce((sum, m) => sum + m.specialRepayment, 0),
+      exitYear: exitSale ? inputs.exitYear : null,
+      exitSaleProceeds: exitSale?.saleProceeds ?? 0,
+      exitSpeculationTax: exitSale?.speculationTax ?? 0,
+      exitCompanyTax: exitSale?.companyTax ?? 0,
+      irr10Year: irr10,
+      irr20Year: irr20,
+      irr40Year: irr40,
+      xirr10Year: calculateHorizonXIRR(10),
+      xirr20Year: calculateHorizonXIRR(20),
+      xirr40Year: calculateHorizonXIRR(40),
+      realIrr10Year: toRealIRR(irr10),
+      realIrr20Year: toRealIRR(irr20),
+      realIrr40Year: toRealIRR(irr40),
+      npv10Year: calculateHorizonNPV(10),
+      npv20Year: calculateHorizonNPV(20),
+      npv40Year: calculateHorizonNPV(40),
+      equityMultiple10Year: calculateEquityMultiple(10),
+      equityMultiple20Year: calculateEquityMultiple(20),
+      equityMultiple40Year: calculateEquityMultiple(40),
+      minDscr: dscrValues.length > 0 ? Math.min(...dscrValues) : null,
+      initialLtv: inputs.purchasePrice > 0 ? loanAmount / inputs.purchasePrice * 100 : 0,
+      firstYearCashOnCash: yearlyData[0]?.cashOnCash ?? 0,
+      grossRentalYield: inputs.purchasePrice > 0 ? annualRent / inputs.purchasePrice * 100 : 0,
+      purchasePriceFactor: annualRent > 0 ? inputs.purchasePrice / annualRent : 0,
+      paybackYear: paybackEntry?.year ?? null,
+      totalCashFlow10Year: yearlyData[9]?.cumulativeCashFlow || 0,
+      totalCashFlow20Year: yearlyData[19]?.cumulativeCashFlow || 0,
+      totalCashFlow40Year: yearlyData[39]?.cumulativeCashFlow || 0,
+      netWorth10Year: yearlyData[9]?.netWorth || 0,
+      netWorth20Year: yearlyData[19]?.netWorth || 0,
+      netWorth40Year: yearlyData[39]?.netWorth || 0,
+      benchmarkNetWorth10Year: yearlyData[9]?.benchmarkNetWorth || 0,
+      benchmarkNetWorth20Year: yearlyData[19]?.benchmarkNetWorth || 0,
+      benchmarkNetWorth40Year: yearlyData[39]?.benchmarkNetWorth || 0,
+      breakEvenYear,
+      averageAnnualCashFlow: (yearlyData[Math.min(39, yearlyData.length - 1)]?.cumulativeCashFlow || 0) / Math.min(40, yearlyData.length),
+      roiAtYear10: yearlyData[9] ? (yearlyData[9].netWorth / totalInvestment - 1) * 100 : 0,
+      roiAtYear20: yearlyData[19] ? (yearlyData[19].netWorth / totalInvestment - 1) * 100 : 0,
+      roiAtYear40: yearlyData[39] ? (yearlyData[39].netWorth / totalInvestment - 1) * 100 : 0
+    }
+  };
+}
+
+// ============================================================================
+// INFLATION ADJUSTMENT
+// ============================================================================
+
+// Converts a nominal amount at the end of the given projection year into today's euros
+function deflate(value: number, inflationRate: number, year: number): number {
+  return value / Math.pow(1 + inflationRate / 100, year);
+}
+
+// Ratios and counters are not deflated
+const NON_CURRENCY_FIELDS = new Set<keyof YearlyProjection>(['year', 'dscr', 'ltv', 'cashOnCash']);
+
+// Real view of a projection: every currency figure of year N is divided by the price level of year N.
+// The monthly loan schedules and loan totals stay nominal.
+function deflateProjection(projection: ProjectionResults, inflationRate: number): ProjectionResults {
+  const yearlyData = projection.yearlyData.map(data => {
+    const real = {
+      ...data,
+      loanTranches: data.loanTranches.map(tranche => ({
+        ...tranche,
+        outstandingLoan: deflate(tranche.outstandingLoan, inflationRate, data.year),
+        interestPaid: deflate(tranche.interestPaid, inflationRate, data.year),
+        principalRepaid: deflate(tranche.principalRepaid, inflationRate, data.year)
+      }))
     };
-    
-    const data: Array<{ x: number; y: number; xLabel: string; yLabel: string; value: number }> = [];
-    
-    for (let i = 0; i < stepsY; i++) {
-      for (let j = 0; j < stepsX; j++) {
-        const xValue = varX.min + j * stepSizeX;
-        const yValue = varY.min + i * stepSizeY;
-        
-        const testInputs = { 
-          ...inputs, 
-          [heatmapVarX]: xValue,
-          [heatmapVarY]: yValue
-        };
-        
-        const projection = calculateProjections(testInputs, projectionYears);
-        const metricValue = getMetricValue(projection);
-        
-        data.push({
-          x: j,
-          y: i,
-          xLabel: xValue.toFixed(2),
-          yLabel: yValue.toFixed(2),
-          value: metricValue
-        });
+    (Object.keys(data) as Array<keyof YearlyProjection>).forEach(key => {
+      const value = data[key];
+      if (!NON_CURRENCY_FIELDS.has(key) && typeof value === 'number') {
+        (real as unknown as Record<string, number>)[key] = deflate(value, inflationRate, data.year);
       }
-    }
-    
-    return data;
-  }, [showHeatmap, heatmapVarX, heatmapVarY, heatmapMetric, inputs, projectionYears]);
+    });
+    return real;
+  });
   
-  // Handlers
-  const handleInputChange = (key: keyof PropertyInputs, value: number | string | boolean) => {
-    setInputs(prev => ({ ...prev, [key]: value }));
-  };
+  // Running totals add up each year's real flow; the nominal total deflated by the last year would mix price levels
+  let cumulativeCashFlow = 0;
+  let cumulativeTaxSavings = 0;
+  let benchmarkContributions = 0;
+  yearlyData.forEach(d => {
+    cumulativeCashFlow += d.netCashFlow;
+    cumulativeTaxSavings += d.taxSavings;
+    benchmarkContributions += d.benchmarkContribution;
+    d.cumulativeCashFlow = cumulativeCashFlow;
+    d.cumulativeTaxSavings = cumulativeTaxSavings;
+    d.netWorth = d.saleProceeds + cumulativeCashFlow;
+    d.benchmarkNetWorth = d.benchmarkValue - benchmarkContributions;
+  });
   
-  const getPresetAdjustments = (preset: 'optimistic' | 'pessimistic'): Partial<PropertyInputs> => {
-    if (preset === 'optimistic') {
-      return {
-        interestRate: Math.max(2, inputs.interestRate - 0.5),
-        rentIncreaseRate: Math.min(5, inputs.rentIncreaseRate + 1),
-        propertyValueIncreaseRate: Math.min(5, inputs.propertyValueIncreaseRate + 1),
-        vacancyRate: 0
-      };
-    } else {
-      return {
-        interestRate: Math.min(6, inputs.interestRate + 1),
-        rentIncreaseRate: Math.max(1, inputs.rentIncreaseRate - 1),
-        propertyValueIncreaseRate: Math.max(0, inputs.propertyValueIncreaseRate - 1),
-        vacancyRate: 5
-      };
+  const { summary } = projection;
+  const realROI = (horizon: number) =>
+    yearlyData[horizon - 1] ? (yearlyData[horizon - 1].netWorth / summary.totalInvestment - 1) * 100 : 0;
+  const averageYears = Math.min(40, yearlyData.length);
+  
+  return {
+    ...projection,
+    yearlyData,
+    summary: {
+      ...summary,
+      exitSaleProceeds: deflate(summary.exitSaleProceeds, inflationRate, summary.exitYear ?? 0),
+      exitSpeculationTax: deflate(summary.exitSpeculationTax, inflationRate, summary.exitYear ?? 0),
+      exitCompanyTax: deflate(summary.exitCompanyTax, inflationRate, summary.exitYear ?? 0),
+      totalCashFlow10Year: yearlyData[9]?.cumulativeCashFlow || 0,
+      totalCashFlow20Year: yearlyData[19]?.cumulativeCashFlow || 0,
+      totalCashFlow40Year: yearlyData[39]?.cumulativeCashFlow || 0,
+      netWorth10Year: yearlyData[9]?.netWorth || 0,
+      netWorth20Year: yearlyData[19]?.netWorth || 0,
+      netWorth40Year: yearlyData[39]?.netWorth || 0,
+      benchmarkNetWorth10Year: yearlyData[9]?.benchmarkNetWorth || 0,
+      benchmarkNetWorth20Year: yearlyData[19]?.benchmarkNetWorth || 0,
+      benchmarkNetWorth40Year: yearlyData[39]?.benchmarkNetWorth || 0,
+      averageAnnualCashFlow: yearlyData.slice(0, averageYears).reduce((sum, d) => sum + d.netCashFlow, 0) / averageYears,
+      roiAtYear10: realROI(10),
+      roiAtYear20: realROI(20),
+      roiAtYear40: realROI(40)
     }
   };
-  
-  const getScenarioColor = (index: number): string => {
-    const colors = ['#1e3a8a', '#10b981', '#ef4444', '#8b5cf6', '#f59e0b', '#3b82f6', '#ec4899', '#14b8a6'];
-    return colors[index % colors.length];
+}
+
+// ============================================================================
+// PORTFOLIO AGGREGATION
+// ============================================================================
+
+interface PortfolioProperty {
+  id: number;
+  name: string;
+  purchaseYear: number; // portfolio year in which the property is bought (1 = now)
+  inputs: PropertyInputs;
+}
+
+interface PortfolioYear {
+  year: number;
+  date: string;
+  properties: Array<{ netCashFlow: number; netWorth: number } | null>; // per property, null before its purchase
+  equityInvested: number; // equity of the properties bought at the start of this year
+  taxableIncome: number; // combined rental result of the privately held properties
+  saleGains: number; // taxable §23 gains of private sales at their exit year
+  taxSavings: number; // tax effect of the combined rental result and sale gains
+  taxPoolingEffect: number; // combined tax effect minus the properties' stand-alone tax effects
+  netCashFlow: number;
+  cumulativeCashFlow: number;
+  cumulativeTaxPoolingEffect: number;
+  netWorth: number; // properties' net worth plus the cumulative pooling effect
+}
+
+interface PortfolioResults {
+  properties: Array<{ id: number; name: string; purchaseYear: number; projection: ProjectionResults }>;
+  years: PortfolioYear[];
+  summary: {
+    totalEquity: number;
+    irr10Year: IRRResult;
+    irr20Year: IRRResult;
+    irr40Year: IRRResult;
+    totalCashFlow10Year: number;
+    totalCashFlow20Year: number;
+    totalCashFlow40Year: number;
+    netWorth10Year: number;
+    netWorth20Year: number;
+    netWorth40Year: number;
   };
+}
+
+// Projects every property from its purchase year and combines the streams. Each property is first projected on
+// its own; the private rental results are then taxed together, and the difference to the stand-alone tax effects
+// (losses of one property offsetting profits of another, progression) is reported as the tax pooling effect.
+function calculatePortfolioProjections(properties: PortfolioProperty[], years: number): PortfolioResults {
+  const entries = properties
+    .filter(property => property.purchaseYear <= years)
+    .map(property => ({
+      id: property.id,
+      name: property.name,
+      purchaseYear: property.purchaseYear,
+      inputs: property.inputs,
+      isPrivate: property.inputs.ownershipStructure === 'private',
+      projection: calculateProjections(property.inputs, years - property.purchaseYear + 1, property.purchaseYear - 1)
+    }));
   
-  const isValidAdjustment = (key: keyof PropertyInputs, value: number, type: 'optimistic' | 'pessimistic' | 'custom'): boolean => {
-    if (type === 'custom') return true;
-    
-    const baseValue = inputs[key] as number;
-    
-    // For optimistic scenarios, certain variables should be better than base
-    if (type === 'optimistic') {
-      // Lower is better: interest rate, operating costs increase, vacancy rate
-      if (key === 'interestRate' || key === 'operatingCostsIncreaseRate' || key === 'vacancyRate') {
-        return value <= baseValue;
-      }
-      // Higher is better: rent increase, property value increase, repayment rate, depreciation rate
-      if (key === 'rentIncreaseRate' || key === 'propertyValueIncreaseRate' || key === 'repaymentRate' || key === 'depreciationRate') {
-        return value >= baseValue;
-      }
-      // Tax rate doesn't have a clear optimistic direction, allow any
-      return true;
-    }
+  // One investor: the tax profile of the first privately held property in the projection applies to the pooled tax
+  const taxProfile = entries.find(entry => entry.isPrivate)?.inputs;
+  const baseTax = taxProfile
+    ? calculateGermanTax(taxProfile.annualIncome, taxProfile.maritalStatus, taxProfile.churchTaxLiability)
+    : null;
+  
+  const today = new Date();
+  const startDate = new Date(today.getFullYear(), today.getMonth() + 1, 1);
+  
+  const portfolioYears: PortfolioYear[] = [];
+  let cumulativeCashFlow = 0;
+  let cumulativeTaxPoolingEffect = 0;
+  let lossCarryforward = 0; // combined loss above the other income (§10d EStG)
+  
+  for (let year = 0; year < years; year++) {
+    const yearDate = new Date(startDate);
+    yearDate.setFullYear(yearDate.getFullYear() + year);
     
-    // For pessimistic scenarios, opposite logic
-    if (type === 'pessimistic') {
-      // Higher is worse: interest rate, operating costs increase, vacancy rate
-      if (key === 'interestRate' || key === 'operatingCostsIncreaseRate' || key === 'vacancyRate') {
-        return value >= baseValue;
-      }
-      // Lower is worse: rent increase, property value increase, repayment rate, depreciation rate
-      if (key === 'rentIncreaseRate' || key === 'propertyValueIncreaseRate' || key === 'repaymentRate' || key === 'depreciationRate') {
-        return value <= baseValue;
-      }
-      return true;
-    }
+    const propertyYears = entries.map(entry => entry.projection.yearlyData[year - entry.purchaseYear + 1] ?? null);
+    const privateYears = propertyYears.filter((d, idx): d is YearlyProjection => d !== null && entries[idx].isPrivate);
     
-    return true;
-  };
-  
-  const addScenario = () => {
-    if (!newScenarioName.trim()) {
-      alert('Please enter a scenario name');
-      return;
-    }
+    const taxableIncome = privateYears.reduce((sum, d) => sum + d.taxableIncome, 0);
     
-    const adjustments = newScenarioType === 'custom' 
-      ? customAdjustments 
-      : getPresetAdjustments(newScenarioType);
+    // Private rental sales at their exit year within the speculation period; losses only offset other sale gains,
+    // and the Freigrenze applies to the year's total
+    const exitSales = propertyYears.filter((d, idx): d is YearlyProjection => {
+      const entry = entries[idx];
+      return d !== null && entry.isPrivate && entry.inputs.usageMode === 'rental' &&
+        d.year === entry.projection.summary.exitYear && d.year <= SPECULATION_PERIOD_YEARS;
+    });
+    const totalSaleGains = Math.max(0, exitSales.reduce((sum, d) => sum + d.capitalGain, 0));
+    const saleGains = totalSaleGains >= SPECULATION_TAX_EXEMPTION_LIMIT ? totalSaleGains : 0;
     
-    if (Object.keys(adjustments).length === 0 && newScenarioType === 'custom') {
-      alert('Please adjust at least one variable for custom scenarios');
-      return;
-    }
+    // Stand-alone, each property's rental tax effect less its own speculation tax
+    const standaloneTaxSavings = privateYears.reduce((sum, d) => sum + d.taxSavings, 0) -
+      exitSales.reduce((sum, d) => sum + d.speculationTax, 0);
+    const combinedIncome = (taxProfile?.annualIncome ?? 0) + taxableIncome + saleGains;
+    const lossOffset = Math.min(lossCarryforward, Math.max(0, combinedIncome));
+    lossCarryforward = lossCarryforward - lossOffset + Math.max(0, -combinedIncome);
+    const taxSavings = taxProfile && baseTax
+      ? baseTax.totalTax - calculateGermanTax(
+          Math.max(0, combinedIncome - lossOffset),
+          taxProfile.maritalStatus,
+          taxProfile.churchTaxLiability
+        ).totalTax
+      : 0;
+    const taxPoolingEffect = privateYears.length > 0 ? taxSavings - standaloneTaxSavings : 0;
     
-    const newScenario: Scenario = {
-      name: newScenarioName,
-      variables: adjustments,
-      color: getScenarioColor(scenarios.length)
-    };
+    const netCashFlow = propertyYears.reduce((sum, d) => sum + (d?.netCashFlow ?? 0), 0) + taxPoolingEffect;
+    cumulativeCashFlow += netCashFlow;
+    cumulativeTaxPoolingEffect += taxPoolingEffect;
     
-    if (editingScenarioIndex !== null) {
-      const updated = [...scenarios];
-      updated[editingScenarioIndex] = newScenario;
-      setScenarios(updated);
-    } else {
-      setScenarios([...scenarios, newScenario]);
+    portfolioYears.push({
+      year: year + 1,
+      date: yearDate.toISOString().split('T')[0],
+      properties: propertyYears.map(d => d ? { netCashFlow: d.netCashFlow, netWorth: d.netWorth } : null),
+      equityInvested: entries
+        .filter(entry => entry.purchaseYear === year + 1)
+        .reduce((sum, entry) => sum + entry.projection.summary.totalInvestment, 0),
+      taxableIncome,
+      saleGains,
+      taxSavings,
+      taxPoolingEffect,
+      netCashFlow,
+      cumulativeCashFlow,
+      cumulativeTaxPoolingEffect,
+      netWorth: propertyYears.reduce((sum, d) => sum + (d?.netWorth ?? 0), 0) + cumulativeTaxPoolingEffect
+    });
+  }
+  
+  // Flows at times 0..horizon: equity when a property is bought, net cash flows, and each property's
+  // after-tax sale proceeds at the horizon or at its own exit
+  const calculateHorizonIRR = (horizon: number): IRRResult => {
+    if (portfolioYears.length < horizon) {
+      return { status: 'noSolution', rate: null, reason: 'Horizon beyond the projection period' };
     }
-    
-    setShowScenarioDialog(false);
-    setNewScenarioName('');
-    setNewScenarioType('custom');
-    setCustomAdjustments({});
-    setEditingScenarioIndex(null);
+    const flows = Array.from({ length: horizon + 1 }, (_, t) => t > 0 ? portfolioYears[t - 1].netCashFlow : 0);
+    entries.filter(entry => entry.purchaseYear <= horizon).forEach(entry => {
+      const offset = entry.purchaseYear - 1;
+      const saleYear = Math.min(horizon - offset, entry.projection.summary.exitYear ?? Infinity);
+      flows[offset] -= entry.projection.summary.totalInvestment;
+      flows[offset + saleYear] += entry.projection.yearlyData[saleYear - 1].saleProceeds;
+    });
+    return solveIRR(flows, flows.map((_, t) => t));
   };
   
-  const removeScenario = (index: number) => {
-    if (index === 0) return; // Can't remove base scenario
-    setScenarios(scenarios.filter((_, i) => i !== index));
+  return {
+    properties: entries.map(({ id, name, purchaseYear, projection }) => ({ id, name, purchaseYear, projection })),
+    years: portfolioYears,
+    summary: {
+      totalEquity: entries.reduce((sum, entry) => sum + entry.projection.summary.totalInvestment, 0),
+      irr10Year: calculateHorizonIRR(10),
+      irr20Year: calculateHorizonIRR(20),
+      irr40Year: calculateHorizonIRR(40),
+      totalCashFlow10Year: portfolioYears[9]?.cumulativeCashFlow || 0,
+      totalCashFlow20Year: portfolioYears[19]?.cumulativeCashFlow || 0,
+      totalCashFlow40Year: portfolioYears[39]?.cumulativeCashFlow || 0,
+      netWorth10Year: portfolioYears[9]?.netWorth || 0,
+      netWorth20Year: portfolioYears[19]?.netWorth || 0,
+      netWorth40Year: portfolioYears[39]?.netWorth || 0
+    }
   };
+}
+
+// Real view of a portfolio; IRRs stay nominal like those of a single property.
+// Running totals add up each year's real flow, as in deflateProjection.
+function deflatePortfolio(portfolio: PortfolioResults, inflationRate: number): PortfolioResults {
+  const nominalPropertyCashFlows = portfolio.properties.map(() => 0);
+  const realPropertyCashFlows = portfolio.properties.map(() => 0);
+  let cumulativeCashFlow = 0;
+  let cumulativeTaxPoolingEffect = 0;
   
-  const editScenario = (index: number) => {
-    if (index === 0) return; // Can't edit base scenario
-    const scenario = scenarios[index];
-    setNewScenarioName(scenario.name);
-    setCustomAdjustments(scenario.variables);
-    setEditingScenarioIndex(index);
-    setShowScenarioDialog(true);
-  };
+  const years = portfolio.years.map(d => {
+    const properties = d.properties.map((p, idx) => {
+      if (!p) return null;
+      const netCashFlow = deflate(p.netCashFlow, inflationRate, d.year);
+      nominalPropertyCashFlows[idx] += p.netCashFlow;
+      realPropertyCashFlows[idx] += netCashFlow;
+      // Of a property's net worth only the sale proceeds are a position of this year
+      const saleProceeds = p.netWorth - nominalPropertyCashFlows[idx];
+      return { netCashFlow, netWorth: deflate(saleProceeds, inflationRate, d.year) + realPropertyCashFlows[idx] };
+    });
+    const taxPoolingEffect = deflate(d.taxPoolingEffect, inflationRate, d.year);
+    const netCashFlow = deflate(d.netCashFlow, inflationRate, d.year);
+    cumulativeCashFlow += netCashFlow;
+    cumulativeTaxPoolingEffect += taxPoolingEffect;
+    
+    return {
+      ...d,
+      properties,
+      equityInvested: deflate(d.equityInvested, inflationRate, d.year - 1),
+      taxableIncome: deflate(d.taxableIncome, inflationRate, d.year),
+      saleGains: deflate(d.saleGains, inflationRate, d.year),
+      taxSavings: deflate(d.taxSavings, inflationRate, d.year),
+      taxPoolingEffect,
+      netCashFlow,
+      cumulativeCashFlow,
+      cumulativeTaxPoolingEffect,
+      netWorth: properties.reduce((sum, p) => sum + (p?.netWorth ?? 0), 0) + cumulativeTaxPoolingEffect
+    };
+  });
   
-  const openScenarioDialog = (type?: 'optimistic' | 'pessimistic') => {
-    if (type) {
-      setNewScenarioType(type);
-      setCustomAdjustments(getPresetAdjustments(type));
-      setNewScenarioName(type === 'optimistic' ? 'Optimistic' : 'Pessimistic');
-    } else {
-      setNewScenarioType('custom');
-      setCustomAdjustments({});
-      setNewScenarioName('');
+  return {
+    ...portfolio,
+    years,
+    summary: {
+      ...portfolio.summary,
+      totalCashFlow10Year: years[9]?.cumulativeCashFlow || 0,
+      totalCashFlow20Year: years[19]?.cumulativeCashFlow || 0,
+      totalCashFlow40Year: years[39]?.cumulativeCashFlow || 0,
+      netWorth10Year: years[9]?.netWorth || 0,
+      netWorth20Year: years[19]?.netWorth || 0,
+      netWorth40Year: years[39]?.netWorth || 0
     }
-    setEditingScenarioIndex(null);
-    setShowScenarioDialog(true);
   };
+}
+
+// ============================================================================
+// HOUSEHOLD BUDGET (HAUSHALTSRECHNUNG)
+// ============================================================================
+
+// Typical bank limit for all debt service (new loan and existing obligations) as a share of the counted income
+const BANK_MAX_DEBT_SERVICE_RATIO = 0.4;
+
+interface BudgetCriterion {
+  label: string;
+  passed: boolean;
+}
+
+interface HouseholdBudget {
+  netIncome: number; // all amounts € per month in the first year
+  countedRent: number; // new rent after the bank's haircut
+  livingCosts: number;
+  obligations: number;
+  propertyCosts: number; // running costs of the property paid by the owner
+  loanPayment: number; // annuity of all tranches
+  surplus: number;
+  stressLoanPayment: number; // whole loan at the follow-up rate
+  debtServiceRatio: number; // % of net income plus counted rent
+  loanAmount: number;
+  maxLoan: number; // at the bank loan's rate and repayment
+  criteria: BudgetCriterion[];
+  passed: boolean;
+}
+
+// Bank view of the first year: the household has to carry the new loan from its income and the counted rent.
+// Tax effects are left out, as most banks do.
+function calculateHouseholdBudget(inputs: PropertyInputs, projection: ProjectionResults): HouseholdBudget {
+  const firstYear = projection.yearlyData[0];
+  const netIncome = inputs.monthlyNetIncome;
+  const countedRent = inputs.usageMode === 'rental' ? inputs.monthlyRent * inputs.bankRentHaircut / 100 : 0;
+  const livingCosts = inputs.monthlyLivingCosts;
+  const obligations = inputs.monthlyObligations;
+  const propertyCosts = (firstYear?.totalOperatingCosts ?? 0) / 12;
+  const loanPayment = (firstYear?.annualLoanPayment ?? 0) / 12;
+  const surplus = netIncome + countedRent - livingCosts - obligations - propertyCosts - loanPayment;
   
-  const handleCustomAdjustment = (key: keyof PropertyInputs, value: number) => {
-    // Validate for preset types
-    if (newScenarioType !== 'custom' && !isValidAdjustment(key, value, newScenarioType)) {
-      // Don't update if it violates the preset direction
-      return;
+  const loanAmount = Math.max(0, projection.summary.acquisitionCosts - inputs.equity);
+  const stressLoanPayment = loanAmount * (inputs.followUpInterestRate + inputs.repaymentRate) / 100 / 12;
+  const countedIncome = netIncome + countedRent;
+  const debtServiceRatio = countedIncome > 0 ? (loanPayment + obligations) / countedIncome * 100 : Infinity;
+  
+  // Largest annuity the household can carry: limited by the surplus and by the debt service ratio
+  const maxLoanPayment = Math.max(0, Math.min(
+    countedIncome - livingCosts - obligations - propertyCosts,
+    countedIncome * BANK_MAX_DEBT_SERVICE_RATIO - obligations
+  ));
+  const annuityRate = (inputs.interestRate + inputs.repaymentRate) / 100;
+  const maxLoan = annuityRate > 0 ? maxLoanPayment * 12 / annuityRate : 0;
+  
+  const purchaseSideCosts = inputs.purchasePrice *
+    (inputs.notaryAndLandRegistryFees + inputs.realEstateTransferTax + inputs.brokerCommission) / 100;
+  const criteria: BudgetCriterion[] = [
+    { label: 'Monthly surplus after the new loan is positive', passed: surplus >= 0 },
+    { label: `Debt service at most ${BANK_MAX_DEBT_SERVICE_RATIO * 100}% of net income plus counted rent`, passed: debtServiceRatio <= BANK_MAX_DEBT_SERVICE_RATIO * 100 },
+    { label: 'Surplus stays positive with the whole loan at the follow-up rate', passed: surplus - (stressLoanPayment - loanPayment) >= 0 },
+    { label: 'Equity covers the purchase side costs (no full financing)', passed: inputs.equity >= purchaseSideCosts }
+  ];
+  
+  return {
+    netIncome,
+    countedRent,
+    livingCosts,
+    obligations,
+    propertyCosts,
+    loanPayment,
+    surplus,
+    stressLoanPayment,
+    debtServiceRatio,
+    loanAmount,
+    maxLoan,
+    criteria,
+    passed: criteria.every(c => c.passed)
+  };
+}
+
+// ============================================================================
+// SENSITIVITY VARIABLES
+// ============================================================================
+
+// Inputs that can take part in the sensitivity analysis. min/max is the default absolute range;
+// entries without one default to a range of ±DEFAULT_SENSITIVITY_PERCENT around the current value.
+interface SensitivityCatalogueEntry {
+  key: keyof PropertyInputs;
+  name: string;
+  unit: string;
+  step: number;
+  min?: number;
+  max?: number;
+  defaultEnabled: boolean;
+  appliesTo?: (inputs: PropertyInputs) => boolean; // left out where the input has no effect
+}
+
+interface SensitivityRangeSetting {
+  enabled: boolean;
+  mode: 'absolute' | 'percent';
+  min: number;
+  max: number;
+  percent: number; // ± around the current value
+}
+
+type SensitivitySettings = Partial<Record<keyof PropertyInputs, SensitivityRangeSetting>>;
+
+const DEFAULT_SENSITIVITY_PERCENT = 20;
+
+const isRentalWithVacancyModel = (model: PropertyInputs['vacancyModel']) =>
+  (inputs: PropertyInputs) => inputs.usageMode === 'rental' && inputs.vacancyModel === model;
+
+const SENSITIVITY_CATALOGUE: SensitivityCatalogueEntry[] = [
+  { name: 'Interest Rate', key: 'interestRate', min: 2, max: 6, step: 0.25, unit: '%', defaultEnabled: true },
+  { name: 'Rent Increase', key: 'rentIncreaseRate', min: 1, max: 5, step: 0.5, unit: '%', defaultEnabled: true },
+  { name: 'Property Value Increase', key: 'propertyValueIncreaseRate', min: 0, max: 5, step: 0.5, unit: '%', defaultEnabled: true },
+  { name: 'Operating Costs Increase', key: 'operatingCostsIncreaseRate', min: 1, max: 4, step: 0.5, unit: '%', defaultEnabled: true },
+  { name: 'ETF Return', key: 'etfReturn', min: 3, max: 9, step: 0.5, unit: '%', defaultEnabled: true, appliesTo: inputs => inputs.usageMode === 'ownerOccupied' },
+  { name: 'Tenancy Length', key: 'averageTenancyYears', min: 2, max: 10, step: 1, unit: ' yrs', defaultEnabled: true, appliesTo: isRentalWithVacancyModel('turnover') },
+  { name: 'Months Vacant per Turnover', key: 'vacancyMonthsPerTurnover', min: 0, max: 6, step: 1, unit: ' mo', defaultEnabled: true, appliesTo: isRentalWithVacancyModel('turnover') },
+  { name: 'Vacancy Rate', key: 'vacancyRate', min: 0, max: 10, step: 1, unit: '%', defaultEnabled: true, appliesTo: isRentalWithVacancyModel('rate') },
+  { name: 'Follow-up Rate', key: 'followUpInterestRate', min: 2, max: 8, step: 0.25, unit: '%', defaultEnabled: true, appliesTo: inputs => !inputs.assumptionPaths.interestRate },
+  { name: 'Repayment Rate', key: 'repaymentRate', min: 1, max: 3, step: 0.2, unit: '%', defaultEnabled: true },
+  { name: 'Depreciation Rate', key: 'depreciationRate', min: 1, max: 3, step: 0.5, unit: '%', defaultEnabled: true, appliesTo: inputs => inputs.usageMode === 'rental' },
+  { name: 'Exit Year', key: 'exitYear', min: 5, max: 30, step: 1, unit: ' yrs', defaultEnabled: true },
+  { name: 'Special Repayment', key: 'specialRepaymentAmount', min: 0, max: 20000, step: 1000, unit: '€', defaultEnabled: true, appliesTo: inputs => inputs.specialRepaymentMode === 'fixed' },
+  { name: 'Special Repayment', key: 'specialRepaymentPercent', min: 0, max: 10, step: 0.5, unit: '%', defaultEnabled: true, appliesTo: inputs => inputs.specialRepaymentMode === 'percent' },
+  { name: 'Purchase Price', key: 'purchasePrice', step: 1000, unit: '€', defaultEnabled: false },
+  { name: 'Monthly Rent', key: 'monthlyRent', step: 10, unit: '€', defaultEnabled: false },
+  { name: 'Equity', key: 'equity', step: 1000, unit: '€', defaultEnabled: false },
+  { name: 'Renovation Costs', key: 'renovationCosts', step: 1000, unit: '€', defaultEnabled: false },
+  { name: 'Real Estate Transfer Tax', key: 'realEstateTransferTax', min: 3.5, max: 6.5, step: 0.5, unit: '%', defaultEnabled: false },
+  { name: 'Broker Commission', key: 'brokerCommission', min: 0, max: 7.14, step: 0.5, unit: '%', defaultEnabled: false },
+  { name: 'Hausgeld', key: 'monthlyHausgeld', step: 10, unit: '€', defaultEnabled: false },
+  { name: 'Property Management', key: 'monthlyPropertyManagement', step: 5, unit: '€', defaultEnabled: false, appliesTo: inputs => inputs.usageMode === 'rental' },
+  { name: 'Maintenance', key: 'monthlyMaintenance', step: 10, unit: '€', defaultEnabled: false },
+  { name: 'Insurance', key: 'monthlyInsurance', step: 5, unit: '€', defaultEnabled: false },
+  { name: 'Other Costs', key: 'monthlyOtherCosts', step: 5, unit: '€', defaultEnabled: false },
+  { name: 'Annual Taxable Income', key: 'annualIncome', step: 1000, unit: '€', defaultEnabled: false, appliesTo: inputs => inputs.usageMode === 'rental' }
+];
+
+// Tested values stay on the variable's step, so whole-number inputs (years, months) stay whole
+function snapToStep(value: number, step: number): number {
+  return Number((Math.round(value / step) * step).toFixed(6));
+}
+
+function createSensitivitySettings(): SensitivitySettings {
+  return Object.fromEntries(SENSITIVITY_CATALOGUE.map(entry => [entry.key, {
+    enabled: entry.defaultEnabled,
+    mode: entry.min === undefined ? 'percent' : 'absolute',
+    min: entry.min ?? 0,
+    max: entry.max ?? 0,
+    percent: DEFAULT_SENSITIVITY_PERCENT
+  }]));
+}
+
+// Sensitivity variable with its range resolved against the current inputs and snapped to the step;
+// an exit year of "hold" counts as the horizon. A ± % range around a current value of 0 would collapse
+// to 0–0, so it falls back to the catalogue's absolute range, or is flagged where the entry has none
+function resolveSensitivityVariable(
+  entry: SensitivityCatalogueEntry,
+  setting: SensitivityRangeSetting,
+  inputs: PropertyInputs,
+  projectionYears: number
+): SensitivityVariable {
+  const currentValue = entry.key === 'exitYear' ? inputs.exitYear ?? projectionYears : inputs[entry.key] as number;
+  const percentOfZero = setting.mode === 'percent' && currentValue === 0;
+  const hasCatalogueRange = entry.min !== undefined && entry.max !== undefined;
+  let low = setting.mode === 'percent' ? currentValue * (1 - setting.percent / 100) : setting.min;
+  let high = setting.mode === 'percent' ? currentValue * (1 + setting.percent / 100) : setting.max;
+  if (percentOfZero && hasCatalogueRange) {
+    low = entry.min!;
+    high = entry.max!;
+  }
+  return {
+    name: entry.name,
+    key: entry.key,
+    min: snapToStep(Math.min(low, high), entry.step),
+    max: snapToStep(Math.max(low, high), entry.step),
+    step: entry.step,
+    unit: entry.unit,
+    currentValue,
+    ...(percentOfZero ? { zeroBase: hasCatalogueRange ? 'fallback' as const : 'flat' as const } : {})
+  };
+}
+
+// ============================================================================
+// MONTE CARLO SIMULATION
+// ============================================================================
+
+interface MonteCarloDistribution {
+  type: 'normal' | 'triangular' | 'uniform';
+  mean: number; // normal: mean, triangular: mode
+  stdDev: number; // normal only
+  min: number; // lower bound (normal: samples are clipped)
+  max: number; // upper bound (normal: samples are clipped)
+}
+
+interface MonteCarloCorrelation {
+  keyA: keyof PropertyInputs;
+  keyB: keyof PropertyInputs;
+  rho: number; // -1..1, correlation of the underlying normal draws
+}
+
+interface MonteCarloSettings {
+  runs: number;
+  seed: number;
+  distributions: Partial<Record<keyof PropertyInputs, MonteCarloDistribution>>;
+  correlations: MonteCarloCorrelation[];
+}
+
+interface PercentileBand {
+  p10: number;
+  p50: number;
+  p90: number;
+}
+
+// What a single run keeps of its projection
+interface MonteCarloRun {
+  netWorth: number[];
+  cumulativeCashFlow: number[];
+  realNetWorth: number[];
+  realCumulativeCashFlow: number[];
+  irr: number | null; // at the projection horizon, null without a unique IRR
+}
+
+interface MonteCarloResults {
+  runs: number;
+  horizon: number;
+  years: Array<{
+    year: number;
+    netWorth: PercentileBand;
+    cumulativeCashFlow: PercentileBand;
+    realNetWorth: PercentileBand;
+    realCumulativeCashFlow: PercentileBand;
+  }>;
+  irr: PercentileBand | null;
+  irrHistogram: Array<{ from: number; to: number; count: number }>;
+  irrUndefinedRuns: number;
+  negativeCashFlowProbability: number; // % of runs with negative cumulative cash flow at the horizon
+  correlationsIgnored: boolean; // the correlation matrix was not positive definite
+}
+
+const MONTE_CARLO_HISTOGRAM_BINS = 20;
+const MONTE_CARLO_BATCH_SIZE = 50;
+
+// Counts that only take whole values; rates stay continuous even with a whole-number step
+const WHOLE_NUMBER_INPUT_KEYS = new Set<keyof PropertyInputs>(['exitYear', 'averageTenancyYears', 'vacancyMonthsPerTurnover']);
+
+// Mulberry32: small seeded PRNG, so the same seed reproduces the same runs
+function createRandom(seed: number): () => number {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// Standard normal draw (Box-Muller)
+function randomNormal(random: () => number): number {
+  const u = Math.max(random(), Number.EPSILON);
+  return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * random());
+}
+
+// Standard normal CDF (Abramowitz & Stegun 7.1.26, error below 1e-7)
+function normalCdf(z: number): number {
+  const x = Math.abs(z) / Math.SQRT2;
+  const t = 1 / (1 + 0.3275911 * x);
+  const erf = 1 - t * (0.254829592 + t * (-0.284496736 + t * (1.421413741 + t * (-1.453152027 + t * 1.061405429)))) * Math.exp(-x * x);
+  return z >= 0 ? (1 + erf) / 2 : (1 - erf) / 2;
+}
+
+// Lower triangular L with L·Lᵀ = matrix; null if the matrix is not positive definite
+function choleskyDecomposition(matrix: number[][]): number[][] | null {
+  const n = matrix.length;
+  const lower = matrix.map(() => new Array<number>(n).fill(0));
+  for (let i = 0; i < n; i++) {
+    for (let j = 0; j <= i; j++) {
+      let sum = matrix[i][j];
+      for (let k = 0; k < j; k++) sum -= lower[i][k] * lower[j][k];
+      if (i === j) {
+        if (sum <= 0) return null;
+        lower[i][i] = Math.sqrt(sum);
+      } else {
+        lower[i][j] = sum / lower[j][j];
+      }
     }
-    setCustomAdjustments({ ...customAdjustments, [key]: value });
+  }
+  return lower;
+}
+
+// Value of a distribution for a correlated standard normal draw z (Gaussian copula)
+function sampleDistribution(distribution: MonteCarloDistribution, z: number): number {
+  const { min, max, mean } = distribution;
+  const u = normalCdf(z);
+  switch (distribution.type) {
+    case 'normal':
+      return Math.min(max, Math.max(min, mean + distribution.stdDev * z));
+    case 'uniform':
+      return min + (max - min) * u;
+    case 'triangular': {
+      if (max <= min) return min;
+      const mode = Math.min(max, Math.max(min, mean));
+      const modeShare = (mode - min) / (max - min);
+      return u < modeShare
+        ? min + Math.sqrt(u * (max - min) * (mode - min))
+        : max - Math.sqrt((1 - u) * (max - min) * (max - mode));
+    }
+  }
+}
+
+// Input overrides for every run; years and months are rounded to whole numbers
+function sampleMonteCarloInputs(
+  variables: SensitivityVariable[],
+  settings: MonteCarloSettings
+): { samples: Partial<PropertyInputs>[]; correlationsIgnored: boolean } {
+  const sampled = variables.filter(v => settings.distributions[v.key]);
+  const indexOf = (key: keyof PropertyInputs) => sampled.findIndex(v => v.key === key);
+  
+  const correlation: number[][] = sampled.map((_, i) => sampled.map((__, j) => (i === j ? 1 : 0)));
+  settings.correlations.forEach(({ keyA, keyB, rho }) => {
+    const i = indexOf(keyA);
+    const j = indexOf(keyB);
+    if (i < 0 || j < 0 || i === j) return;
+    correlation[i][j] = correlation[j][i] = Math.min(0.99, Math.max(-0.99, rho));
+  });
+  const cholesky = choleskyDecomposition(correlation);
+  const lower = cholesky ?? correlation.map((row, i) => row.map((_, j) => (i === j ? 1 : 0)));
+  
+  const random = createRandom(settings.seed);
+  const samples = Array.from({ length: settings.runs }, () => {
+    const independent = sampled.map(() => randomNormal(random));
+    const sample: Partial<PropertyInputs> = {};
+    sampled.forEach((variable, i) => {
+      const z = lower[i].reduce((sum, weight, k) => sum + weight * independent[k], 0);
+      const value = sampleDistribution(settings.distributions[variable.key]!, z);
+      (sample as Record<string, number>)[variable.key] = WHOLE_NUMBER_INPUT_KEYS.has(variable.key) ? Math.round(value) : value;
+    });
+    return sample;
+  });
+  
+  return { samples, correlationsIgnored: cholesky === null };
+}
+
+// The real figures use the run's own inflation rate, which may be one of the sampled variables
+function extractMonteCarloRun(projection: ProjectionResults, horizon: number, inflationRate: number): MonteCarloRun {
+  const years = projection.yearlyData.slice(0, horizon);
+  const realYears = deflateProjection(projection, inflationRate).yearlyData.slice(0, horizon);
+  const irr = horizon === 10 ? projection.summary.irr10Year
+    : horizon === 20 ? projection.summary.irr20Year
+    : projection.summary.irr40Year;
+  return {
+    netWorth: years.map(d => d.netWorth),
+    cumulativeCashFlow: years.map(d => d.cumulativeCashFlow),
+    realNetWorth: realYears.map(d => d.netWorth),
+    realCumulativeCashFlow: realYears.map(d => d.cumulativeCashFlow),
+    irr: irr.rate
   };
+}
+
+// Linear interpolation between the closest ranks of a sorted array
+function percentile(sorted: number[], p: number): number {
+  if (sorted.length === 0) return 0;
+  const rank = (sorted.length - 1) * p;
+  const lower = Math.floor(rank);
+  const upper = Math.ceil(rank);
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (rank - lower);
+}
+
+function getPercentileBand(values: number[]): PercentileBand {
+  const sorted = [...values].sort((a, b) => a - b);
+  return { p10: percentile(sorted, 0.1), p50: percentile(sorted, 0.5), p90: percentile(sorted, 0.9) };
+}
+
+function summarizeMonteCarlo(runs: MonteCarloRun[], horizon: number, correlationsIgnored: boolean): MonteCarloResults {
+  const years = Array.from({ length: horizon }, (_, idx) => ({
+    year: idx + 1,
+    netWorth: getPercentileBand(runs.map(run => run.netWorth[idx] ?? 0)),
+    cumulativeCashFlow: getPercentileBand(runs.map(run => run.cumulativeCashFlow[idx] ?? 0)),
+    realNetWorth: getPercentileBand(runs.map(run => run.realNetWorth[idx] ?? 0)),
+    realCumulativeCashFlow: getPercentileBand(runs.map(run => run.realCumulativeCashFlow[idx] ?? 0))
+  }));
   
-  const removeCustomAdjustment = (key: keyof PropertyInputs) => {
-    const newAdjustments = { ...customAdjustments };
-    delete newAdjustments[key];
-    setCustomAdjustments(newAdjustments);
+  const irrs = runs.map(run => run.irr).filter((irr): irr is number => irr !== null);
+  const minIrr = Math.min(...irrs);
+  const maxIrr = Math.max(...irrs);
+  const binWidth = (maxIrr - minIrr) / MONTE_CARLO_HISTOGRAM_BINS || 1;
+  const irrHistogram = irrs.length === 0 ? [] : Array.from({ length: MONTE_CARLO_HISTOGRAM_BINS }, (_, idx) => ({
+    from: minIrr + idx * binWidth,
+    to: minIrr + (idx + 1) * binWidth,
+    count: 0
+  }));
+  irrs.forEach(irr => {
+    const bin = Math.min(MONTE_CARLO_HISTOGRAM_BINS - 1, Math.floor((irr - minIrr) / binWidth));
+    irrHistogram[bin].count++;
+  });
+  
+  const negativeRuns = runs.filter(run => (run.cumulativeCashFlow[horizon - 1] ?? 0) < 0).length;
+  
+  return {
+    runs: runs.length,
+    horizon,
+    years,
+    irr: irrs.length > 0 ? getPercentileBand(irrs) : null,
+    irrHistogram,
+    irrUndefinedRuns: runs.length - irrs.length,
+    negativeCashFlowProbability: runs.length > 0 ? negativeRuns / runs.length * 100 : 0,
+    correlationsIgnored
   };
+}
+
+// ============================================================================
+// ANALYSIS METRICS
+// ============================================================================
+
+type AnalysisMetric =
+  | 'irr10' | 'irr20' | 'irr40' | 'cashflow' | 'networth' | 'npv' | 'equityMultiple'
+  | 'minDscr' | 'cashOnCash' | 'grossRentalYield' | 'purchasePriceFactor' | 'paybackYear';
+
+type MetricFormat = 'percent' | 'currency' | 'multiple' | 'years';
+
+// Metrics selectable in the tornado chart and the heatmap; horizon metrics use the selected projection period
+const ANALYSIS_METRICS: Array<{ key: AnalysisMetric; label: string; format: MetricFormat; atHorizon: boolean }> = [
+  { key: 'irr10', label: 'IRR at 10 Years', format: 'percent', atHorizon: false },
+  { key: 'irr20', label: 'IRR at 20 Years', format: 'percent', atHorizon: false },
+  { key: 'irr40', label: 'IRR at 40 Years', format: 'percent', atHorizon: false },
+  { key: 'cashflow', label: 'Total Cash Flow', format: 'currency', atHorizon: true },
+  { key: 'networth', label: 'Net Worth', format: 'currency', atHorizon: true },
+  { key: 'npv', label: 'NPV', format: 'currency', atHorizon: true },
+  { key: 'equityMultiple', label: 'Equity Multiple', format: 'multiple', atHorizon: true },
+  { key: 'minDscr', label: 'Minimum DSCR', format: 'multiple', atHorizon: false },
+  { key: 'cashOnCash', label: 'Cash-on-Cash Return (Year 1)', format: 'percent', atHorizon: false },
+  { key: 'grossRentalYield', label: 'Gross Rental Yield (Bruttomietrendite)', format: 'percent', atHorizon: false },
+  { key: 'purchasePriceFactor', label: 'Kaufpreisfaktor', format: 'multiple', atHorizon: false },
+  { key: 'paybackYear', label: 'Payback Year', format: 'years', atHorizon: false }
+];
+
+// A metric without a meaningful value (IRR not unique) carries the reason instead
+interface MetricValue {
+  value: number | null;
+  reason: string | null;
+}
+
+// Metric value of a projection; a payback beyond the projection counts as one year after it
+function getAnalysisMetric(projection: ProjectionResults, metric: AnalysisMetric, years: number): MetricValue {
+  const { summary } = projection;
+  const atHorizon = (v10: number, v20: number, v40: number) => years === 10 ? v10 : years === 20 ? v20 : v40;
+  const irr = (result: IRRResult): MetricValue => ({ value: result.rate, reason: result.reason });
+  const value = (v: number): MetricValue => ({ value: v, reason: null });
   
-  const formatCurrency = (value: number) => {
-    return new Intl.NumberFormat('de-DE', { 
-      style: 'currency', 
-      currency: 'EUR',
-      minimumFractionDigits: 0,
-      maximumFractionDigits: 0
-    }).format(value);
+  switch (metric) {
+    case 'irr10': return irr(summary.irr10Year);
+    case 'irr20': return irr(summary.irr20Year);
+    case 'irr40': return irr(summary.irr40Year);
+    case 'cashflow': return value(atHorizon(summary.totalCashFlow10Year, summary.totalCashFlow20Year, summary.totalCashFlow40Year));
+    case 'networth': return value(atHorizon(summary.netWorth10Year, summary.netWorth20Year, summary.netWorth40Year));
+    case 'npv': return value(atHorizon(summary.npv10Year, summary.npv20Year, summary.npv40Year));
+    case 'equityMultiple': return value(atHorizon(summary.equityMultiple10Year, summary.equityMultiple20Year, summary.equityMultiple40Year));
+    case 'minDscr': return value(summary.minDscr ?? 0);
+    case 'cashOnCash': return value(summary.firstYearCashOnCash);
+    case 'grossRentalYield': return value(summary.grossRentalYield);
+    case 'purchasePriceFactor': return value(summary.purchasePriceFactor);
+    case 'paybackYear': return value(summary.paybackYear ?? years + 1);
+  }
+}
+
+// Short (chart labels) or full (tooltips) display of a metric value; missing values show as n/a
+function formatMetricValue(value: number | null, format: MetricFormat, short: boolean): string {
+  if (value === null) return 'n/a';
+  switch (format) {
+    case 'percent': return `${value.toFixed(short ? 1 : 2)}%`;
+    case 'currency': return short
+      ? `${(value / 1000).toFixed(0)}k`
+      : new Intl.NumberFormat('de-DE', { style: 'currency', currency: 'EUR', maximumFractionDigits: 0 }).format(value);
+    case 'multiple': return `${value.toFixed(short ? 2 : 3)}x`;
+    case 'years': return `Year ${value.toFixed(0)}`;
+  }
+}
+
+// ============================================================================
+// GOAL SEEK
+// ============================================================================
+
+// Any analysis metric or the net cash flow of a single year
+type GoalSeekMetric = AnalysisMetric | 'yearCashFlow';
+
+// The solver varies any catalogued sensitivity input. Results are found to a tenth of the catalogue step,
+// except for inputs counted in whole years or months
+function getGoalSeekStep(entry: SensitivityCatalogueEntry): number {
+  return entry.unit === ' yrs' || entry.unit === ' mo' ? entry.step : entry.step / 10;
+}
+
+// Grid points scanned for a sign change before bisecting
+const GOAL_SEEK_SCAN_POINTS = 40;
+const GOAL_SEEK_MAX_ITERATIONS = 60;
+
+// A missing value means no input in the range reaches the target; the reason says why
+interface GoalSeekResult {
+  value: number | null;
+  achieved: number | null; // metric at the (rounded) value
+  reason: string | null;
+}
+
+function getGoalSeekMetric(projection: ProjectionResults, metric: GoalSeekMetric, years: number, cashFlowYear: number): number | null {
+  if (metric === 'yearCashFlow') return projection.yearlyData[cashFlowYear - 1]?.netCashFlow ?? null;
+  return getAnalysisMetric(projection, metric, years).value;
+}
+
+// Scans the search range for a sign change of metric minus target and bisects the bracket closest to the
+// current input value. The result is rounded to the input's precision toward the end of the bracket that
+// meets the target, so step-shaped metrics (payback year) end on the side of the jump that reaches it.
+function solveGoalSeek(
+  inputs: PropertyInputs,
+  key: keyof PropertyInputs,
+  range: { min: number; max: number; step: number },
+  metric: GoalSeekMetric,
+  target: number,
+  years: number,
+  cashFlowYear: number,
+  realValues: boolean
+): GoalSeekResult {
+  const evaluate = (x: number): number | null => {
+    const projection = calculateProjections(withInputOverrides(inputs, { [key]: x }), years);
+    const value = getGoalSeekMetric(realValues ? deflateProjection(projection, inputs.inflationRate) : projection, metric, years, cashFlowYear);
+    return value === null ? null : value - target;
   };
   
-  const formatPercent = (value: number, decimals: number = 2) => {
-    return `${value.toFixed(decimals)}%`;
+  const points = Array.from({ length: GOAL_SEEK_SCAN_POINTS + 1 }, (_, i) => {
+    const x = range.min + (range.max - range.min) * i / GOAL_SEEK_SCAN_POINTS;
+    return { x, f: evaluate(x) };
+  });
+  const brackets: Array<[{ x: number; f: number }, { x: number; f: number }]> = [];
+  points.forEach((point, i) => {
+    const next = points[i + 1];
+    if (point.f === null) return;
+    if (point.f === 0) brackets.push([{ x: point.x, f: 0 }, { x: point.x, f: 0 }]);
+    else if (next && next.f !== null && point.f * next.f < 0) brackets.push([{ x: point.x, f: point.f }, { x: next.x, f: next.f }]);
+  });
+  
+  if (brackets.length === 0) {
+    const reason = points.every(point => point.f === null)
+      ? 'The metric has no value anywhere in the search range'
+      : 'No value in the search range reaches the target';
+    return { value: null, achieved: null, reason };
+  }
+  
+  const current = inputs[key] as number;
+  const distance = ([low, high]: typeof brackets[number]) => Math.abs((low.x + high.x) / 2 - current);
+  let [low, high] = brackets.reduce((best, bracket) => (distance(bracket) < distance(best) ? bracket : best));
+  
+  for (let iteration = 0; iteration < GOAL_SEEK_MAX_ITERATIONS && high.x - low.x > range.step / 2; iteration++) {
+    const x = (low.x + high.x) / 2;
+    const f = evaluate(x);
+    if (f === null) return { value: null, achieved: null, reason: 'The metric has no value near the solution' };
+    if (f === 0) {
+      low = high = { x, f };
+    } else if (f * low.f < 0) {
+      high = { x, f };
+    } else {
+      low = { x, f };
+    }
+  }
+  
+  // A payback year meets the target at or below it, every other metric at or above it
+  const meetsTarget = (f: number) => (metric === 'paybackYear' ? f <= 0 : f >= 0);
+  const value = Number((meetsTarget(low.f) && meetsTarget(high.f)
+    ? Math.round((low.x + high.x) / 2 / range.step) * range.step
+    : meetsTarget(high.f)
+      ? Math.ceil(high.x / range.step - 1e-9) * range.step
+      : Math.floor(low.x / range.step + 1e-9) * range.step).toFixed(6));
+  const achieved = evaluate(value);
+  return { value, achieved: achieved === null ? null : achieved + target, reason: null };
+}
+
+// ============================================================================
+// TABLE-BASED HEATMAP COMPONENT
+// ============================================================================
+
+interface TableHeatmapProps {
+  heatmapData: any[];
+  heatmapVarX: string;
+  heatmapVarY: string;
+  heatmapMetric: AnalysisMetric;
+  sensitivityVariables: any[];
+  threshold?: number | null; // draws the line where the metric equals this value
+  gapSize?: '0' | '1px';
+  glossyOverlay?: boolean;
+}
+
+interface HeatmapCell {
+  x: number;
+  y: number;
+  xValue: number; // tested input values; whole-number inputs are rounded, so not always evenly spaced
+  yValue: number;
+  xLabel: string;
+  yLabel: string;
+  value: number | null;
+  reason: string | null;
+}
+
+// Grids up to this size show the value in every cell; larger grids show it on hover
+const HEATMAP_MAX_LABELED_GRID = 9;
+// Projections per batch while the grid is calculated
+const HEATMAP_BATCH_SIZE = 25;
+
+// Position of a value on an ascending axis of tested values, in grid coordinates (cell centers at whole
+// numbers): linear between neighbouring cells, the middle of a run of cells that share the value, and
+// null outside the axis
+function getAxisPosition(axis: number[], value: number): number | null {
+  if (axis.length < 2 || value < axis[0] || value > axis[axis.length - 1]) return null;
+  const first = axis.findIndex(a => Math.abs(a - value) < 1e-9);
+  if (first >= 0) {
+    let last = first;
+    while (last + 1 < axis.length && Math.abs(axis[last + 1] - value) < 1e-9) last++;
+    return (first + last) / 2;
+  }
+  const i = axis.findIndex((a, idx) => a < value && value < axis[idx + 1]);
+  return i + (value - axis[i]) / (axis[i + 1] - axis[i]);
+}
+
+// Marching squares over the cell centers: segments where the linearly interpolated metric crosses the
+// threshold, in grid coordinates (x to the right, y upwards). Squares with a missing value are skipped.
+function getContourSegments(values: Array<Array<number | null>>, threshold: number): Array<[number, number, number, number]> {
+  const segments: Array<[number, number, number, number]> = [];
+  for (let y = 0; y < values.length - 1; y++) {
+    for (let x = 0; x < values[y].length - 1; x++) {
+      const corners: Array<[number, number]> = [[x, y], [x + 1, y], [x + 1, y + 1], [x, y + 1]];
+      const cornerValues = corners.map(([cx, cy]) => values[cy][cx]);
+      if (cornerValues.some(v => v === null)) continue;
+      
+      const crossings: Array<[number, number]> = [];
+      corners.forEach(([x1, y1], i) => {
+        const [x2, y2] = corners[(i + 1) % 4];
+        const v1 = cornerValues[i]!;
+        const v2 = cornerValues[(i + 1) % 4]!;
+        if ((v1 >= threshold) === (v2 >= threshold)) return;
+        const share = (threshold - v1) / (v2 - v1);
+        crossings.push([x1 + (x2 - x1) * share, y1 + (y2 - y1) * share]);
+      });
+      // Two crossings form one segment; a saddle has four and is split into two
+      for (let i = 0; i + 1 < crossings.length; i += 2) {
+        segments.push([crossings[i][0], crossings[i][1], crossings[i + 1][0], crossings[i + 1][1]]);
+      }
+    }
+  }
+  return segments;
+}
+
+const TableHeatmap: React.FC<TableHeatmapProps> = ({
+  heatmapData,
+  heatmapVarX,
+  heatmapVarY,
+  heatmapMetric,
+  sensitivityVariables,
+  threshold = null,
+  gapSize = '1px',
+  glossyOverlay = false
+}) => {
+  const firstCellRef = useRef<HTMLTableCellElement>(null);
+  const lastCellRef = useRef<HTMLTableCellElement>(null);
+  const [overlayBounds, setOverlayBounds] = useState({ top: 0, left: 0, width: 0, height: 0 });
+  const [hoveredCell, setHoveredCell] = useState<{ xLabel: string; yLabel: string; value: string } | null>(null);
+  
+  // The bounds of the colored cells position the glossy overlay and the contour layer
+  useEffect(() => {
+    if (firstCellRef.current && lastCellRef.current) {
+      // Small delay to ensure table layout is complete
+      const updateBounds = () => {
+        const firstRect = firstCellRef.current!.getBoundingClientRect();
+        const lastRect = lastCellRef.current!.getBoundingClientRect();
+        const containerRect = firstCellRef.current!.closest('.heatmap-container')?.getBoundingClientRect();
+        
+        if (containerRect) {
+          // Calculate bounds to cover ONLY the colored cell grid
+          // This excludes header labels, row labels, and the legend in tfoot
+          setOverlayBounds({
+            top: firstRect.top - containerRect.top,
+            left: firstRect.left - containerRect.left,
+            width: lastRect.right - firstRect.left,
+            height: lastRect.bottom - firstRect.top
+          });
+        }
+      };
+      
+      // Call immediately
+      updateBounds();
+      
+      // Also recalculate after a brief delay to handle any layout shifts
+      const timeoutId = setTimeout(updateBounds, 50);
+      
+      return () => clearTimeout(timeoutId);
+    }
+  }, [heatmapData]);
+  
+  const definedValues = heatmapData.map(d => d.value).filter((v): v is number => v !== null);
+  const minValue = Math.min(...definedValues);
+  const maxValue = Math.max(...definedValues);
+  
+  const varX = sensitivityVariables.find(v => v.key === heatmapVarX);
+  const varY = sensitivityVariables.find(v => v.key === heatmapVarY);
+  const xVarName = varX?.name || '';
+  const yVarName = varY?.name || '';
+  const xVarUnit = varX?.unit ?? '';
+  const yVarUnit = varY?.unit ?? '';
+  
+  // Square grid; axis labels at the quartiles, values hidden in the cells of large grids
+  const gridSize = heatmapData.length > 0 ? Math.max(...heatmapData.map(d => d.x)) + 1 : 0;
+  const gridIndices = Array.from({ length: gridSize }, (_, i) => i);
+  const labelEvery = Math.max(1, Math.round((gridSize - 1) / 4));
+  const showLabel = (index: number) => index % labelEvery === 0 || index === gridSize - 1;
+  const showCellValues = gridSize <= HEATMAP_MAX_LABELED_GRID;
+  const cellWidth = gridSize <= 5 ? 100 : Math.max(22, Math.floor(520 / gridSize));
+  const cellHeight = gridSize <= 5 ? 80 : cellWidth;
+  
+  const gridValues = gridIndices.map(y => gridIndices.map(x => heatmapData.find(d => d.x === x && d.y === y)?.value ?? null));
+  const contourSegments = threshold !== null ? getContourSegments(gridValues, threshold) : [];
+  
+  // Base inputs in grid coordinates, interpolated between the tested values; hidden outside the tested ranges.
+  // The contour interpolates between neighbouring cells as well, so both match the cells on uneven axes.
+  const xAxis = gridIndices.map(x => heatmapData.find(d => d.x === x)?.xValue ?? NaN);
+  const yAxis = gridIndices.map(y => heatmapData.find(d => d.y === y)?.yValue ?? NaN);
+  const baseX = varX ? getAxisPosition(xAxis, varX.currentValue) : null;
+  const baseY = varY ? getAxisPosition(yAxis, varY.currentValue) : null;
+  const baseVisible = baseX !== null && baseY !== null;
+  
+  // Grid coordinates to pixels within the overlay (y runs downwards there)
+  const toPixelX = (x: number) => (x + 0.5) / gridSize * overlayBounds.width;
+  const toPixelY = (y: number) => (gridSize - 0.5 - y) / gridSize * overlayBounds.height;
+  
+  const metricFormat = ANALYSIS_METRICS.find(m => m.key === heatmapMetric)?.format ?? 'percent';
+  
+  const getColor = (value: number | null, min: number, max: number) => {
+    if (value === null) return 'rgb(209, 213, 219)';
+    const normalized = (value - min) / (max - min);
+    
+    if (normalized < 0.5) {
+      const red = 255;
+      const green = Math.round(255 * normalized * 2);
+      return `rgb(${red}, ${green}, 100)`;
+    } else {
+      const red = Math.round(255 * (1 - (normalized - 0.5) * 2));
+      const green = 255;
+      return `rgb(${red}, ${green}, 100)`;
+    }
+  };
+  
+  const tableStyle: React.CSSProperties = {
+    borderCollapse: gapSize === '0' ? 'collapse' : 'separate',
+    borderSpacing: gapSize === '0' ? '0' : gapSize,
+    margin: '0 auto',
+    border: 'none'
   };
   
+  // Consistent font size for all labels (matching tornado chart)
+  const labelFontSize = '11px';
+  
   return (
-    <div className="min-h-screen bg-gray-50 p-4 md:p-8">
-      <div className="max-w-7xl mx-auto">
-        <header className="mb-8">
-          <h1 className="text-3xl font-bold text-gray-900 mb-2">
-            German Buy-to-Let Property Analyzer
-          </h1>
-          <p className="text-gray-600">
-            Comprehensive investment analysis for rental properties in Germany
-          </p>
-        </header>
-        
-        {/* Property Details Section */}
-        <div className="bg-white rounded-lg shadow-md p-6 mb-6">
-          <h2 className="text-xl font-semibold text-teal-700 mb-4 pb-2 border-b-2 border-teal-500">
-            Property Details
-          </h2>
-          
-          <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+    <div style={{ maxWidth: '800px', margin: '0 auto', overflowX: 'auto', WebkitOverflowScrolling: 'touch' }}>
+      <style>{`
+        .heatmap-table { 
+          border-collapse: collapse;
+          border: none !important;
+          background-color: white;
+        }
+        .heatmap-table th, 
+        .heatmap-table td,
+        .heatmap-table thead th,
+        .heatmap-table tbody th,
+        .heatmap-table tbody td,
+        .heatmap-table tfoot td { 
+          border: none !important;
+          outline: none !important;
+          padding: 0;
+        }
+        /* Add gap only between colored cells */
+        .heatmap-table tbody td.heatmap-data-cell { 
+          border: ${gapSize} solid white !important;
+          box-sizing: border-box;
+        }
+        
+        /* Container for overlay positioning */
+        .heatmap-container {
+          position: relative;
+          display: inline-block;
+        }
+        
+        /* Glossy blur overlay - preserved for reference */
+        /*
+        .heatmap-glossy-overlay {
+          position: absolute;
+          pointer-events: none;
+          z-index: 1;
+          backdrop-filter: blur(8px);
+          background: linear-gradient(
+            135deg,
+            rgba(255, 255, 255, 0.3) 0%,
+            rgba(255, 255, 255, 0.1) 50%,
+            rgba(255, 255, 255, 0.05) 100%
+          );
+          mix-blend-mode: overlay;
+        }
+        */
+        
+        /* Using Tailwind's backdrop-blur instead */
+        .heatmap-glossy-overlay {
+          position: absolute;
+          pointer-events: none;
+          z-index: 1;
+        }
+        
+        /* Ensure badges appear above overlay */
+        .heatmap-data-cell span {
+          position: relative;
+          z-index: 2;
+        }
+        
+        @media (max-width: 1024px) {
+          .heatmap-table:not(.heatmap-compact) .heatmap-data-cell { width: 80px !important; height: 70px !important; }
+        }
+        @media (max-width: 768px) {
+          .heatmap-table:not(.heatmap-compact) .heatmap-data-cell { width: 60px !important; height: 60px !important; }
+        }
+        @media (max-width: 480px) {
+          .heatmap-table:not(.heatmap-compact) .heatmap-data-cell { width: 50px !important; height: 50px !important; }
+        }
+        
+        /* Contour line and base marker above the cells; hover still reaches the cells */
+        .heatmap-contour-overlay {
+          position: absolute;
+          pointer-events: none;
+          z-index: 3;
+        }
+      `}</style>
+      
+      <div className="heatmap-container">
+        <table className={`heatmap-table ${gridSize > 5 ? 'heatmap-compact' : ''}`} id="heatmap-table-element">
+        <thead>
+          <tr>
+            <th 
+              colSpan={gridSize + 2} 
+              style={{ 
+                textAlign: 'center', 
+                padding: '8px', 
+                fontSize: labelFontSize,
+                fontWeight: 600, 
+                color: '#374151',
+                letterSpacing: '0.025em',
+                border: 'none'
+              }}
+            >
+              {xVarName}
+            </th>
+          </tr>
+          <tr>
+            <th style={{ width: '24px', border: 'none' }}></th>
+            <th style={{ width: '24px', border: 'none' }}></th>
+            {gridIndices.map(x => {
+              const cell = heatmapData.find(d => d.x === x);
+              return (
+                <th 
+                  key={x} 
+                  style={{ 
+                    fontSize: labelFontSize,
+                    color: '#6b7280', 
+                    padding: '4px', 
+                    textAlign: 'center',
+                    letterSpacing: '0.025em',
+                    border: 'none',
+                    whiteSpace: 'nowrap'
+                  }}
+                >
+                  {showLabel(x) ? `${cell?.xLabel}${xVarUnit}` : ''}
+                </th>
+              );
+            })}
+          </tr>
+        </thead>
+        <tbody>
+          {[...gridIndices].reverse().map((y, idx) => {
+            const rowCells = gridIndices.map(x => 
+              heatmapData.find(d => d.x === x && d.y === y)
+            );
+            const firstCell = rowCells[0];
+            
+            return (
+              <tr key={y}>
+                {idx === 0 && (
+                  <th 
+                    rowSpan={gridSize}
+                    className="heatmap-vertical-label"
+                    style={{ 
+                      position: 'relative', 
+                      width: '24px', 
+                      padding: 0,
+                      border: 'none'
+                    }}
+                  >
+                    <div
+                      style={{
+                        position: 'absolute',
+                        top: '50%',
+                        left: '50%',
+                        transform: 'translate(-50%, -50%) rotate(-90deg)',
+                        whiteSpace: 'nowrap',
+                        fontSize: labelFontSize,
+                        fontWeight: 600,
+                        color: '#374151',
+                        letterSpacing: '0.025em'
+                      }}
+                    >
+                      {yVarName}
+                    </div>
+                  </th>
+                )}
+                
+                <th 
+                  className="heatmap-row-label"
+                  style={{ 
+                    position: 'relative', 
+                    width: '24px', 
+                    padding: 0,
+                    border: 'none'
+                  }}
+                >
+                  <div
+                    style={{
+                      position: 'absolute',
+                      top: '50%',
+                      left: '50%',
+                      transform: 'translate(-50%, -50%) rotate(-90deg)',
+                      whiteSpace: 'nowrap',
+                      fontSize: labelFontSize,
+                      color: '#6b7280',
+                      letterSpacing: '0.025em'
+                    }}
+                  >
+                    {showLabel(y) ? `${firstCell?.yLabel}${yVarUnit}` : ''}
+                  </div>
+                </th>
+                
+                {rowCells.map((cell, x) => {
+                  if (!cell) return null;
+                  const color = getColor(cell.value, minValue, maxValue);
+                  const displayValue = formatMetricValue(cell.value, metricFormat, true);
+                  const fullValue = cell.value === null
+                    ? `n/a: ${cell.reason}`
+                    : formatMetricValue(cell.value, metricFormat, false);
+                  
+                  // Assign refs to first and last colored cells
+                  const isFirstCell = y === gridSize - 1 && x === 0;
+                  const isLastCell = y === 0 && x === gridSize - 1;
+                  
+                  return (
+                    <td 
+                      ref={isFirstCell ? firstCellRef : isLastCell ? lastCellRef : null} 
+                      key={x}
+                      className="heatmap-data-cell"
+                      style={{ 
+                        backgroundColor: color,
+                        width: `${cellWidth}px`,
+                        height: `${cellHeight}px`,
+                        textAlign: 'center',
+                        verticalAlign: 'middle',
+                        cursor: 'pointer'
+                      }}
+                      title={fullValue}
+                      onMouseEnter={() => setHoveredCell({ xLabel: cell.xLabel, yLabel: cell.yLabel, value: fullValue })}
+                      onMouseLeave={() => setHoveredCell(null)}
+                    >
+                      {/* Badge style with 25% opacity */}
+                      {showCellValues && <span
+                        style={{
+                          backgroundColor: 'rgba(0, 0, 0, 0.25)',
+                          color: 'white',
+                          padding: '2px 8px',
+                          borderRadius: '4px',
+                          fontWeight: 500,
+                          fontSize: '12px',
+                          display: 'inline-block'
+                        }}
+                      >
+                        {displayValue}
+                      </span>}
+                    </td>
+                  );
+                })}
+              </tr>
+            );
+          })}
+        </tbody>
+        <tfoot>
+          <tr>
+            {/* Empty cells for label columns */}
+            <td style={{ border: 'none' }}></td>
+            <td style={{ border: 'none' }}></td>
+            {/* Legend spanning only the colored cells */}
+            <td 
+              colSpan={gridSize} 
+              style={{ 
+                textAlign: 'center', 
+                padding: '16px 8px 8px 8px',
+                border: 'none'
+              }}
+            >
+              <div style={{ display: 'flex', alignItems: 'center', justifyContent: 'center', gap: '16px', fontSize: '13px' }}>
+                <div style={{ display: 'flex', alignItems: 'center' }}>
+                  <div style={{ width: '32px', height: '16px', backgroundColor: 'rgb(255, 100, 100)', marginRight: '8px' }}></div>
+                  <span style={{ color: '#374151' }}>Low</span>
+                </div>
+                <div style={{ display: 'flex', alignItems: 'center' }}>
+                  <div style={{ width: '32px', height: '16px', backgroundColor: 'rgb(255, 255, 100)', marginRight: '8px' }}></div>
+                  <span style={{ color: '#374151' }}>Medium</span>
+                </div>
+                <div style={{ display: 'flex', alignItems: 'center' }}>
+                  <div style={{ width: '32px', height: '16px', backgroundColor: 'rgb(100, 255, 100)', marginRight: '8px' }}></div>
+                  <span style={{ color: '#374151' }}>High</span>
+                </div>
+                {threshold !== null && (
+                  <div style={{ display: 'flex', alignItems: 'center' }}>
+                    <div style={{ width: '32px', height: '0', borderTop: '3px solid #111827', marginRight: '8px' }}></div>
+                    <span style={{ color: '#374151' }}>{formatMetricValue(threshold, metricFormat, false)}</span>
+                  </div>
+                )}
+                {baseVisible && (
+                  <div style={{ display: 'flex', alignItems: 'center' }}>
+                    <div style={{ width: '12px', height: '12px', borderRadius: '50%', border: '2px solid #111827', backgroundColor: 'white', marginRight: '8px' }}></div>
+                    <span style={{ color: '#374151' }}>Current Inputs</span>
+                  </div>
+                )}
+              </div>
+              {!showCellValues && (
+                <div style={{ marginTop: '8px', fontSize: '12px', color: '#4b5563', minHeight: '18px' }}>
+                  {hoveredCell
+                    ? `${xVarName} ${hoveredCell.xLabel}${xVarUnit}, ${yVarName} ${hoveredCell.yLabel}${yVarUnit}: ${hoveredCell.value}`
+                    : 'Hover over a cell to see its value'}
+                </div>
+              )}
+            </td>
+          </tr>
+        </tfoot>
+      </table>
+      
+      {/* Glossy overlay - positioned over colored cells only, excludes legend */}
+      {glossyOverlay && overlayBounds.width > 0 && overlayBounds.height > 0 && (
+        <div 
+          className="heatmap-glossy-overlay backdrop-blur-sm"
+          style={{
+            top: `${overlayBounds.top}px`,
+            left: `${overlayBounds.left}px`,
+            width: `${overlayBounds.width}px`,
+            height: `${overlayBounds.height}px`,
+            overflow: 'hidden'
+          }}
+        />
+      )}
+      
+      {/* Threshold contour and base marker - positioned over the colored cells */}
+      {(contourSegments.length > 0 || baseVisible) && overlayBounds.width > 0 && overlayBounds.height > 0 && (
+        <svg
+          className="heatmap-contour-overlay"
+          style={{ top: `${overlayBounds.top}px`, left: `${overlayBounds.left}px` }}
+          width={overlayBounds.width}
+          height={overlayBounds.height}
+        >
+          {contourSegments.map(([x1, y1, x2, y2], i) => (
+            <line
+              key={i}
+              x1={toPixelX(x1)}
+              y1={toPixelY(y1)}
+              x2={toPixelX(x2)}
+              y2={toPixelY(y2)}
+              stroke="#111827"
+              strokeWidth={3}
+              strokeLinecap="round"
+            />
+          ))}
+          {baseVisible && (
+            <circle cx={toPixelX(baseX!)} cy={toPixelY(baseY!)} r={6} fill="white" stroke="#111827" strokeWidth={2} />
+          )}
+        </svg>
+      )}
+      </div>
+    </div>
+  );
+};
+
+// ============================================================================
+// ASSUMPTION PATH EDITOR
+// ============================================================================
+
+interface AssumptionPathEditorProps {
+  baseRate: number;
+  path: AssumptionPath | undefined;
+  years: number;
+  onChange: (path: AssumptionPath | undefined) => void;
+}
+
+const SPARKLINE_WIDTH = 120;
+const SPARKLINE_HEIGHT = 24;
+
+// Sparkline of the year-by-year rate with an inline editor for a piecewise or glide path
+const AssumptionPathEditor: React.FC<AssumptionPathEditorProps> = ({ baseRate, path, years, onChange }) => {
+  const [expanded, setExpanded] = useState(false);
+  
+  const rates = resolvePathRates(baseRate, path, years);
+  const minRate = Math.min(...rates);
+  const maxRate = Math.max(...rates);
+  const points = rates.map((rate, idx) => {
+    const x = idx / Math.max(1, years - 1) * SPARKLINE_WIDTH;
+    const y = maxRate === minRate
+      ? SPARKLINE_HEIGHT / 2
+      : SPARKLINE_HEIGHT - 2 - (rate - minRate) / (maxRate - minRate) * (SPARKLINE_HEIGHT - 4);
+    return `${x.toFixed(1)},${y.toFixed(1)}`;
+  }).join(' ');
+  
+  const setShape = (shape: 'constant' | AssumptionPath['shape']) => {
+    if (shape === 'constant') {
+      onChange(undefined);
+      return;
+    }
+    onChange({
+      shape,
+      steps: path?.steps ?? [],
+      targetRate: path?.targetRate ?? baseRate,
+      targetYear: path?.targetYear ?? 10
+    });
+  };
+  
+  const updateStep = (index: number, key: keyof PathStep, value: number) => {
+    if (!path) return;
+    onChange({ ...path, steps: path.steps.map((step, idx) => idx === index ? { ...step, [key]: value } : step) });
+  };
+  
+  const addStep = () => {
+    if (!path) return;
+    const lastStep = path.steps[path.steps.length - 1];
+    onChange({ ...path, steps: [...path.steps, { year: (lastStep?.year ?? 1) + 5, rate: lastStep?.rate ?? baseRate }] });
+  };
+  
+  const removeStep = (index: number) => {
+    if (!path) return;
+    onChange({ ...path, steps: path.steps.filter((_, idx) => idx !== index) });
+  };
+  
+  return (
+    <div className="mt-2">
+      <div className="flex items-center gap-2">
+        <svg width={SPARKLINE_WIDTH} height={SPARKLINE_HEIGHT} className="flex-shrink-0 bg-gray-50 rounded">
+          <polyline points={points} fill="none" stroke="#0d9488" strokeWidth={1.5} />
+        </svg>
+        <span className="text-xs text-gray-500">
+          {path ? `${minRate.toFixed(2)}–${maxRate.toFixed(2)}% over ${years} years` : 'Constant'}
+        </span>
+        <button
+          onClick={() => setExpanded(!expanded)}
+          className="ml-auto text-xs font-medium text-teal-700 hover:text-teal-900"
+        >
+          {expanded ? 'Close' : 'Edit Path'}
+        </button>
+      </div>
+      
+      {expanded && (
+        <div className="mt-2 bg-gray-50 rounded border border-gray-200 p-3 space-y-2 text-xs">
+          <select
+            value={path?.shape ?? 'constant'}
+            onChange={(e) => setShape(e.target.value as 'constant' | AssumptionPath['shape'])}
+            className="w-full px-2 py-1 text-sm border border-gray-300 rounded focus:ring-teal-500 focus:border-teal-500"
+          >
+            <option value="constant">Constant</option>
+            <option value="piecewise">Piecewise Schedule</option>
+            <option value="glide">Linear Glide</option>
+          </select>
+          
+          {path?.shape === 'piecewise' && (
+            <>
+              <p className="text-gray-600">From year 1: {baseRate}% p.a. (the rate above)</p>
+              {path.steps.map((step, idx) => (
+                <div key={idx} className="flex items-center gap-2">
+                  <span className="text-gray-600">From year</span>
+                  <input
+                    type="number"
+                    step="1"
+                    min="2"
+                    value={step.year}
+                    onChange={(e) => updateStep(idx, 'year', Math.max(2, Math.round(Number(e.target.value))))}
+                    className="w-16 px-2 py-1 border border-gray-300 rounded focus:ring-teal-500 focus:border-teal-500"
+                  />
+                  <input
+                    type="number"
+                    step="0.1"
+                    value={step.rate}
+                    onChange={(e) => updateStep(idx, 'rate', Number(e.target.value))}
+                    className="w-20 px-2 py-1 border border-gray-300 rounded focus:ring-teal-500 focus:border-teal-500"
+                  />
+                  <span className="text-gray-600">% p.a.</span>
+                  <button onClick={() => removeStep(idx)} className="ml-auto text-red-600 hover:text-red-800">
+                    Remove
+                  </button>
+                </div>
+              ))}
+              <button
+                onClick={addStep}
+                className="px-3 py-1 bg-gray-200 text-gray-700 rounded-md hover:bg-gray-300 text-xs font-medium"
+              >
+                + Step
+              </button>
+            </>
+          )}
+          
+          {path?.shape === 'glide' && (
+            <div className="flex items-center gap-2">
+              <span className="text-gray-600">From {baseRate}% in year 1 to</span>
+              <input
+                type="number"
+                step="0.1"
+                value={path.targetRate}
+                onChange={(e) => onChange({ ...path, targetRate: Number(e.target.value) })}
+                className="w-20 px-2 py-1 border border-gray-300 rounded focus:ring-teal-500 focus:border-teal-500"
+              />
+              <span className="text-gray-600">% in year</span>
+              <input
+                type="number"
+                step="1"
+                min="1"
+                value={path.targetYear}
+                onChange={(e) => onChange({ ...path, targetYear: Math.max(1, Math.round(Number(e.target.value))) })}
+                className="w-16 px-2 py-1 border border-gray-300 rounded focus:ring-teal-500 focus:border-teal-500"
+              />
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+// ============================================================================
+// ============================================================================
+// MAIN COMPONENT
+// ============================================================================
+
+// ============================================================================
+// ============================================================================
+// MAIN COMPONENT
+// ============================================================================
+
+const GermanPropertyAnalyzer: React.FC = () => {
+  // Default values
+  const [inputs, setInputs] = useState<PropertyInputs>({
+    usageMode: 'rental',
+    purchasePrice: 300000,
+    notaryAndLandRegistryFees: 1.5,
+    realEstateTransferTax: 5.0,
+    brokerCommission: 3.57,
+    renovationCosts: 10000,
+    buildingShareMethod: 'share',
+    buildingSharePercent: 80,
+    landArea: 150,
+    landValuePerSqm: 400,
+    livingArea: 70,
+    equity: 60000,
+    interestRate: 3.75,
+    repaymentRate: 1.4,
+    fixedRatePeriod: 10,
+    followUpInterestRate: 4.5,
+    followUpRepaymentRate: null,
+    loanTranches: [],
+    specialRepaymentMode: 'none',
+    specialRepaymentAmount: 5000,
+    specialRepaymentPercent: 5,
+    specialRepaymentLimit: 5,
+    monthlyRent: 1200,
+    monthlyPropertyManagement: 60,
+    monthlyMaintenance: 100,
+    monthlyInsurance: 30,
+    monthlyOtherCosts: 20,
+    monthlyHausgeld: 0,
+    monthlyRecoverableCosts: 0,
+    monthlyMaintenanceReserve: 0,
+    maintenanceReserveSpendingRate: 10,
+    capexEvents: [],
+    rentIncreaseRate: 3.0,
+    rentRegime: 'free',
+    rentCapLimit: 20,
+    localComparativeRent: null,
+    localComparativeRentIncreaseRate: 2.0,
+    rentSteps: [],
+    cpiPath: [2.0],
+    assumptionPaths: {},
+    propertyValueIncreaseRate: 3.0,
+    operatingCostsIncreaseRate: 2.0,
+    inflationRate: 2.0,
+    discountRate: 5.0,
+    annualIncome: 60000,
+    maritalStatus: 'single',
+    churchTaxLiability: false,
+    ownershipStructure: 'private',
+    tradeTaxMultiplier: 400,
+    extendedTradeTaxReduction: true,
+    companyAnnualCosts: 2500,
+    distributionRate: 0,
+    etfReturn: 7.0,
+    etfTer: 0.2,
+    etfPartialExemption: 30,
+    etfBaseRate: 2.53,
+    monthlyNetIncome: 3500,
+    monthlyLivingCosts: 1500,
+    monthlyObligations: 0,
+    bankRentHaircut: 75,
+    vacancyModel: 'rate',
+    vacancyRate: 0,
+    averageTenancyYears: 5,
+    vacancyMonthsPerTurnover: 2,
+    reLettingBrokerMonths: 2.38,
+    cosmeticRenovationCosts: 2000,
+    rentControlOnReletting: false,
+    depreciationRate: 2.0,
+    depreciationRegime: 'linear',
+    exitYear: null,
+    saleBrokerCommission: 3.57,
+    saleOtherCosts: 0.5
+  });
+  
+  const isOwnerOccupied = inputs.usageMode === 'ownerOccupied';
+  const isCompanyOwned = inputs.ownershipStructure === 'gmbh' && !isOwnerOccupied;
+  
+  const [projectionYears, setProjectionYears] = useState<10 | 20 | 40>(40);
+  const [showMonthlySchedule, setShowMonthlySchedule] = useState(false);
+  const [scheduleTranche, setScheduleTranche] = useState<number | 'all'>('all');
+  const [showSpecialRepaymentComparison, setShowSpecialRepaymentComparison] = useState(false);
+  const [showOwnershipComparison, setShowOwnershipComparison] = useState(false);
+  
+  // Portfolio mode: the input form edits the active property, the other properties are kept here
+  const [portfolioMode, setPortfolioMode] = useState(false);
+  const [portfolio, setPortfolio] = useState<PortfolioProperty[]>([]);
+  const [activePropertyId, setActivePropertyId] = useState(1);
+  const [sensitivityEnabled, setSensitivityEnabled] = useState(false);
+  const [analysisType, setAnalysisType] = useState<'quick' | 'one-way' | 'two-way'>('quick');
+  const [selectedPreset, setSelectedPreset] = useState<'base' | 'optimistic' | 'pessimistic' | 'custom'>('base');
+  
+  // Sensitivity variables: every catalogue entry with its configured range (for preset clamps and labels),
+  // and the ones that apply to the current inputs and take part in the analysis
+  const [sensitivitySettings, setSensitivitySettings] = useState<SensitivitySettings>(createSensitivitySettings);
+  const [showSensitivitySettings, setShowSensitivitySettings] = useState(false);
+  const allSensitivityVariables = SENSITIVITY_CATALOGUE.map(entry =>
+    resolveSensitivityVariable(entry, sensitivitySettings[entry.key]!, inputs, projectionYears)
+  );
+  const availableSensitivityEntries = SENSITIVITY_CATALOGUE.filter(entry => !entry.appliesTo || entry.appliesTo(inputs));
+  const sensitivityVariables = allSensitivityVariables.filter(variable =>
+    sensitivitySettings[variable.key]!.enabled && availableSensitivityEntries.some(entry => entry.key === variable.key)
+  );
+  
+  const [customAdjustments, setCustomAdjustments] = useState<Partial<PropertyInputs>>({});
+  const [scenarios, setScenarios] = useState<Scenario[]>([
+    { name: 'Base', variables: {}, color: '#1e3a8a' }
+  ]);
+  const [showScenarioDialog, setShowScenarioDialog] = useState(false);
+  const [newScenarioName, setNewScenarioName] = useState('');
+  const [newScenarioType, setNewScenarioType] = useState<'optimistic' | 'pessimistic' | 'custom'>('custom');
+  const [editingScenarioIndex, setEditingScenarioIndex] = useState<number | null>(null);
+  
+  // Tornado chart settings
+  const [showTornadoChart, setShowTornadoChart] = useState(false);
+  const [tornadoMetric, setTornadoMetric] = useState<AnalysisMetric>('irr20');
+  
+  // Heatmap settings
+  const [showHeatmap, setShowHeatmap] = useState(false);
+  const [heatmapVarX, setHeatmapVarX] = useState<keyof PropertyInputs>('interestRate');
+  const [heatmapVarY, setHeatmapVarY] = useState<keyof PropertyInputs>('rentIncreaseRate');
+  const [heatmapMetric, setHeatmapMetric] = useState<AnalysisMetric>('irr20');
+  const [heatmapGridSize, setHeatmapGridSize] = useState(5);
+  const [showHeatmapThreshold, setShowHeatmapThreshold] = useState(false);
+  const [heatmapThreshold, setHeatmapThreshold] = useState(4);
+  const [heatmapData, setHeatmapData] = useState<HeatmapCell[]>([]);
+  const [heatmapProgress, setHeatmapProgress] = useState<number | null>(null);
+  
+  // Goal seek settings
+  const [goalSeekMetric, setGoalSeekMetric] = useState<GoalSeekMetric>('irr20');
+  const [goalSeekCashFlowYear, setGoalSeekCashFlowYear] = useState(1);
+  const [goalSeekTarget, setGoalSeekTarget] = useState(5);
+  const [goalSeekInput, setGoalSeekInput] = useState<keyof PropertyInputs>('purchasePrice');
+  const [goalSeekRange, setGoalSeekRange] = useState(() => {
+    const variable = allSensitivityVariables.find(v => v.key === 'purchasePrice')!;
+    return { min: variable.min, max: variable.max };
+  });
+  const [goalSeekResult, setGoalSeekResult] = useState<GoalSeekResult | null>(null);
+  
+  // Monte Carlo settings
+  const [showMonteCarlo, setShowMonteCarlo] = useState(false);
+  const [monteCarloSettings, setMonteCarloSettings] = useState<MonteCarloSettings>({
+    runs: 1000,
+    seed: 42,
+    distributions: {},
+    correlations: [{ keyA: 'interestRate', keyB: 'propertyValueIncreaseRate', rho: -0.5 }]
+  });
+  const [monteCarloResults, setMonteCarloResults] = useState<MonteCarloResults | null>(null);
+  const [monteCarloProgress, setMonteCarloProgress] = useState<number | null>(null);
+  const [activeMonteCarloRun, setActiveMonteCarloRun] = useState<number | null>(null);
+  const monteCarloRunRef = useRef(0);
+  
+  // Calculate projections
+  // In portfolio mode the selected property's dates start at its purchase year
+  const purchaseYearOffset = portfolioMode ? (portfolio.find(p => p.id === activePropertyId)?.purchaseYear ?? 1) - 1 : 0;
+  const baseProjection = useMemo(
+    () => calculateProjections(inputs, projectionYears, purchaseYearOffset),
+    [inputs, projectionYears, purchaseYearOffset]
+  );
+  const householdBudget = useMemo(() => calculateHouseholdBudget(inputs, baseProjection), [inputs, baseProjection]);
+  
+  // Nominal or real (today's euros) view of the results
+  const [showRealValues, setShowRealValues] = useState(false);
+  const displayProjection = useMemo(
+    () => showRealValues ? deflateProjection(baseProjection, inputs.inflationRate) : baseProjection,
+    [baseProjection, showRealValues, inputs.inflationRate]
+  );
+  
+  // Same inputs without the special repayment plan, for the strategy comparison
+  const noSpecialRepaymentProjection = useMemo(() => {
+    if (!showSpecialRepaymentComparison || inputs.specialRepaymentMode === 'none') return null;
+    return calculateProjections({ ...inputs, specialRepaymentMode: 'none' }, projectionYears);
+  }, [inputs, projectionYears, showSpecialRepaymentComparison]);
+  
+  // Portfolio with the active property's current inputs; the personal tax profile applies to all properties
+  const portfolioProperties = useMemo(() => portfolio.map(property => ({
+    ...property,
+    inputs: property.id === activePropertyId
+      ? inputs
+      : {
+          ...property.inputs,
+          annualIncome: inputs.annualIncome,
+          maritalStatus: inputs.maritalStatus,
+          churchTaxLiability: inputs.churchTaxLiability
+        }
+  })), [portfolio, activePropertyId, inputs]);
+  
+  const portfolioResults = useMemo(() => {
+    if (!portfolioMode || portfolioProperties.length === 0) return null;
+    const results = calculatePortfolioProjections(portfolioProperties, projectionYears);
+    return showRealValues ? deflatePortfolio(results, inputs.inflationRate) : results;
+  }, [portfolioMode, portfolioProperties, projectionYears, showRealValues, inputs.inflationRate]);
+  
+  // The same inputs under the other ownership structure, for the private/GmbH comparison
+  const ownershipComparison = useMemo(() => {
+    if (!showOwnershipComparison) return null;
+    const otherProjection = calculateProjections(
+      { ...inputs, ownershipStructure: inputs.ownershipStructure === 'gmbh' ? 'private' : 'gmbh' },
+      projectionYears
+    );
+    const [privateProjection, companyProjection] = inputs.ownershipStructure === 'gmbh'
+      ? [otherProjection, baseProjection]
+      : [baseProjection, otherProjection];
+    return showRealValues
+      ? {
+          privateProjection: deflateProjection(privateProjection, inputs.inflationRate),
+          companyProjection: deflateProjection(companyProjection, inputs.inflationRate)
+        }
+      : { privateProjection, companyProjection };
+  }, [inputs, projectionYears, showOwnershipComparison, baseProjection, showRealValues]);
+  
+  // Calculate scenario projections
+  const scenarioProjections = useMemo(() => {
+    if (!sensitivityEnabled) return [baseProjection];
+    
+    return scenarios.map(scenario => {
+      const scenarioInputs = withInputOverrides(inputs, scenario.variables);
+      return calculateProjections(scenarioInputs, projectionYears);
+    });
+  }, [inputs, scenarios, sensitivityEnabled, projectionYears]);
+  
+  const displayScenarioProjections = useMemo(
+    () => showRealValues
+      ? scenarioProjections.map(projection => deflateProjection(projection, inputs.inflationRate))
+      : scenarioProjections,
+    [scenarioProjections, showRealValues, inputs.inflationRate]
+  );
+  
+  // Calculate tornado chart data
+  const tornadoData = useMemo(() => {
+    if (!showTornadoChart) return [];
+    
+    const useRealValues = showRealValues && (tornadoMetric === 'cashflow' || tornadoMetric === 'networth');
+    
+    // Cash flow and net worth follow the nominal/real toggle
+    const getMetricValue = (projection: ProjectionResults): MetricValue => getAnalysisMetric(
+      useRealValues ? deflateProjection(projection, inputs.inflationRate) : projection,
+      tornadoMetric,
+      projectionYears
+    );
+    
+    const base = getMetricValue(baseProjection);
+    
+    return sensitivityVariables.map(variable => {
+      // Calculate with min value
+      const minInputs = withInputOverrides(inputs, { [variable.key]: snapToStep(variable.min, variable.step) });
+      const minProjection = calculateProjections(minInputs, projectionYears);
+      const minValue = getMetricValue(minProjection);
+      
+      // Calculate with max value
+      const maxInputs = withInputOverrides(inputs, { [variable.key]: snapToStep(variable.max, variable.step) });
+      const maxProjection = calculateProjections(maxInputs, projectionYears);
+      const maxValue = getMetricValue(maxProjection);
+      
+      return {
+        variable: variable.name,
+        minImpact: minValue.value,  // Store absolute value, not delta
+        maxImpact: maxValue.value,  // Store absolute value, not delta
+        minReason: minValue.reason,
+        maxReason: maxValue.reason,
+        baseValue: base.value,
+        baseReason: base.reason,
+        // Variables without a value at either end sort last
+        range: minValue.value !== null && maxValue.value !== null ? Math.abs(maxValue.value - minValue.value) : 0
+      };
+    }).sort((a, b) => b.range - a.range); // Sort by total range
+  }, [showTornadoChart, tornadoMetric, inputs, projectionYears, baseProjection, showRealValues, sensitivitySettings]);
+  
+  const tornadoMetricFormat = ANALYSIS_METRICS.find(m => m.key === tornadoMetric)?.format ?? 'percent';
+  const heatmapMetricFormat = ANALYSIS_METRICS.find(m => m.key === heatmapMetric)?.format ?? 'percent';
+  
+  // Keep the heatmap axes on two different enabled variables when the catalogue settings change
+  const sensitivityVariableKeys = sensitivityVariables.map(v => v.key).join(',');
+  useEffect(() => {
+    const keys = sensitivityVariables.map(v => v.key);
+    if (keys.length < 2) return;
+    const nextX = keys.includes(heatmapVarX) ? heatmapVarX : keys.find(k => k !== heatmapVarY)!;
+    const nextY = keys.includes(heatmapVarY) && heatmapVarY !== nextX ? heatmapVarY : keys.find(k => k !== nextX)!;
+    if (nextX !== heatmapVarX) setHeatmapVarX(nextX);
+    if (nextY !== heatmapVarY) setHeatmapVarY(nextY);
+  }, [sensitivityVariableKeys, heatmapVarX, heatmapVarY]);
+  
+  // Calculate heatmap data in batches, so large grids do not block typing; a newer run cancels the old one.
+  // The previous grid stays on screen until the new one is complete.
+  useEffect(() => {
+    const varX = sensitivityVariables.find(v => v.key === heatmapVarX);
+    const varY = sensitivityVariables.find(v => v.key === heatmapVarY);
+    
+    if (!showHeatmap || !varX || !varY || varX === varY) {
+      setHeatmapData([]);
+      setHeatmapProgress(null);
+      return;
+    }
+    
+    const stepsX = heatmapGridSize;
+    const stepsY = heatmapGridSize;
+    const stepSizeX = (varX.max - varX.min) / (stepsX - 1);
+    const stepSizeY = (varY.max - varY.min) / (stepsY - 1);
+    const useRealValues = showRealValues && (heatmapMetric === 'cashflow' || heatmapMetric === 'networth');
+    
+    // Cash flow and net worth follow the nominal/real toggle
+    const getMetricValue = (projection: ProjectionResults): MetricValue => getAnalysisMetric(
+      useRealValues ? deflateProjection(projection, inputs.inflationRate) : projection,
+      heatmapMetric,
+      projectionYears
+    );
+    
+    const data: HeatmapCell[] = [];
+    let cancelled = false;
+    let timeoutId: ReturnType<typeof setTimeout>;
+    
+    const runBatch = () => {
+      if (cancelled) return;
+      for (let cell = data.length; cell < Math.min(data.length + HEATMAP_BATCH_SIZE, stepsX * stepsY); cell++) {
+        const i = Math.floor(cell / stepsX);
+        const j = cell % stepsX;
+        // Years and months stay whole, which spaces their values unevenly on large grids; the heatmap places
+        // the base marker against the tested values
+        const xValue = WHOLE_NUMBER_INPUT_KEYS.has(varX.key) ? Math.round(varX.min + j * stepSizeX) : varX.min + j * stepSizeX;
+        const yValue = WHOLE_NUMBER_INPUT_KEYS.has(varY.key) ? Math.round(varY.min + i * stepSizeY) : varY.min + i * stepSizeY;
+        
+        const testInputs = withInputOverrides(inputs, {
+          [heatmapVarX]: xValue,
+          [heatmapVarY]: yValue
+        });
+        
+        const projection = calculateProjections(testInputs, projectionYears);
+        const metricValue = getMetricValue(projection);
+        
+        data.push({
+          x: j,
+          y: i,
+          xValue,
+          yValue,
+          xLabel: xValue.toFixed(2),
+          yLabel: yValue.toFixed(2),
+          value: metricValue.value,
+          reason: metricValue.reason
+        });
+      }
+      
+      if (data.length < stepsX * stepsY) {
+        setHeatmapProgress(data.length / (stepsX * stepsY) * 100);
+        timeoutId = setTimeout(runBatch, 0);
+      } else {
+        setHeatmapProgress(null);
+        setHeatmapData(data);
+      }
+    };
+    
+    timeoutId = setTimeout(runBatch, 0);
+    return () => {
+      cancelled = true;
+      clearTimeout(timeoutId);
+    };
+  }, [showHeatmap, heatmapVarX, heatmapVarY, heatmapMetric, heatmapGridSize, inputs, projectionYears, showRealValues, sensitivitySettings]);
+  
+  // A solution found for other inputs would be misleading
+  useEffect(() => {
+    setGoalSeekResult(null);
+  }, [inputs, projectionYears, showRealValues, goalSeekMetric, goalSeekCashFlowYear, goalSeekTarget, goalSeekInput, goalSeekRange]);
+  
+  const goalSeekEntry = availableSensitivityEntries.find(entry => entry.key === goalSeekInput) ?? availableSensitivityEntries[0];
+  const formatGoalSeekValue = (value: number) => goalSeekEntry.unit === '€'
+    ? formatCurrency(value)
+    : goalSeekEntry.unit === '%' ? formatPercent(value, 2) : `${value}${goalSeekEntry.unit}`;
+  const goalSeekFormat: MetricFormat = goalSeekMetric === 'yearCashFlow'
+    ? 'currency'
+    : ANALYSIS_METRICS.find(m => m.key === goalSeekMetric)?.format ?? 'currency';
+  
+  const runGoalSeek = () => {
+    setGoalSeekResult(solveGoalSeek(
+      inputs,
+      goalSeekInput,
+      { ...goalSeekRange, step: getGoalSeekStep(goalSeekEntry) },
+      goalSeekMetric,
+      goalSeekTarget,
+      projectionYears,
+      goalSeekCashFlowYear,
+      showRealValues
+    ));
+  };
+  
+  // The search range starts from the input's sensitivity range
+  const selectGoalSeekInput = (key: keyof PropertyInputs) => {
+    const variable = allSensitivityVariables.find(v => v.key === key)!;
+    setGoalSeekInput(variable.key);
+    setGoalSeekRange({ min: variable.min, max: variable.max });
+  };
+  
+  // An input that no longer applies (e.g. depreciation after switching to owner-occupied) falls back to the first one
+  useEffect(() => {
+    if (goalSeekEntry.key !== goalSeekInput) selectGoalSeekInput(goalSeekEntry.key);
+  }, [goalSeekEntry.key, goalSeekInput]);
+  
+  // Only distributions of enabled variables are drawn; the others are kept for when the variable is enabled again
+  const monteCarloVariables = sensitivityVariables.filter(v => monteCarloSettings.distributions[v.key]);
+  const droppedMonteCarloVariables = SENSITIVITY_CATALOGUE.filter(entry =>
+    monteCarloSettings.distributions[entry.key] && !monteCarloVariables.some(v => v.key === entry.key)
+  );
+  
+  // Results of an earlier simulation no longer match once inputs or settings change
+  useEffect(() => {
+    monteCarloRunRef.current++;
+    setMonteCarloResults(null);
+    setMonteCarloProgress(null);
+    setActiveMonteCarloRun(null);
+  }, [inputs, projectionYears, monteCarloSettings, sensitivityVariableKeys]);
+  
+  // Runs in batches so the page stays responsive; a newer run or an input change cancels it
+  const runMonteCarlo = () => {
+    if (activeMonteCarloRun !== null) return;
+    const runId = ++monteCarloRunRef.current;
+    const { samples, correlationsIgnored } = sampleMonteCarloInputs(monteCarloVariables, monteCarloSettings);
+    const runs: MonteCarloRun[] = [];
+    
+    const runBatch = () => {
+      if (runId !== monteCarloRunRef.current) return;
+      samples.slice(runs.length, runs.length + MONTE_CARLO_BATCH_SIZE).forEach(sample => {
+        const runInputs = withInputOverrides(inputs, sample);
+        runs.push(extractMonteCarloRun(calculateProjections(runInputs, projectionYears), projectionYears, runInputs.inflationRate));
+      });
+      if (runs.length < samples.length) {
+        setMonteCarloProgress(runs.length / samples.length * 100);
+        setTimeout(runBatch, 0);
+      } else {
+        setMonteCarloProgress(null);
+        setActiveMonteCarloRun(null);
+        setMonteCarloResults(summarizeMonteCarlo(runs, projectionYears, correlationsIgnored));
+      }
+    };
+    
+    setMonteCarloResults(null);
+    setMonteCarloProgress(0);
+    setActiveMonteCarloRun(runId);
+    setTimeout(runBatch, 0);
+  };
+  
+  const updateMonteCarloDistribution = (variable: SensitivityVariable, type: MonteCarloDistribution['type'] | 'none') => {
+    setMonteCarloSettings(prev => {
+      const distributions = { ...prev.distributions };
+      if (type === 'none') {
+        delete distributions[variable.key];
+      } else {
+        distributions[variable.key] = {
+          mean: variable.currentValue,
+          stdDev: (variable.max - variable.min) / 4,
+          min: variable.min,
+          max: variable.max,
+          ...prev.distributions[variable.key],
+          type
+        };
+      }
+      return { ...prev, distributions };
+    });
+  };
+  
+  const updateMonteCarloParameter = (key: keyof PropertyInputs, parameter: 'mean' | 'stdDev' | 'min' | 'max', value: number) => {
+    setMonteCarloSettings(prev => ({
+      ...prev,
+      distributions: { ...prev.distributions, [key]: { ...prev.distributions[key]!, [parameter]: value } }
+    }));
+  };
+  
+  const updateMonteCarloCorrelation = (index: number, updates: Partial<MonteCarloCorrelation>) => {
+    setMonteCarloSettings(prev => ({
+      ...prev,
+      correlations: prev.correlations.map((c, i) => (i === index ? { ...c, ...updates } : c))
+    }));
+  };
+  
+  // Base chart data with the P10-P90 fan and the median of the last simulation
+  const monteCarloChartData = useMemo(() => {
+    const yearlyData = displayProjection.yearlyData.slice(0, projectionYears);
+    if (!monteCarloResults) return yearlyData;
+    return yearlyData.map((d, idx) => {
+      const bands = monteCarloResults.years[idx];
+      if (!bands) return d;
+      const netWorth = showRealValues ? bands.realNetWorth : bands.netWorth;
+      const cumulativeCashFlow = showRealValues ? bands.realCumulativeCashFlow : bands.cumulativeCashFlow;
+      return {
+        ...d,
+        monteCarloNetWorthBand: [netWorth.p10, netWorth.p90],
+        monteCarloNetWorthMedian: netWorth.p50,
+        monteCarloCashFlowBand: [cumulativeCashFlow.p10, cumulativeCashFlow.p90],
+        monteCarloCashFlowMedian: cumulativeCashFlow.p50
+      };
+    });
+  }, [displayProjection, projectionYears, monteCarloResults, showRealValues]);
+  
+  // Handlers
+  const handleInputChange = (key: keyof PropertyInputs, value: number | string | boolean | null) => {
+    setInputs(prev => ({ ...prev, [key]: value }));
+  };
+  
+  // Preset moves are clamped to the configured sensitivity ranges
+  const getPresetAdjustments = (preset: 'optimistic' | 'pessimistic'): Partial<PropertyInputs> => {
+    const range = (key: keyof PropertyInputs) => allSensitivityVariables.find(v => v.key === key)!;
+    if (preset === 'optimistic') {
+      return {
+        interestRate: Math.max(range('interestRate').min, inputs.interestRate - 0.5),
+        followUpInterestRate: Math.max(range('followUpInterestRate').min, inputs.followUpInterestRate - 0.5),
+        rentIncreaseRate: Math.min(range('rentIncreaseRate').max, inputs.rentIncreaseRate + 1),
+        propertyValueIncreaseRate: Math.min(range('propertyValueIncreaseRate').max, inputs.propertyValueIncreaseRate + 1),
+        vacancyRate: range('vacancyRate').min,
+        averageTenancyYears: Math.min(range('averageTenancyYears').max, inputs.averageTenancyYears + 2),
+        vacancyMonthsPerTurnover: Math.max(range('vacancyMonthsPerTurnover').min, inputs.vacancyMonthsPerTurnover - 1)
+      };
+    } else {
+      return {
+        interestRate: Math.min(range('interestRate').max, inputs.interestRate + 1),
+        followUpInterestRate: Math.min(range('followUpInterestRate').max, inputs.followUpInterestRate + 1),
+        rentIncreaseRate: Math.max(range('rentIncreaseRate').min, inputs.rentIncreaseRate - 1),
+        propertyValueIncreaseRate: Math.max(range('propertyValueIncreaseRate').min, inputs.propertyValueIncreaseRate - 1),
+        vacancyRate: Math.min(range('vacancyRate').max, 5),
+        averageTenancyYears: Math.max(range('averageTenancyYears').min, inputs.averageTenancyYears - 2),
+        vacancyMonthsPerTurnover: Math.min(range('vacancyMonthsPerTurnover').max, inputs.vacancyMonthsPerTurnover + 2)
+      };
+    }
+  };
+  
+  const updateSensitivitySetting = (key: keyof PropertyInputs, updates: Partial<SensitivityRangeSetting>) => {
+    setSensitivitySettings(prev => ({ ...prev, [key]: { ...prev[key]!, ...updates } }));
+  };
+  
+  // Switching to absolute starts from the range the percentage gave, and vice versa keeps the old bounds
+  const setSensitivityRangeMode = (variable: SensitivityVariable, mode: SensitivityRangeSetting['mode']) => {
+    updateSensitivitySetting(variable.key, mode === 'absolute' ? { mode, min: variable.min, max: variable.max } : { mode });
+  };
+  
+  const getScenarioColor = (index: number): string => {
+    const colors = ['#1e3a8a', '#10b981', '#ef4444', '#8b5cf6', '#f59e0b', '#3b82f6', '#ec4899', '#14b8a6'];
+    return colors[index % colors.length];
+  };
+  
+  const isValidAdjustment = (key: keyof PropertyInputs, value: number, type: 'optimistic' | 'pessimistic' | 'custom'): boolean => {
+    if (type === 'custom') return true;
+    
+    const baseValue = inputs[key] as number;
+    
+    // For optimistic scenarios, certain variables should be better than base
+    if (type === 'optimistic') {
+      // Lower is better: interest rate, follow-up rate, operating costs increase, vacancy
+      if (key === 'interestRate' || key === 'followUpInterestRate' || key === 'operatingCostsIncreaseRate' || key === 'vacancyRate' || key === 'vacancyMonthsPerTurnover') {
+        return value <= baseValue;
+      }
+      // Higher is better: rent increase, property value increase, repayment rate, depreciation rate, tenancy length
+      if (key === 'rentIncreaseRate' || key === 'propertyValueIncreaseRate' || key === 'repaymentRate' || key === 'depreciationRate' || key === 'averageTenancyYears') {
+        return value >= baseValue;
+      }
+      return true;
+    }
+    
+    // For pessimistic scenarios, opposite logic
+    if (type === 'pessimistic') {
+      // Higher is worse: interest rate, follow-up rate, operating costs increase, vacancy
+      if (key === 'interestRate' || key === 'followUpInterestRate' || key === 'operatingCostsIncreaseRate' || key === 'vacancyRate' || key === 'vacancyMonthsPerTurnover') {
+        return value >= baseValue;
+      }
+      // Lower is worse: rent increase, property value increase, repayment rate, depreciation rate, tenancy length
+      if (key === 'rentIncreaseRate' || key === 'propertyValueIncreaseRate' || key === 'repaymentRate' || key === 'depreciationRate' || key === 'averageTenancyYears') {
+        return value <= baseValue;
+      }
+      return true;
+    }
+    
+    return true;
+  };
+  
+  const addScenario = () => {
+    if (!newScenarioName.trim()) {
+      alert('Please enter a scenario name');
+      return;
+    }
+    
+    const adjustments = newScenarioType === 'custom' 
+      ? customAdjustments 
+      : getPresetAdjustments(newScenarioType);
+    
+    if (Object.keys(adjustments).length === 0 && newScenarioType === 'custom') {
+      alert('Please adjust at least one variable for custom scenarios');
+      return;
+    }
+    
+    const newScenario: Scenario = {
+      name: newScenarioName,
+      variables: adjustments,
+      color: getScenarioColor(scenarios.length)
+    };
+    
+    if (editingScenarioIndex !== null) {
+      const updated = [...scenarios];
+      updated[editingScenarioIndex] = newScenario;
+      setScenarios(updated);
+    } else {
+      setScenarios([...scenarios, newScenario]);
+    }
+    
+    setShowScenarioDialog(false);
+    setNewScenarioName('');
+    setNewScenarioType('custom');
+    setCustomAdjustments({});
+    setEditingScenarioIndex(null);
+  };
+  
+  const removeScenario = (index: number) => {
+    if (index === 0) return; // Can't remove base scenario
+    setScenarios(scenarios.filter((_, i) => i !== index));
+  };
+  
+  const editScenario = (index: number) => {
+    if (index === 0) return; // Can't edit base scenario
+    const scenario = scenarios[index];
+    setNewScenarioName(scenario.name);
+    setCustomAdjustments(scenario.variables);
+    setEditingScenarioIndex(index);
+    setShowScenarioDialog(true);
+  };
+  
+  const openScenarioDialog = (type?: 'optimistic' | 'pessimistic') => {
+    if (type) {
+      setNewScenarioType(type);
+      setCustomAdjustments(getPresetAdjustments(type));
+      setNewScenarioName(type === 'optimistic' ? 'Optimistic' : 'Pessimistic');
+    } else {
+      setNewScenarioType('custom');
+      setCustomAdjustments({});
+      setNewScenarioName('');
+    }
+    setEditingScenarioIndex(null);
+    setShowScenarioDialog(true);
+  };
+  
+  const handleCustomAdjustment = (key: keyof PropertyInputs, value: number) => {
+    // Validate for preset types
+    if (newScenarioType !== 'custom' && !isValidAdjustment(key, value, newScenarioType)) {
+      // Don't update if it violates the preset direction
+      return;
+    }
+    setCustomAdjustments({ ...customAdjustments, [key]: value });
+  };
+  
+  const removeCustomAdjustment = (key: keyof PropertyInputs) => {
+    const newAdjustments = { ...customAdjustments };
+    delete newAdjustments[key];
+    setCustomAdjustments(newAdjustments);
+  };
+  
+  const addLoanTranche = (type: LoanTranche['type']) => {
+    const id = Math.max(0, ...inputs.loanTranches.map(t => t.id)) + 1;
+    const defaults: Record<LoanTranche['type'], Omit<LoanTranche, 'id' | 'type'>> = {
+      annuity: {
+        name: 'Second Bank Loan', amount: 50000, interestRate: inputs.interestRate, repaymentRate: 2,
+        fixedRatePeriod: inputs.fixedRatePeriod, followUpInterestRate: inputs.followUpInterestRate,
+        followUpRepaymentRate: null, gracePeriodYears: 0, repaymentGrant: 0, termYears: null
+      },
+      kfw: {
+        name: 'KfW Loan', amount: 100000, interestRate: 2.5, repaymentRate: 2,
+        fixedRatePeriod: 10, followUpInterestRate: inputs.followUpInterestRate,
+        followUpRepaymentRate: null, gracePeriodYears: 2, repaymentGrant: 0, termYears: 25
+      },
+      bauspar: {
+        name: 'Bauspar Loan', amount: 30000, interestRate: 2.0, repaymentRate: 6,
+        fixedRatePeriod: 0, followUpInterestRate: 2.0,
+        followUpRepaymentRate: null, gracePeriodYears: 0, repaymentGrant: 0, termYears: null
+      }
+    };
+    setInputs(prev => ({ ...prev, loanTranches: [...prev.loanTranches, { id, type, ...defaults[type] }] }));
+  };
+  
+  const updateLoanTranche = (id: number, key: keyof LoanTranche, value: number | string | null) => {
+    setInputs(prev => ({
+      ...prev,
+      loanTranches: prev.loanTranches.map(t => t.id === id ? { ...t, [key]: value } : t)
+    }));
+  };
+  
+  const removeLoanTranche = (id: number) => {
+    setInputs(prev => ({ ...prev, loanTranches: prev.loanTranches.filter(t => t.id !== id) }));
+  };
+  
+  const addCapExEvent = () => {
+    const id = Math.max(0, ...inputs.capexEvents.map(e => e.id)) + 1;
+    setInputs(prev => ({
+      ...prev,
+      capexEvents: [...prev.capexEvents, { id, name: 'Heating Replacement', year: 10, amount: 15000, treatment: 'expense', spreadYears: 3 }]
+    }));
+  };
+  
+  const updateCapExEvent = (id: number, key: keyof CapExEvent, value: number | string) => {
+    setInputs(prev => ({
+      ...prev,
+      capexEvents: prev.capexEvents.map(e => e.id === id ? { ...e, [key]: value } : e)
+    }));
+  };
+  
+  const removeCapExEvent = (id: number) => {
+    setInputs(prev => ({ ...prev, capexEvents: prev.capexEvents.filter(e => e.id !== id) }));
+  };
+  
+  const addRentStep = () => {
+    const lastStep = inputs.rentSteps[inputs.rentSteps.length - 1];
+    const step: RentStep = lastStep
+      ? { year: lastStep.year + 1, monthlyRent: Math.round(lastStep.monthlyRent * 1.03) }
+      : { year: 2, monthlyRent: Math.round(inputs.monthlyRent * 1.03) };
+    setInputs(prev => ({ ...prev, rentSteps: [...prev.rentSteps, step] }));
+  };
+  
+  const updateRentStep = (index: number, key: keyof RentStep, value: number) => {
+    setInputs(prev => ({
+      ...prev,
+      rentSteps: prev.rentSteps.map((step, i) => i === index ? { ...step, [key]: value } : step)
+    }));
+  };
+  
+  const removeRentStep = (index: number) => {
+    setInputs(prev => ({ ...prev, rentSteps: prev.rentSteps.filter((_, i) => i !== index) }));
+  };
+  
+  const updateAssumptionPath = (key: PathVariable, path: AssumptionPath | undefined) => {
+    setInputs(prev => {
+      const assumptionPaths = { ...prev.assumptionPaths };
+      if (path) {
+        assumptionPaths[key] = path;
+      } else {
+        delete assumptionPaths[key];
+      }
+      return { ...prev, assumptionPaths };
+    });
+  };
+  
+  const updateCpiPath = (text: string) => {
+    const cpiPath = text.split(',').map(v => v.trim()).filter(v => v !== '').map(Number).filter(v => !isNaN(v));
+    setInputs(prev => ({ ...prev, cpiPath }));
+  };
+  
+  const togglePortfolioMode = (enabled: boolean) => {
+    if (enabled && portfolio.length === 0) {
+      setPortfolio([{ id: 1, name: 'Property 1', purchaseYear: 1, inputs }]);
+      setActivePropertyId(1);
+    }
+    setPortfolioMode(enabled);
+  };
+  
+  // A new property starts as a copy of the active one and becomes active
+  const addPortfolioProperty = () => {
+    const id = Math.max(0, ...portfolio.map(p => p.id)) + 1;
+    setPortfolio([...portfolioProperties, { id, name: `Property ${id}`, purchaseYear: 1, inputs }]);
+    setActivePropertyId(id);
+  };
+  
+  const selectPortfolioProperty = (id: number) => {
+    const target = portfolioProperties.find(p => p.id === id);
+    if (!target || id === activePropertyId) return;
+    setPortfolio(portfolioProperties);
+    setInputs(target.inputs);
+    setActivePropertyId(id);
+  };
+  
+  const updatePortfolioProperty = (id: number, key: 'name' | 'purchaseYear', value: string | number) => {
+    setPortfolio(prev => prev.map(p => p.id === id ? { ...p, [key]: value } : p));
+  };
+  
+  const removePortfolioProperty = (id: number) => {
+    if (portfolio.length <= 1) return;
+    const remaining = portfolioProperties.filter(p => p.id !== id);
+    setPortfolio(remaining);
+    if (id === activePropertyId) {
+      setInputs(remaining[0].inputs);
+      setActivePropertyId(remaining[0].id);
+    }
+  };
+  
+  const formatCurrency = (value: number) => {
+    return new Intl.NumberFormat('de-DE', { 
+      style: 'currency', 
+      currency: 'EUR',
+      minimumFractionDigits: 0,
+      maximumFractionDigits: 0
+    }).format(value);
+  };
+  
+  const formatPercent = (value: number, decimals: number = 2) => {
+    return `${value.toFixed(decimals)}%`;
+  };
+  
+  // IRR-based rate (defaults to the nominal IRR itself), or n/a with the solver's reason on hover
+  const renderIRR = (result: IRRResult, rate: number | null = result.rate) => {
+    if (rate !== null) return formatPercent(rate);
+    return <span className="text-gray-400 cursor-help" title={result.reason ?? undefined}>n/a</span>;
+  };
+  
+  const formatLoanTerm = (months: number | null) => {
+    if (months === null) return 'Not repaid';
+    if (months === 0) return 'No loan';
+    return `${Math.floor(months / 12)} y ${months % 12} m`;
+  };
+  
+  return (
+    <div className="min-h-screen bg-gray-50 p-4 md:p-8">
+      <div className="max-w-7xl mx-auto">
+        <header className="mb-8">
+          <h1 className="text-3xl font-bold text-gray-900 mb-2">
+            German Buy-to-Let Property Analyzer
+          </h1>
+          <p className="text-gray-600">
+            Comprehensive investment analysis for rental properties in Germany
+          </p>
+        </header>
+        
+        {/* Portfolio Section */}
+        <div className="bg-white rounded-lg shadow-md p-6 mb-6">
+          <div className="flex items-center justify-between mb-4 pb-2 border-b-2 border-teal-500">
+            <h2 className="text-xl font-semibold text-teal-700">
+              Portfolio
+            </h2>
+            <label className="flex items-center cursor-pointer">
+              <input
+                type="checkbox"
+                checked={portfolioMode}
+                onChange={(e) => togglePortfolioMode(e.target.checked)}
+                className="h-4 w-4 text-teal-600 focus:ring-teal-500 border-gray-300 rounded"
+              />
+              <span className="ml-2 text-sm font-medium text-gray-700">Portfolio Mode</span>
+            </label>
+          </div>
+          
+          {portfolioMode ? (
+            <>
+              <div className="flex items-center justify-between mb-3">
+                <p className="text-sm text-gray-600">
+                  The sections below edit the selected property. Personal tax information applies to the whole portfolio.
+                </p>
+                <button
+                  onClick={addPortfolioProperty}
+                  className="px-3 py-1 bg-gray-200 text-gray-700 rounded-md hover:bg-gray-300 text-xs font-medium"
+                >
+                  + Property
+                </button>
+              </div>
+              <div className="space-y-2">
+                {portfolioProperties.map((property, index) => (
+                  <div
+                    key={property.id}
+                    className={`flex items-center gap-3 rounded border p-3 ${property.id === activePropertyId ? 'border-teal-500 bg-teal-50' : 'border-gray-200 bg-white'}`}
+                  >
+                    <div className="w-3 h-3 rounded-full flex-shrink-0" style={{ backgroundColor: getScenarioColor(index) }}></div>
+                    <input
+                      type="text"
+                      value={property.name}
+                      onChange={(e) => updatePortfolioProperty(property.id, 'name', e.target.value)}
+                      className="flex-1 px-2 py-1 text-sm border border-gray-300 rounded focus:ring-teal-500 focus:border-teal-500"
+                    />
+                    <label className="text-xs font-medium text-gray-600">Purchase Year</label>
+                    <input
+                      type="number"
+                      step="1"
+                      min="1"
+                      value={property.purchaseYear}
+                      onChange={(e) => updatePortfolioProperty(property.id, 'purchaseYear', Math.max(1, Math.round(Number(e.target.value))))}
+                      className="w-20 px-2 py-1 text-sm border border-gray-300 rounded focus:ring-teal-500 focus:border-teal-500"
+                    />
+                    <span className="text-xs text-gray-500 w-28 text-right">
+                      {formatCurrency(property.inputs.purchasePrice)}
+                    </span>
+                    {property.id === activePropertyId ? (
+                      <span className="px-3 py-1 text-xs font-medium text-teal-700">Editing</span>
+                    ) : (
+                      <button
+                        onClick={() => selectPortfolioProperty(property.id)}
+                        className="px-3 py-1 bg-teal-600 text-white rounded-md hover:bg-teal-700 text-xs font-medium"
+                      >
+                        Edit
+                      </button>
+                    )}
+                    {portfolioProperties.length > 1 && (
+                      <button
+                        onClick={() => removePortfolioProperty(property.id)}
+                        className="text-xs text-red-600 hover:text-red-800"
+                      >
+                        Remove
+                      </button>
+                    )}
+                  </div>
+                ))}
+              </div>
+            </>
+          ) : (
+            <p className="text-sm text-gray-600">
+              Switch on portfolio mode to combine several properties, each with its own inputs, purchase year and financing.
+            </p>
+          )}
+        </div>
+        
+        {/* Property Details Section */}
+        <div className="bg-white rounded-lg shadow-md p-6 mb-6">
+          <h2 className="text-xl font-semibold text-teal-700 mb-4 pb-2 border-b-2 border-teal-500">
+            Property Details
+          </h2>
+          
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">
+                Use
+              </label>
+              <select
+                value={inputs.usageMode}
+                onChange={(e) => handleInputChange('usageMode', e.target.value as PropertyInputs['usageMode'])}
+                className="w-full px-3 py-2 border border-gray-300 rounded-md focus:ring-teal-500 focus:border-teal-500"
+              >
+                <option value="rental">Buy to Let</option>
+                <option value="ownerOccupied">Owner-Occupied (Buy vs. Rent)</option>
+              </select>
+            </div>
+            
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">
+                Purchase Price
+              </label>
+              <div className="flex items-center">
+                <input
+                  type="number"
+                  value={inputs.purchasePrice}
+                  onChange={(e) => handleInputChange('purchasePrice', Number(e.target.value))}
+                  className="w-full px-3 py-2 border border-gray-300 rounded-md focus:ring-teal-500 focus:border-teal-500"
+                />
+                <span className="ml-2 text-gray-600">€</span>
+              </div>
+            </div>
+            
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">
+                Renovation Costs
+              </label>
+              <div className="flex items-center">
+                <input
+                  type="number"
+                  value={inputs.renovationCosts}
+                  onChange={(e) => handleInputChange('renovationCosts', Number(e.target.value))}
+                  className="w-full px-3 py-2 border border-gray-300 rounded-md focus:ring-teal-500 focus:border-teal-500"
+                />
+                <span className="ml-2 text-gray-600">€</span>
+              </div>
+            </div>
+            
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">
+                Notary & Land Registry Fees
+              </label>
+              <div className="flex items-center">
+                <input
+                  type="number"
+                  step="0.1"
+                  value={inputs.notaryAndLandRegistryFees}
+                  onChange={(e) => handleInputChange('notaryAndLandRegistryFees', Number(e.target.value))}
+                  className="w-full px-3 py-2 border border-gray-300 rounded-md focus:ring-teal-500 focus:border-teal-500"
+                />
+                <span className="ml-2 text-gray-600">%</span>
+              </div>
+            </div>
+            
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">
+                Real Estate Transfer Tax (varies by state)
+              </label>
+              <div className="flex items-center">
+                <input
+                  type="number"
+                  step="0.1"
+                  value={inputs.realEstateTransferTax}
+                  onChange={(e) => handleInputChange('realEstateTransferTax', Number(e.target.value))}
+                  className="w-full px-3 py-2 border border-gray-300 rounded-md focus:ring-teal-500 focus:border-teal-500"
+                />
+                <span className="ml-2 text-gray-600">%</span>
+              </div>
+            </div>
+            
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">
+                Broker Commission
+              </label>
+              <div className="flex items-center">
+                <input
+                  type="number"
+                  step="0.1"
+                  value={inputs.brokerCommission}
+                  onChange={(e) => handleInputChange('brokerCommission', Number(e.target.value))}
+                  className="w-full px-3 py-2 border border-gray-300 rounded-md focus:ring-teal-500 focus:border-teal-500"
+                />
+                <span className="ml-2 text-gray-600">%</span>
+              </div>
+            </div>
+            
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">
+                Living Area
+              </label>
+              <div className="flex items-center">
+                <input
+                  type="number"
+                  min="0"
+                  value={inputs.livingArea}
+                  onChange={(e) => handleInputChange('livingArea', Number(e.target.value))}
+                  className="w-full px-3 py-2 border border-gray-300 rounded-md focus:ring-teal-500 focus:border-teal-500"
+                />
+                <span className="ml-2 text-gray-600">m²</span>
+              </div>
+            </div>
+            
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">
+                {isOwnerOccupied ? 'Rent for a Comparable Home (saved)' : 'Monthly Rent'}
+              </label>
+              <div className="flex items-center">
+                <input
+                  type="number"
+                  value={inputs.monthlyRent}
+                  onChange={(e) => handleInputChange('monthlyRent', Number(e.target.value))}
+                  className="w-full px-3 py-2 border border-gray-300 rounded-md focus:ring-teal-500 focus:border-teal-500"
+                />
+                <span className="ml-2 text-gray-600">€/month</span>
+              </div>
+            </div>
+          </div>
+          
+          {isOwnerOccupied && (
+            <p className="mt-4 text-sm text-gray-600">
+              Owner-occupied: the cold rent you would otherwise pay replaces the rental income and grows with the rent assumptions below.
+              There is no vacancy, no depreciation and no rental tax effect, and a sale is free of speculation tax.
+              Renting and investing the difference is modeled by the ETF benchmark.
+            </p>
+          )}
+          
+          {/* Rent Regime */}
+          <div className="mt-6 border-t pt-4">
+            <h3 className="text-sm font-semibold text-gray-700 mb-3">
+              Rent Regime
+            </h3>
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">
+                  Rent Contract
+                </label>
+                <select
+                  value={inputs.rentRegime}
+                  onChange={(e) => handleInputChange('rentRegime', e.target.value as PropertyInputs['rentRegime'])}
+                  className="w-full px-3 py-2 border border-gray-300 rounded-md focus:ring-teal-500 focus:border-teal-500"
+                >
+                  <option value="free">Free Market (§558 BGB)</option>
+                  <option value="staffel">Staffelmiete (Graduated Rent)</option>
+                  <option value="index">Indexmiete (CPI-Linked)</option>
+                </select>
+              </div>
+              
+              {inputs.rentRegime === 'free' && (
+                <>
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-1">
+                      Kappungsgrenze (3 Years)
+                    </label>
+                    <select
+                      value={inputs.rentCapLimit}
+                      onChange={(e) => handleInputChange('rentCapLimit', Number(e.target.value))}
+                      className="w-full px-3 py-2 border border-gray-300 rounded-md focus:ring-teal-500 focus:border-teal-500"
+                    >
+                      <option value={20}>20% (Standard)</option>
+                      <option value={15}>15% (Tight Housing Market)</option>
+                    </select>
+                  </div>
+                  
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-1">
+                      Mietspiegel Ceiling (Optional)
+                    </label>
+                    <div className="flex items-center">
+                      <input
+                        type="number"
+                        step="0.1"
+                        min="0"
+                        value={inputs.localComparativeRent ?? ''}
+                        placeholder="No ceiling"
+                        onChange={(e) => handleInputChange('localComparativeRent', e.target.value === '' ? null : Number(e.target.value))}
+                        className="w-full px-3 py-2 border border-gray-300 rounded-md focus:ring-teal-500 focus:border-teal-500"
+                      />
+                      <span className="ml-2 text-gray-600">€/m²</span>
+                    </div>
+                  </div>
+                  
+                  {inputs.localComparativeRent !== null && (
+                    <div>
+                      <label className="block text-sm font-medium text-gray-700 mb-1">
+                        Mietspiegel Increase
+                      </label>
+                      <div className="flex items-center">
+                        <input
+                          type="number"
+                          step="0.1"
+                          value={inputs.localComparativeRentIncreaseRate}
+                          onChange={(e) => handleInputChange('localComparativeRentIncreaseRate', Number(e.target.value))}
+                          className="w-full px-3 py-2 border border-gray-300 rounded-md focus:ring-teal-500 focus:border-teal-500"
+                        />
+                        <span className="ml-2 text-gray-600">% p.a.</span>
+                      </div>
+                    </div>
+                  )}
+                </>
+              )}
+              
+              {inputs.rentRegime === 'index' && (
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">
+                    CPI Path (% p.a. per Year, Last Value Repeats)
+                  </label>
+                  <input
+                    type="text"
+                    key={inputs.cpiPath.join(',')}
+                    defaultValue={inputs.cpiPath.join(', ')}
+                    onBlur={(e) => updateCpiPath(e.target.value)}
+                    placeholder="e.g. 2.5, 2.2, 2.0"
+                    className="w-full px-3 py-2 border border-gray-300 rounded-md focus:ring-teal-500 focus:border-teal-500"
+                  />
+                </div>
+              )}
+            </div>
+            
+            {inputs.rentRegime === 'free' && (
+              <p className="mt-3 text-sm text-gray-600">
+                The rent follows the rent increase rate but may not rise more than {inputs.rentCapLimit}% within three years
+                {inputs.localComparativeRent !== null ? ' or exceed the local comparative rent' : ''}. Years where a cap was binding are marked in the annual table.
+              </p>
+            )}
+            
+            {inputs.rentRegime === 'staffel' && (
+              <div className="mt-3">
+                <div className="flex items-center justify-between mb-2">
+                  <span className="text-sm text-gray-600">
+                    Agreed rent steps; the base rent applies until the first step.
+                  </span>
+                  <button
+                    onClick={addRentStep}
+                    className="px-3 py-1 bg-gray-200 text-gray-700 rounded-md hover:bg-gray-300 text-xs font-medium"
+                  >
+                    + Rent Step
+                  </button>
+                </div>
+                <div className="space-y-2">
+                  {inputs.rentSteps.map((step, index) => (
+                    <div key={index} className="flex items-center gap-3">
+                      <label className="text-xs font-medium text-gray-600">From Year</label>
+                      <input
+                        type="number"
+                        step="1"
+                        min="2"
+                        value={step.year}
+                        onChange={(e) => updateRentStep(index, 'year', Math.max(2, Math.round(Number(e.target.value))))}
+                        className="w-20 px-2 py-1 text-sm border border-gray-300 rounded focus:ring-teal-500 focus:border-teal-500"
+                      />
+                      <label className="text-xs font-medium text-gray-600">Rent</label>
+                      <input
+                        type="number"
+                        value={step.monthlyRent}
+                        onChange={(e) => updateRentStep(index, 'monthlyRent', Number(e.target.value))}
+                        className="w-28 px-2 py-1 text-sm border border-gray-300 rounded focus:ring-teal-500 focus:border-teal-500"
+                      />
+                      <span className="text-xs text-gray-600">€/month</span>
+                      <button
+                        onClick={() => removeRentStep(index)}
+                        className="text-xs text-red-600 hover:text-red-800 font-medium"
+                      >
+                        Remove
+                      </button>
+                    </div>
+                  ))}
+                </div>
+              </div>
+            )}
+          </div>
+          
+          {/* Land / Building Split */}
+          <div className="mt-6 border-t pt-4">
+            <h3 className="text-sm font-semibold text-gray-700 mb-3">
+              Land / Building Split (Depreciation Basis)
+            </h3>
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">
+                  Building Share Method
+                </label>
+                <select
+                  value={inputs.buildingShareMethod}
+                  onChange={(e) => handleInputChange('buildingShareMethod', e.target.value as PropertyInputs['buildingShareMethod'])}
+                  className="w-full px-3 py-2 border border-gray-300 rounded-md focus:ring-teal-500 focus:border-teal-500"
+                >
+                  <option value="share">Building Share of Purchase Price</option>
+                  <option value="landValue">Land Area × Bodenrichtwert</option>
+                </select>
+              </div>
+              
+              {inputs.buildingShareMethod === 'share' ? (
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">
+                    Building Share
+                  </label>
+                  <div className="flex items-center">
+                    <input
+                      type="number"
+                      step="1"
+                      min="0"
+                      max="100"
+                      value={inputs.buildingSharePercent}
+                      onChange={(e) => handleInputChange('buildingSharePercent', Number(e.target.value))}
+                      className="w-full px-3 py-2 border border-gray-300 rounded-md focus:ring-teal-500 focus:border-teal-500"
+                    />
+                    <span className="ml-2 text-gray-600">%</span>
+                  </div>
+                </div>
+              ) : (
+                <>
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-1">
+                      Land Area (own share)
+                    </label>
+                    <div className="flex items-center">
+                      <input
+                        type="number"
+                        min="0"
+                        value={inputs.landArea}
+                        onChange={(e) => handleInputChange('landArea', Number(e.target.value))}
+                        className="w-full px-3 py-2 border border-gray-300 rounded-md focus:ring-teal-500 focus:border-teal-500"
+                      />
+                      <span className="ml-2 text-gray-600">m²</span>
+                    </div>
+                  </div>
+                  
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-1">
+                      Bodenrichtwert (Land Value)
+                    </label>
+                    <div className="flex items-center">
+                      <input
+                        type="number"
+                        min="0"
+                        value={inputs.landValuePerSqm}
+                        onChange={(e) => handleInputChange('landValuePerSqm', Number(e.target.value))}
+                        className="w-full px-3 py-2 border border-gray-300 rounded-md focus:ring-teal-500 focus:border-teal-500"
+                      />
+                      <span className="ml-2 text-gray-600">€/m²</span>
+                    </div>
+                  </div>
+                </>
+              )}
+              
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">
+                  Depreciation Basis
+                </label>
+                <div className="w-full px-3 py-2 border border-gray-200 bg-gray-50 rounded-md text-gray-700">
+                  {formatCurrency(baseProjection.summary.depreciationBasis.depreciationBasis)}
+                  <span className="text-gray-500 text-sm"> ({formatPercent(baseProjection.summary.depreciationBasis.buildingShare * 100)} building share)</span>
+                </div>
+              </div>
+            </div>
+            
+            {inputs.renovationCosts > 0 && (
+              <p className="mt-3 text-sm text-gray-600">
+                {inputs.depreciationRegime === 'listed'
+                  ? 'Renovation costs are treated as certified modernization of a listed building and depreciated at 9% for 8 years, then 7% for 4 years.'
+                  : baseProjection.summary.depreciationBasis.renovationCapitalized
+                  ? `Renovation costs${baseProjection.summary.depreciationBasis.acquisitionRelatedCapEx > 0 ? ' and CapEx of the first three years' : ''} net of VAT exceed 15% of the building's acquisition cost (${formatCurrency(baseProjection.summary.depreciationBasis.buildingAcquisitionCost * 0.15)}), so the renovation is capitalized as anschaffungsnahe Herstellungskosten into the depreciation basis.`
+                  : `Renovation costs${baseProjection.summary.depreciationBasis.acquisitionRelatedCapEx > 0 ? ' and CapEx of the first three years' : ''} net of VAT stay within 15% of the building's acquisition cost (${formatCurrency(baseProjection.summary.depreciationBasis.buildingAcquisitionCost * 0.15)}), so the renovation is deducted as maintenance in the first year.`}
+              </p>
+            )}
+          </div>
+        </div>
+        
+        {/* Financing Section */}
+        <div className="bg-white rounded-lg shadow-md p-6 mb-6">
+          <h2 className="text-xl font-semibold text-teal-700 mb-4 pb-2 border-b-2 border-teal-500">
+            Financing
+          </h2>
+          
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">
+                Equity / Down Payment
+              </label>
+              <div className="flex items-center">
+                <input
+                  type="number"
+                  value={inputs.equity}
+                  onChange={(e) => handleInputChange('equity', Number(e.target.value))}
+                  className="w-full px-3 py-2 border border-gray-300 rounded-md focus:ring-teal-500 focus:border-teal-500"
+                />
+                <span className="ml-2 text-gray-600">€</span>
+              </div>
+              {inputs.equity > baseProjection.summary.acquisitionCosts && (
+                <p className="mt-1 text-xs text-amber-600">
+                  Equity exceeds the acquisition costs of {formatCurrency(baseProjection.summary.acquisitionCosts)}. Only that amount is invested and the property is fully equity-financed.
+                </p>
+              )}
+            </div>
+            
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">
+                Interest Rate
+              </label>
+              <div className="flex items-center">
+                <input
+                  type="number"
+                  step="0.01"
+                  value={inputs.interestRate}
+                  onChange={(e) => handleInputChange('interestRate', Number(e.target.value))}
+                  className="w-full px-3 py-2 border border-gray-300 rounded-md focus:ring-teal-500 focus:border-teal-500"
+                />
+                <span className="ml-2 text-gray-600">% p.a.</span>
+              </div>
+              <AssumptionPathEditor
+                baseRate={inputs.interestRate}
+                path={inputs.assumptionPaths.interestRate}
+                years={projectionYears}
+                onChange={(path) => updateAssumptionPath('interestRate', path)}
+              />
+              {inputs.assumptionPaths.interestRate && (
+                <p className="mt-1 text-xs text-gray-500">
+                  The rate stays fixed for the Zinsbindung. From then on the path replaces the follow-up rate, and later rate changes shift the split between interest and principal, not the payment.
+                </p>
+              )}
+            </div>
+            
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">
+                Repayment Rate
+              </label>
+              <div className="flex items-center">
+                <input
+                  type="number"
+                  step="0.1"
+                  value={inputs.repaymentRate}
+                  onChange={(e) => handleInputChange('repaymentRate', Number(e.target.value))}
+                  className="w-full px-3 py-2 border border-gray-300 rounded-md focus:ring-teal-500 focus:border-teal-500"
+                />
+                <span className="ml-2 text-gray-600">% p.a.</span>
+              </div>
+            </div>
+            
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">
+                Fixed-Rate Period (Zinsbindung)
+              </label>
+              <select
+                value={inputs.fixedRatePeriod}
+                onChange={(e) => handleInputChange('fixedRatePeriod', Number(e.target.value))}
+                className="w-full px-3 py-2 border border-gray-300 rounded-md focus:ring-teal-500 focus:border-teal-500"
+              >
+                {[5, 10, 15, 20, 25, 30].map(period => (
+                  <option key={period} value={period}>{period} Years</option>
+                ))}
+              </select>
+            </div>
+            
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">
+                Follow-up Interest Rate
+              </label>
+              <div className="flex items-center">
+                <input
+                  type="number"
+                  step="0.01"
+                  value={inputs.followUpInterestRate}
+                  onChange={(e) => handleInputChange('followUpInterestRate', Number(e.target.value))}
+                  disabled={!!inputs.assumptionPaths.interestRate}
+                  className="w-full px-3 py-2 border border-gray-300 rounded-md focus:ring-teal-500 focus:border-teal-500 disabled:bg-gray-100 disabled:text-gray-400"
+                />
+                <span className="ml-2 text-gray-600">% p.a.</span>
+              </div>
+              {inputs.assumptionPaths.interestRate && (
+                <p className="mt-1 text-xs text-gray-500">Set by the interest rate path.</p>
+              )}
+            </div>
+            
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">
+                Follow-up Repayment Rate (optional)
+              </label>
+              <div className="flex items-center">
+                <input
+                  type="number"
+                  step="0.1"
+                  value={inputs.followUpRepaymentRate ?? ''}
+                  placeholder={`${inputs.repaymentRate} (same as initial)`}
+                  onChange={(e) => handleInputChange('followUpRepaymentRate', e.target.value === '' ? null : Number(e.target.value))}
+                  className="w-full px-3 py-2 border border-gray-300 rounded-md focus:ring-teal-500 focus:border-teal-500"
+                />
+                <span className="ml-2 text-gray-600">% p.a.</span>
+              </div>
+            </div>
+            
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">
+                Resulting Loan Term
+              </label>
+              <div className="w-full px-3 py-2 border border-gray-200 bg-gray-50 rounded-md text-gray-700">
+                {formatLoanTerm(baseProjection.summary.loanTermMonths)}
+              </div>
+            </div>
+          </div>
+          
+          {/* Special Repayments */}
+          <div className="mt-6 border-t pt-4">
+            <h3 className="text-sm font-semibold text-gray-700 mb-3">
+              Special Repayments (Sondertilgung) on the Bank Loan
+            </h3>
+            
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">
+                  Repayment Plan
+                </label>
+                <select
+                  value={inputs.specialRepaymentMode}
+                  onChange={(e) => handleInputChange('specialRepaymentMode', e.target.value as PropertyInputs['specialRepaymentMode'])}
+                  className="w-full px-3 py-2 border border-gray-300 rounded-md focus:ring-teal-500 focus:border-teal-500"
+                >
+                  <option value="none">None</option>
+                  <option value="fixed">Fixed Amount per Year</option>
+                  <option value="percent">Percentage of Original Loan per Year</option>
+                  <option value="sweep">Sweep Positive Net Cash Flow</option>
+                </select>
+              </div>
+              
+              {inputs.specialRepaymentMode === 'fixed' && (
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">
+                    Special Repayment Amount
+                  </label>
+                  <div className="flex items-center">
+                    <input
+                      type="number"
+                      step="500"
+                      value={inputs.specialRepaymentAmount}
+                      onChange={(e) => handleInputChange('specialRepaymentAmount', Number(e.target.value))}
+                      className="w-full px-3 py-2 border border-gray-300 rounded-md focus:ring-teal-500 focus:border-teal-500"
+                    />
+                    <span className="ml-2 text-gray-600">€/year</span>
+                  </div>
+                </div>
+              )}
+              
+              {inputs.specialRepaymentMode === 'percent' && (
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">
+                    Special Repayment Percentage
+                  </label>
+                  <div className="flex items-center">
+                    <input
+                      type="number"
+                      step="0.5"
+                      value={inputs.specialRepaymentPercent}
+                      onChange={(e) => handleInputChange('specialRepaymentPercent', Number(e.target.value))}
+                      className="w-full px-3 py-2 border border-gray-300 rounded-md focus:ring-teal-500 focus:border-teal-500"
+                    />
+                    <span className="ml-2 text-gray-600">% p.a.</span>
+                  </div>
+                </div>
+              )}
+              
+              {inputs.specialRepaymentMode !== 'none' && (
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">
+                    Contractual Limit
+                  </label>
+                  <div className="flex items-center">
+                    <input
+                      type="number"
+                      step="0.5"
+                      value={inputs.specialRepaymentLimit}
+                      onChange={(e) => handleInputChange('specialRepaymentLimit', Number(e.target.value))}
+                      className="w-full px-3 py-2 border border-gray-300 rounded-md focus:ring-teal-500 focus:border-teal-500"
+                    />
+                    <span className="ml-2 text-gray-600">% of loan p.a.</span>
+                  </div>
+                </div>
+              )}
+            </div>
+            
+            {inputs.specialRepaymentMode !== 'none' && (
+              <div className="mt-4">
+                <label className="flex items-center cursor-pointer">
+                  <input
+                    type="checkbox"
+                    checked={showSpecialRepaymentComparison}
+                    onChange={(e) => setShowSpecialRepaymentComparison(e.target.checked)}
+                    className="h-4 w-4 text-teal-600 focus:ring-teal-500 border-gray-300 rounded"
+                  />
+                  <span className="ml-2 text-sm font-medium text-gray-700">Compare with and without special repayments</span>
+                </label>
+                
+                {noSpecialRepaymentProjection && (
+                  <div className="overflow-x-auto mt-3">
+                    <table className="w-full text-sm">
+                      <thead>
+                        <tr className="bg-teal-50 border-b border-teal-200">
+                          <th className="text-left p-3 font-semibold text-teal-800">Metric</th>
+                          <th className="text-right p-3 font-semibold text-teal-800">Without Plan</th>
+                          <th className="text-right p-3 font-semibold text-teal-800">With Plan</th>
+                          <th className="text-right p-3 font-semibold text-teal-800">Difference</th>
+                        </tr>
+                      </thead>
+                      <tbody>
+                        {([10, 20, 40] as const).filter(y => y <= projectionYears).map(y => {
+                          const key = `irr${y}Year` as const;
+                          const without = noSpecialRepaymentProjection.summary[key];
+                          const withPlan = baseProjection.summary[key];
+                          return (
+                            <tr key={y} className="border-b border-gray-200">
+                              <td className="p-3 font-medium">IRR at {y} Years</td>
+                              <td className="p-3 text-right">{renderIRR(without)}</td>
+                              <td className="p-3 text-right">{renderIRR(withPlan)}</td>
+                              <td className="p-3 text-right">
+                                {withPlan.rate !== null && without.rate !== null ? formatPercent(withPlan.rate - without.rate) : 'n/a'}
+                              </td>
+                            </tr>
+                          );
+                        })}
+                        <tr className="border-b border-gray-200">
+                          <td className="p-3 font-medium">Total Interest Paid (Loan Term)</td>
+                          <td className="p-3 text-right">{formatCurrency(noSpecialRepaymentProjection.summary.totalInterestPaid)}</td>
+                          <td className="p-3 text-right">{formatCurrency(baseProjection.summary.totalInterestPaid)}</td>
+                          <td className="p-3 text-right">
+                            {formatCurrency(baseProjection.summary.totalInterestPaid - noSpecialRepaymentProjection.summary.totalInterestPaid)}
+                          </td>
+                        </tr>
+                        <tr className="border-b border-gray-200">
+                          <td className="p-3 font-medium">Loan Payoff Date</td>
+                          <td className="p-3 text-right">{noSpecialRepaymentProjection.summary.loanPayoffDate ?? 'Not repaid'}</td>
+                          <td className="p-3 text-right">{baseProjection.summary.loanPayoffDate ?? 'Not repaid'}</td>
+                          <td className="p-3 text-right">
+                            {noSpecialRepaymentProjection.summary.loanTermMonths !== null && baseProjection.summary.loanTermMonths !== null
+                              ? `${baseProjection.summary.loanTermMonths - noSpecialRepaymentProjection.summary.loanTermMonths} months`
+                              : '–'}
+                          </td>
+                        </tr>
+                      </tbody>
+                    </table>
+                  </div>
+                )}
+              </div>
+            )}
+          </div>
+          
+          {/* Loan Tranches */}
+          <div className="mt-6 border-t pt-4">
+            <div className="flex flex-wrap items-center justify-between gap-3 mb-3">
+              <h3 className="text-sm font-semibold text-gray-700">
+                Loan Tranches
+              </h3>
+              <div className="flex flex-wrap gap-2">
+                <button
+                  onClick={() => addLoanTranche('kfw')}
+                  className="px-3 py-1 bg-gray-200 text-gray-700 rounded-md hover:bg-gray-300 text-xs font-medium"
+                >
+                  + KfW Loan
+                </button>
+                <button
+                  onClick={() => addLoanTranche('bauspar')}
+                  className="px-3 py-1 bg-gray-200 text-gray-700 rounded-md hover:bg-gray-300 text-xs font-medium"
+                >
+                  + Bauspar Loan
+                </button>
+                <button
+                  onClick={() => addLoanTranche('annuity')}
+                  className="px-3 py-1 bg-gray-200 text-gray-700 rounded-md hover:bg-gray-300 text-xs font-medium"
+                >
+                  + Bank Loan
+                </button>
+              </div>
+            </div>
+            
+            <div className="bg-gray-50 p-3 rounded-md text-sm text-gray-700 mb-3">
+              <span className="font-medium">Bank Loan (remainder):</span>{' '}
+              {formatCurrency(baseProjection.trancheSchedules[0].tranche.amount)}
+              <span className="text-xs text-gray-500 ml-2">
+                financing need minus equity and the tranches below, at the interest and repayment rates above
+              </span>
+            </div>
+            
+            {inputs.loanTranches.reduce((sum, t) => sum + t.amount, 0) > baseProjection.summary.acquisitionCosts - baseProjection.summary.totalInvestment && (
+              <div className="bg-yellow-50 border border-yellow-200 rounded-md p-3 mb-3">
+                <p className="text-xs text-yellow-800">
+                  <strong>Note:</strong> Equity and loan tranches exceed the acquisition costs. The bank loan is set to zero and the tranches are reduced to the financing need, last tranche first.
+                </p>
+              </div>
+            )}
+            
+            <div className="space-y-3">
+              {inputs.loanTranches.map((tranche) => (
+                <div key={tranche.id} className="bg-white rounded border border-gray-200 p-4">
+                  <div className="flex items-center justify-between mb-3">
+                    <input
+                      type="text"
+                      value={tranche.name}
+                      onChange={(e) => updateLoanTranche(tranche.id, 'name', e.target.value)}
+                      className="px-2 py-1 text-sm font-semibold border border-gray-300 rounded focus:ring-teal-500 focus:border-teal-500"
+                    />
+                    <button
+                      onClick={() => removeLoanTranche(tranche.id)}
+                      className="text-xs text-red-600 hover:text-red-800 font-medium"
+                    >
+                      Remove
+                    </button>
+                  </div>
+                  <div className="grid grid-cols-2 md:grid-cols-4 gap-3">
+                    {([
+                      { key: 'amount', label: 'Amount', unit: '€', step: 1000 },
+                      { key: 'interestRate', label: 'Interest Rate', unit: '%', step: 0.01 },
+                      { key: 'repaymentRate', label: 'Repayment Rate', unit: '%', step: 0.1 },
+                      { key: 'fixedRatePeriod', label: 'Fixed-Rate Period (0 = whole term)', unit: 'years', step: 1 },
+                      { key: 'followUpInterestRate', label: 'Follow-up Rate', unit: '%', step: 0.01 },
+                      { key: 'gracePeriodYears', label: 'Repayment-Free Years', unit: 'years', step: 1 },
+                      { key: 'repaymentGrant', label: 'Repayment Grant', unit: '%', step: 0.5 },
+                      { key: 'termYears', label: 'Term (optional)', unit: 'years', step: 1 }
+                    ] as const).map(field => (
+                      <div key={field.key}>
+                        <label className="block text-xs font-medium text-gray-600 mb-1">
+                          {field.label}
+                        </label>
+                        <div className="flex items-center">
+                          <input
+                            type="number"
+                            step={field.step}
+                            value={tranche[field.key] ?? ''}
+                            onChange={(e) => updateLoanTranche(
+                              tranche.id,
+                              field.key,
+                              field.key === 'termYears' && e.target.value === '' ? null : Number(e.target.value)
+                            )}
+                            className="w-full px-2 py-1 text-sm border border-gray-300 rounded focus:ring-teal-500 focus:border-teal-500"
+                          />
+                          <span className="ml-1 text-xs text-gray-600">{field.unit}</span>
+                        </div>
+                      </div>
+                    ))}
+                  </div>
+                </div>
+              ))}
+            </div>
+          </div>
+        </div>
+        
+        {/* Operating Costs Section */}
+        <div className="bg-white rounded-lg shadow-md p-6 mb-6">
+          <h2 className="text-xl font-semibold text-teal-700 mb-4 pb-2 border-b-2 border-teal-500">
+            Operating Costs (Monthly)
+          </h2>
+          
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">
+                Property Management
+              </label>
+              <div className="flex items-center">
+                <input
+                  type="number"
+                  value={inputs.monthlyPropertyManagement}
+                  onChange={(e) => handleInputChange('monthlyPropertyManagement', Number(e.target.value))}
+                  className="w-full px-3 py-2 border border-gray-300 rounded-md focus:ring-teal-500 focus:border-teal-500"
+                />
+                <span className="ml-2 text-gray-600">€/month</span>
+              </div>
+            </div>
+            
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">
+                Maintenance Allowance (Own Unit)
+              </label>
+              <div className="flex items-center">
+                <input
+                  type="number"
+                  value={inputs.monthlyMaintenance}
+                  onChange={(e) => handleInputChange('monthlyMaintenance', Number(e.target.value))}
+                  className="w-full px-3 py-2 border border-gray-300 rounded-md focus:ring-teal-500 focus:border-teal-500"
+                />
+                <span className="ml-2 text-gray-600">€/month</span>
+              </div>
+            </div>
+            
             <div>
               <label className="block text-sm font-medium text-gray-700 mb-1">
-                Purchase Price
+                Insurance
               </label>
               <div className="flex items-center">
                 <input
                   type="number"
-                  value={inputs.purchasePrice}
-                  onChange={(e) => handleInputChange('purchasePrice', Number(e.target.value))}
+                  value={inputs.monthlyInsurance}
+                  onChange={(e) => handleInputChange('monthlyInsurance', Number(e.target.value))}
                   className="w-full px-3 py-2 border border-gray-300 rounded-md focus:ring-teal-500 focus:border-teal-500"
                 />
-                <span className="ml-2 text-gray-600">€</span>
+                <span className="ml-2 text-gray-600">€/month</span>
               </div>
             </div>
             
             <div>
               <label className="block text-sm font-medium text-gray-700 mb-1">
-                Renovation Costs
+                Other Costs
               </label>
               <div className="flex items-center">
                 <input
                   type="number"
-                  value={inputs.renovationCosts}
-                  onChange={(e) => handleInputChange('renovationCosts', Number(e.target.value))}
+                  value={inputs.monthlyOtherCosts}
+                  onChange={(e) => handleInputChange('monthlyOtherCosts', Number(e.target.value))}
                   className="w-full px-3 py-2 border border-gray-300 rounded-md focus:ring-teal-500 focus:border-teal-500"
                 />
-                <span className="ml-2 text-gray-600">€</span>
+                <span className="ml-2 text-gray-600">€/month</span>
+              </div>
+            </div>
+          </div>
+          
+          {/* Hausgeld */}
+          <div className="mt-6 border-t pt-4">
+            <h3 className="text-sm font-semibold text-gray-700 mb-3">
+              Hausgeld (Condominium Fee per Wirtschaftsplan)
+            </h3>
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">
+                  Total Hausgeld
+                </label>
+                <div className="flex items-center">
+                  <input
+                    type="number"
+                    min="0"
+                    value={inputs.monthlyHausgeld}
+                    onChange={(e) => handleInputChange('monthlyHausgeld', Number(e.target.value))}
+                    className="w-full px-3 py-2 border border-gray-300 rounded-md focus:ring-teal-500 focus:border-teal-500"
+                  />
+                  <span className="ml-2 text-gray-600">€/month</span>
+                </div>
+              </div>
+              
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">
+                  Recoverable from Tenant (umlagefähig)
+                </label>
+                <div className="flex items-center">
+                  <input
+                    type="number"
+                    min="0"
+                    value={inputs.monthlyRecoverableCosts}
+                    onChange={(e) => handleInputChange('monthlyRecoverableCosts', Number(e.target.value))}
+                    className="w-full px-3 py-2 border border-gray-300 rounded-md focus:ring-teal-500 focus:border-teal-500"
+                  />
+                  <span className="ml-2 text-gray-600">€/month</span>
+                </div>
+              </div>
+              
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">
+                  Maintenance Reserve (Instandhaltungsrücklage)
+                </label>
+                <div className="flex items-center">
+                  <input
+                    type="number"
+                    min="0"
+                    value={inputs.monthlyMaintenanceReserve}
+                    onChange={(e) => handleInputChange('monthlyMaintenanceReserve', Number(e.target.value))}
+                    className="w-full px-3 py-2 border border-gray-300 rounded-md focus:ring-teal-500 focus:border-teal-500"
+                  />
+                  <span className="ml-2 text-gray-600">€/month</span>
+                </div>
+              </div>
+              
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">
+                  Reserve Spent by WEG per Year
+                </label>
+                <div className="flex items-center">
+                  <input
+                    type="number"
+                    step="1"
+                    min="0"
+                    value={inputs.maintenanceReserveSpendingRate}
+                    onChange={(e) => handleInputChange('maintenanceReserveSpendingRate', Number(e.target.value))}
+                    className="w-full px-3 py-2 border border-gray-300 rounded-md focus:ring-teal-500 focus:border-teal-500"
+                  />
+                  <span className="ml-2 text-gray-600">% of balance</span>
+                </div>
+              </div>
+              
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">
+                  Non-Recoverable Landlord Share
+                </label>
+                <div className="w-full px-3 py-2 border border-gray-200 bg-gray-50 rounded-md text-gray-700">
+                  {formatCurrency(Math.max(0, inputs.monthlyHausgeld - inputs.monthlyRecoverableCosts - inputs.monthlyMaintenanceReserve))} / month
+                </div>
               </div>
             </div>
             
+            {inputs.monthlyRecoverableCosts + inputs.monthlyMaintenanceReserve > inputs.monthlyHausgeld && (
+              <p className="mt-3 text-sm text-red-600">
+                Recoverable costs and reserve exceed the total Hausgeld.
+              </p>
+            )}
+            <p className="mt-3 text-sm text-gray-600">
+              Recoverable costs are paid by the tenant on top of the rent and only burden the landlord during vacancy. Reserve contributions are paid every month but become tax-deductible only when the WEG spends them.
+            </p>
+          </div>
+          
+          {/* Capital Expenditure Events */}
+          <div className="mt-6 border-t pt-4">
+            <div className="flex items-center justify-between mb-3">
+              <h3 className="text-sm font-semibold text-gray-700">
+                Capital Expenditure Events
+              </h3>
+              <button
+                onClick={addCapExEvent}
+                className="px-3 py-1 bg-gray-200 text-gray-700 rounded-md hover:bg-gray-300 text-xs font-medium"
+              >
+                + CapEx Event
+              </button>
+            </div>
+            
+            {inputs.capexEvents.length === 0 && (
+              <p className="text-sm text-gray-500">
+                No scheduled events. Add one-off work such as a GEG-driven heating replacement, roof or windows.
+              </p>
+            )}
+            
+            <div className="space-y-3">
+              {inputs.capexEvents.map((event) => (
+                <div key={event.id} className="bg-white rounded border border-gray-200 p-4">
+                  <div className="flex items-center justify-between mb-3">
+                    <input
+                      type="text"
+                      value={event.name}
+                      onChange={(e) => updateCapExEvent(event.id, 'name', e.target.value)}
+                      className="px-2 py-1 text-sm font-semibold border border-gray-300 rounded focus:ring-teal-500 focus:border-teal-500"
+                    />
+                    <button
+                      onClick={() => removeCapExEvent(event.id)}
+                      className="text-xs text-red-600 hover:text-red-800 font-medium"
+                    >
+                      Remove
+                    </button>
+                  </div>
+                  <div className="grid grid-cols-2 md:grid-cols-4 gap-3">
+                    <div>
+                      <label className="block text-xs font-medium text-gray-600 mb-1">
+                        Year
+                      </label>
+                      <input
+                        type="number"
+                        step="1"
+                        min="1"
+                        value={event.year}
+                        onChange={(e) => updateCapExEvent(event.id, 'year', Math.max(1, Math.round(Number(e.target.value))))}
+                        className="w-full px-2 py-1 text-sm border border-gray-300 rounded focus:ring-teal-500 focus:border-teal-500"
+                      />
+                    </div>
+                    <div>
+                      <label className="block text-xs font-medium text-gray-600 mb-1">
+                        Amount (incl. VAT)
+                      </label>
+                      <div className="flex items-center">
+                        <input
+                          type="number"
+                          step="1000"
+                          value={event.amount}
+                          onChange={(e) => updateCapExEvent(event.id, 'amount', Number(e.target.value))}
+                          className="w-full px-2 py-1 text-sm border border-gray-300 rounded focus:ring-teal-500 focus:border-teal-500"
+                        />
+                        <span className="ml-1 text-xs text-gray-600">€</span>
+                      </div>
+                    </div>
+                    <div>
+                      <label className="block text-xs font-medium text-gray-600 mb-1">
+                        Tax Treatment
+                      </label>
+                      <select
+                        value={event.treatment}
+                        onChange={(e) => updateCapExEvent(event.id, 'treatment', e.target.value as CapExEvent['treatment'])}
+                        className="w-full px-2 py-1 text-sm border border-gray-300 rounded focus:ring-teal-500 focus:border-teal-500"
+                      >
+                        <option value="expense">Maintenance, Deducted Immediately</option>
+                        <option value="capitalize">Capitalized and Depreciated</option>
+                        <option value="spread">Maintenance Spread (§82b EStDV)</option>
+                      </select>
+                    </div>
+                    {event.treatment === 'spread' && (
+                      <div>
+                        <label className="block text-xs font-medium text-gray-600 mb-1">
+                          Spread Over
+                        </label>
+                        <select
+                          value={event.spreadYears}
+                          onChange={(e) => updateCapExEvent(event.id, 'spreadYears', Number(e.target.value))}
+                          className="w-full px-2 py-1 text-sm border border-gray-300 rounded focus:ring-teal-500 focus:border-teal-500"
+                        >
+                          {[2, 3, 4, 5].map(n => (
+                            <option key={n} value={n}>{n} Years</option>
+                          ))}
+                        </select>
+                      </div>
+                    )}
+                  </div>
+                  {event.treatment !== 'capitalize' && event.year <= ACQUISITION_RELATED_YEARS && baseProjection.summary.depreciationBasis.capexCapitalized && (
+                    <p className="mt-2 text-xs text-amber-700">
+                      Capitalized and depreciated instead: together with the renovation costs, work in the first three years exceeds 15% of the building's acquisition cost net of VAT (anschaffungsnahe Herstellungskosten).
+                    </p>
+                  )}
+                </div>
+              ))}
+            </div>
+          </div>
+        </div>
+        
+        {/* Growth Assumptions Section */}
+        <div className="bg-white rounded-lg shadow-md p-6 mb-6">
+          <h2 className="text-xl font-semibold text-teal-700 mb-4 pb-2 border-b-2 border-teal-500">
+            Growth Assumptions (Annual)
+          </h2>
+          
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
             <div>
               <label className="block text-sm font-medium text-gray-700 mb-1">
-                Notary & Land Registry Fees
+                Rent Increase Rate
               </label>
               <div className="flex items-center">
                 <input
                   type="number"
                   step="0.1"
-                  value={inputs.notaryAndLandRegistryFees}
-                  onChange={(e) => handleInputChange('notaryAndLandRegistryFees', Number(e.target.value))}
+                  value={inputs.rentIncreaseRate}
+                  onChange={(e) => handleInputChange('rentIncreaseRate', Number(e.target.value))}
                   className="w-full px-3 py-2 border border-gray-300 rounded-md focus:ring-teal-500 focus:border-teal-500"
                 />
-                <span className="ml-2 text-gray-600">%</span>
+                <span className="ml-2 text-gray-600">% p.a.</span>
               </div>
+              <AssumptionPathEditor
+                baseRate={inputs.rentIncreaseRate}
+                path={inputs.assumptionPaths.rentIncreaseRate}
+                years={projectionYears}
+                onChange={(path) => updateAssumptionPath('rentIncreaseRate', path)}
+              />
             </div>
             
             <div>
               <label className="block text-sm font-medium text-gray-700 mb-1">
-                Real Estate Transfer Tax (varies by state)
+                Property Value Increase Rate
               </label>
               <div className="flex items-center">
                 <input
                   type="number"
                   step="0.1"
-                  value={inputs.realEstateTransferTax}
-                  onChange={(e) => handleInputChange('realEstateTransferTax', Number(e.target.value))}
+                  value={inputs.propertyValueIncreaseRate}
+                  onChange={(e) => handleInputChange('propertyValueIncreaseRate', Number(e.target.value))}
                   className="w-full px-3 py-2 border border-gray-300 rounded-md focus:ring-teal-500 focus:border-teal-500"
                 />
-                <span className="ml-2 text-gray-600">%</span>
+                <span className="ml-2 text-gray-600">% p.a.</span>
               </div>
+              <AssumptionPathEditor
+                baseRate={inputs.propertyValueIncreaseRate}
+                path={inputs.assumptionPaths.propertyValueIncreaseRate}
+                years={projectionYears}
+                onChange={(path) => updateAssumptionPath('propertyValueIncreaseRate', path)}
+              />
             </div>
             
             <div>
               <label className="block text-sm font-medium text-gray-700 mb-1">
-                Broker Commission
+                Operating Costs Increase Rate
               </label>
               <div className="flex items-center">
                 <input
                   type="number"
                   step="0.1"
-                  value={inputs.brokerCommission}
-                  onChange={(e) => handleInputChange('brokerCommission', Number(e.target.value))}
+                  value={inputs.operatingCostsIncreaseRate}
+                  onChange={(e) => handleInputChange('operatingCostsIncreaseRate', Number(e.target.value))}
                   className="w-full px-3 py-2 border border-gray-300 rounded-md focus:ring-teal-500 focus:border-teal-500"
                 />
-                <span className="ml-2 text-gray-600">%</span>
+                <span className="ml-2 text-gray-600">% p.a.</span>
               </div>
+              <AssumptionPathEditor
+                baseRate={inputs.operatingCostsIncreaseRate}
+                path={inputs.assumptionPaths.operatingCostsIncreaseRate}
+                years={projectionYears}
+                onChange={(path) => updateAssumptionPath('operatingCostsIncreaseRate', path)}
+              />
             </div>
             
             <div>
               <label className="block text-sm font-medium text-gray-700 mb-1">
-                Monthly Rent
+                General Inflation Rate
               </label>
               <div className="flex items-center">
                 <input
                   type="number"
-                  value={inputs.monthlyRent}
-                  onChange={(e) => handleInputChange('monthlyRent', Number(e.target.value))}
+                  step="0.1"
+                  value={inputs.inflationRate}
+                  onChange={(e) => handleInputChange('inflationRate', Number(e.target.value))}
                   className="w-full px-3 py-2 border border-gray-300 rounded-md focus:ring-teal-500 focus:border-teal-500"
                 />
-                <span className="ml-2 text-gray-600">€/month</span>
+                <span className="ml-2 text-gray-600">% p.a.</span>
+              </div>
+            </div>
+            
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">
+                Discount Rate (NPV)
+              </label>
+              <div className="flex items-center">
+                <input
+                  type="number"
+                  step="0.1"
+                  value={inputs.discountRate}
+                  onChange={(e) => handleInputChange('discountRate', Number(e.target.value))}
+                  className="w-full px-3 py-2 border border-gray-300 rounded-md focus:ring-teal-500 focus:border-teal-500"
+                />
+                <span className="ml-2 text-gray-600">% p.a.</span>
               </div>
             </div>
+            
+            {!isOwnerOccupied && (
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">
+                  Vacancy Model
+                </label>
+                <select
+                  value={inputs.vacancyModel}
+                  onChange={(e) => handleInputChange('vacancyModel', e.target.value as PropertyInputs['vacancyModel'])}
+                  className="w-full px-3 py-2 border border-gray-300 rounded-md focus:ring-teal-500 focus:border-teal-500"
+                >
+                  <option value="rate">Flat Vacancy Rate</option>
+                  <option value="turnover">Tenant Turnover</option>
+                </select>
+              </div>
+            )}
+            
+            {!isOwnerOccupied && inputs.vacancyModel === 'rate' && (
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">
+                  Vacancy Rate
+                </label>
+                <div className="flex items-center">
+                  <input
+                    type="number"
+                    step="0.1"
+                    value={inputs.vacancyRate}
+                    onChange={(e) => handleInputChange('vacancyRate', Number(e.target.value))}
+                    className="w-full px-3 py-2 border border-gray-300 rounded-md focus:ring-teal-500 focus:border-teal-500"
+                  />
+                  <span className="ml-2 text-gray-600">%</span>
+                </div>
+              </div>
+            )}
+            
+            {!isOwnerOccupied && (
+              <>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">
+                    Depreciation Rate (AfA, linear)
+                  </label>
+                  <div className="flex items-center">
+                    <input
+                      type="number"
+                      step="0.1"
+                      value={inputs.depreciationRate}
+                      onChange={(e) => handleInputChange('depreciationRate', Number(e.target.value))}
+                      className="w-full px-3 py-2 border border-gray-300 rounded-md focus:ring-teal-500 focus:border-teal-500"
+                    />
+                    <span className="ml-2 text-gray-600">% p.a.</span>
+                  </div>
+                </div>
+                
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">
+                    Depreciation Regime
+                  </label>
+                  <select
+                    value={inputs.depreciationRegime}
+                    onChange={(e) => handleInputChange('depreciationRegime', e.target.value as PropertyInputs['depreciationRegime'])}
+                    className="w-full px-3 py-2 border border-gray-300 rounded-md focus:ring-teal-500 focus:border-teal-500"
+                  >
+                    <option value="linear">Linear (§7 Abs. 4)</option>
+                    <option value="degressive">5% Degressive, New Residential Build (§7 Abs. 5a)</option>
+                    <option value="special7b">Linear + Sonder-AfA for New Rental Housing (§7b)</option>
+                    <option value="listed">Listed Building, Modernization AfA (§7i/§7h)</option>
+                  </select>
+                  {inputs.depreciationRegime === 'special7b' && baseProjection.summary.depreciationBasis.specialDepreciationBasis === 0 && (
+                    <p className="mt-1 text-xs text-red-600">
+                      Not eligible: building costs exceed {formatCurrency(SPECIAL_DEPRECIATION_COST_LIMIT)} per m² of living area.
+                    </p>
+                  )}
+                </div>
+              </>
+            )}
           </div>
+          
+          {/* Tenant Turnover */}
+          {!isOwnerOccupied && inputs.vacancyModel === 'turnover' && (
+            <div className="mt-6 border-t pt-4">
+              <h3 className="text-sm font-semibold text-gray-700 mb-3">
+                Tenant Turnover
+              </h3>
+              <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">
+                    Average Tenancy Length
+                  </label>
+                  <div className="flex items-center">
+                    <input
+                      type="number"
+                      step="0.5"
+                      min="1"
+                      value={inputs.averageTenancyYears}
+                      onChange={(e) => handleInputChange('averageTenancyYears', Math.max(1, Number(e.target.value)))}
+                      className="w-full px-3 py-2 border border-gray-300 rounded-md focus:ring-teal-500 focus:border-teal-500"
+                    />
+                    <span className="ml-2 text-gray-600">years</span>
+                  </div>
+                </div>
+                
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">
+                    Months Vacant per Turnover
+                  </label>
+                  <div className="flex items-center">
+                    <input
+                      type="number"
+                      step="0.5"
+                      min="0"
+                      max="12"
+                      value={inputs.vacancyMonthsPerTurnover}
+                      onChange={(e) => handleInputChange('vacancyMonthsPerTurnover', Number(e.target.value))}
+                      className="w-full px-3 py-2 border border-gray-300 rounded-md focus:ring-teal-500 focus:border-teal-500"
+                    />
+                    <span className="ml-2 text-gray-600">months</span>
+                  </div>
+                </div>
+                
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">
+                    Re-letting Broker Fee
+                  </label>
+                  <div className="flex items-center">
+                    <input
+                      type="number"
+                      step="0.01"
+                      min="0"
+                      value={inputs.reLettingBrokerMonths}
+                      onChange={(e) => handleInputChange('reLettingBrokerMonths', Number(e.target.value))}
+                      className="w-full px-3 py-2 border border-gray-300 rounded-md focus:ring-teal-500 focus:border-teal-500"
+                    />
+                    <span className="ml-2 text-gray-600">monthly rents</span>
+                  </div>
+                </div>
+                
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">
+                    Cosmetic Renovation per Turnover
+                  </label>
+                  <div className="flex items-center">
+                    <input
+                      type="number"
+                      step="100"
+                      min="0"
+                      value={inputs.cosmeticRenovationCosts}
+                      onChange={(e) => handleInputChange('cosmeticRenovationCosts', Number(e.target.value))}
+                      className="w-full px-3 py-2 border border-gray-300 rounded-md focus:ring-teal-500 focus:border-teal-500"
+                    />
+                    <span className="ml-2 text-gray-600">€</span>
+                  </div>
+                </div>
+                
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">
+                    Mietpreisbremse
+                  </label>
+                  <div className="flex items-center h-full">
+                    <input
+                      type="checkbox"
+                      checked={inputs.rentControlOnReletting}
+                      onChange={(e) => handleInputChange('rentControlOnReletting', e.target.checked)}
+                      className="h-4 w-4 text-teal-600 focus:ring-teal-500 border-gray-300 rounded"
+                    />
+                    <span className="ml-2 text-gray-700">New leases at most 10% above the Mietspiegel (§556d BGB)</span>
+                  </div>
+                </div>
+              </div>
+              <p className="mt-3 text-sm text-gray-600">
+                A tenancy ends every {inputs.averageTenancyYears} years. In each turnover year the rent is lost for the vacant months,
+                the re-letting costs are paid and deducted, and the new lease starts at the market rent
+                {inputs.rentRegime === 'staffel' ? ' (Staffelmiete steps continue unchanged)' : ''}.
+                {inputs.rentControlOnReletting && inputs.localComparativeRent === null && ' The Mietpreisbremse needs a Mietspiegel rent (Rent Regime) to apply.'}
+              </p>
+            </div>
+          )}
         </div>
         
-        {/* Financing Section */}
+        {/* Exit Assumptions Section */}
         <div className="bg-white rounded-lg shadow-md p-6 mb-6">
           <h2 className="text-xl font-semibold text-teal-700 mb-4 pb-2 border-b-2 border-teal-500">
-            Financing
+            Exit Assumptions
           </h2>
           
           <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
             <div>
               <label className="block text-sm font-medium text-gray-700 mb-1">
-                Equity / Down Payment
+                Exit Year (Sale)
               </label>
               <div className="flex items-center">
                 <input
                   type="number"
-                  value={inputs.equity}
-                  onChange={(e) => handleInputChange('equity', Number(e.target.value))}
+                  step="1"
+                  min="1"
+                  value={inputs.exitYear ?? ''}
+                  placeholder="Hold (sale assumed at each horizon)"
+                  onChange={(e) => handleInputChange('exitYear', e.target.value === '' ? null : Math.max(1, Math.round(Number(e.target.value))))}
                   className="w-full px-3 py-2 border border-gray-300 rounded-md focus:ring-teal-500 focus:border-teal-500"
                 />
-                <span className="ml-2 text-gray-600">€</span>
+                <span className="ml-2 text-gray-600">year</span>
               </div>
             </div>
             
             <div>
               <label className="block text-sm font-medium text-gray-700 mb-1">
-                Interest Rate
+                Broker Commission on Sale
               </label>
               <div className="flex items-center">
                 <input
                   type="number"
-                  step="0.01"
-                  value={inputs.interestRate}
-                  onChange={(e) => handleInputChange('interestRate', Number(e.target.value))}
+                  step="0.1"
+                  value={inputs.saleBrokerCommission}
+                  onChange={(e) => handleInputChange('saleBrokerCommission', Number(e.target.value))}
                   className="w-full px-3 py-2 border border-gray-300 rounded-md focus:ring-teal-500 focus:border-teal-500"
                 />
-                <span className="ml-2 text-gray-600">% p.a.</span>
+                <span className="ml-2 text-gray-600">%</span>
               </div>
             </div>
             
             <div>
               <label className="block text-sm font-medium text-gray-700 mb-1">
-                Repayment Rate
+                Notary & Other Selling Costs
               </label>
               <div className="flex items-center">
                 <input
                   type="number"
                   step="0.1"
-                  value={inputs.repaymentRate}
-                  onChange={(e) => handleInputChange('repaymentRate', Number(e.target.value))}
+                  value={inputs.saleOtherCosts}
+                  onChange={(e) => handleInputChange('saleOtherCosts', Number(e.target.value))}
                   className="w-full px-3 py-2 border border-gray-300 rounded-md focus:ring-teal-500 focus:border-teal-500"
                 />
-                <span className="ml-2 text-gray-600">% p.a.</span>
+                <span className="ml-2 text-gray-600">%</span>
               </div>
             </div>
           </div>
+          
+          <p className="mt-4 text-xs text-gray-500">
+            Sales up to the end of year {SPECULATION_PERIOD_YEARS} fall within the holding period of {SPECULATION_PERIOD_YEARS} years and are taxed as private sale gains (§23 EStG); depreciation already claimed is recaptured. IRR, ROI and net worth at each horizon use the after-tax sale proceeds.
+          </p>
         </div>
         
-        {/* Operating Costs Section */}
+        {/* Tax Information Section */}
         <div className="bg-white rounded-lg shadow-md p-6 mb-6">
           <h2 className="text-xl font-semibold text-teal-700 mb-4 pb-2 border-b-2 border-teal-500">
-            Operating Costs (Monthly)
+            Personal Tax Information
           </h2>
           
           <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
             <div>
               <label className="block text-sm font-medium text-gray-700 mb-1">
-                Property Management
+                Annual Income (for tax calculations)
               </label>
               <div className="flex items-center">
                 <input
                   type="number"
-                  value={inputs.monthlyPropertyManagement}
-                  onChange={(e) => handleInputChange('monthlyPropertyManagement', Number(e.target.value))}
+                  value={inputs.annualIncome}
+                  onChange={(e) => handleInputChange('annualIncome', Number(e.target.value))}
                   className="w-full px-3 py-2 border border-gray-300 rounded-md focus:ring-teal-500 focus:border-teal-500"
                 />
-                <span className="ml-2 text-gray-600">€/month</span>
+                <span className="ml-2 text-gray-600">€/year</span>
               </div>
             </div>
             
             <div>
               <label className="block text-sm font-medium text-gray-700 mb-1">
-                Maintenance Reserve
+                Marginal Tax Rate (from tariff)
               </label>
               <div className="flex items-center">
-                <input
-                  type="number"
-                  value={inputs.monthlyMaintenance}
-                  onChange={(e) => handleInputChange('monthlyMaintenance', Number(e.target.value))}
-                  className="w-full px-3 py-2 border border-gray-300 rounded-md focus:ring-teal-500 focus:border-teal-500"
-                />
-                <span className="ml-2 text-gray-600">€/month</span>
+                <div className="w-full px-3 py-2 border border-gray-200 bg-gray-50 rounded-md text-gray-700">
+                  {calculateMarginalTaxRate(inputs.annualIncome, inputs.maritalStatus, inputs.churchTaxLiability).toFixed(1)}
+                </div>
+                <span className="ml-2 text-gray-600">%</span>
               </div>
             </div>
             
             <div>
               <label className="block text-sm font-medium text-gray-700 mb-1">
-                Insurance
+                Marital Status
               </label>
-              <div className="flex items-center">
-                <input
-                  type="number"
-                  value={inputs.monthlyInsurance}
-                  onChange={(e) => handleInputChange('monthlyInsurance', Number(e.target.value))}
-                  className="w-full px-3 py-2 border border-gray-300 rounded-md focus:ring-teal-500 focus:border-teal-500"
-                />
-                <span className="ml-2 text-gray-600">€/month</span>
-              </div>
+              <select
+                value={inputs.maritalStatus}
+                onChange={(e) => handleInputChange('maritalStatus', e.target.value as 'single' | 'married')}
+                className="w-full px-3 py-2 border border-gray-300 rounded-md focus:ring-teal-500 focus:border-teal-500"
+              >
+                <option value="single">Single</option>
+                <option value="married">Married (Ehegattensplitting)</option>
+              </select>
             </div>
             
             <div>
               <label className="block text-sm font-medium text-gray-700 mb-1">
-                Other Costs
+                Church Tax Liability
               </label>
-              <div className="flex items-center">
+              <div className="flex items-center h-full">
                 <input
-                  type="number"
-                  value={inputs.monthlyOtherCosts}
-                  onChange={(e) => handleInputChange('monthlyOtherCosts', Number(e.target.value))}
-                  className="w-full px-3 py-2 border border-gray-300 rounded-md focus:ring-teal-500 focus:border-teal-500"
+                  type="checkbox"
+                  checked={inputs.churchTaxLiability}
+                  onChange={(e) => handleInputChange('churchTaxLiability', e.target.checked)}
+                  className="h-4 w-4 text-teal-600 focus:ring-teal-500 border-gray-300 rounded"
                 />
-                <span className="ml-2 text-gray-600">€/month</span>
+                <span className="ml-2 text-gray-700">Kirchensteuer (8% of income tax)</span>
               </div>
             </div>
           </div>
         </div>
         
-        {/* Growth Assumptions Section */}
+        {/* Household Budget Section */}
         <div className="bg-white rounded-lg shadow-md p-6 mb-6">
           <h2 className="text-xl font-semibold text-teal-700 mb-4 pb-2 border-b-2 border-teal-500">
-            Growth Assumptions (Annual)
+            Household Budget (Haushaltsrechnung)
           </h2>
           
           <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
             <div>
               <label className="block text-sm font-medium text-gray-700 mb-1">
-                Rent Increase Rate
+                Net Household Income
               </label>
               <div className="flex items-center">
                 <input
                   type="number"
-                  step="0.1"
-                  value={inputs.rentIncreaseRate}
-                  onChange={(e) => handleInputChange('rentIncreaseRate', Number(e.target.value))}
+                  step="100"
+                  value={inputs.monthlyNetIncome}
+                  onChange={(e) => handleInputChange('monthlyNetIncome', Number(e.target.value))}
                   className="w-full px-3 py-2 border border-gray-300 rounded-md focus:ring-teal-500 focus:border-teal-500"
                 />
-                <span className="ml-2 text-gray-600">% p.a.</span>
+                <span className="ml-2 text-gray-600">€/month</span>
               </div>
             </div>
             
             <div>
               <label className="block text-sm font-medium text-gray-700 mb-1">
-                Property Value Increase Rate
+                Living Costs
               </label>
               <div className="flex items-center">
                 <input
                   type="number"
-                  step="0.1"
-                  value={inputs.propertyValueIncreaseRate}
-                  onChange={(e) => handleInputChange('propertyValueIncreaseRate', Number(e.target.value))}
+                  step="100"
+                  value={inputs.monthlyLivingCosts}
+                  onChange={(e) => handleInputChange('monthlyLivingCosts', Number(e.target.value))}
                   className="w-full px-3 py-2 border border-gray-300 rounded-md focus:ring-teal-500 focus:border-teal-500"
                 />
-                <span className="ml-2 text-gray-600">% p.a.</span>
+                <span className="ml-2 text-gray-600">€/month</span>
               </div>
             </div>
             
             <div>
               <label className="block text-sm font-medium text-gray-700 mb-1">
-                Operating Costs Increase Rate
+                Existing Obligations (loans, leasing)
               </label>
               <div className="flex items-center">
                 <input
                   type="number"
-                  step="0.1"
-                  value={inputs.operatingCostsIncreaseRate}
-                  onChange={(e) => handleInputChange('operatingCostsIncreaseRate', Number(e.target.value))}
+                  step="50"
+                  value={inputs.monthlyObligations}
+                  onChange={(e) => handleInputChange('monthlyObligations', Number(e.target.value))}
                   className="w-full px-3 py-2 border border-gray-300 rounded-md focus:ring-teal-500 focus:border-teal-500"
                 />
-                <span className="ml-2 text-gray-600">% p.a.</span>
+                <span className="ml-2 text-gray-600">€/month</span>
               </div>
             </div>
             
+            {!isOwnerOccupied && (
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">
+                  Rent Counted by the Bank
+                </label>
+                <div className="flex items-center">
+                  <input
+                    type="number"
+                    step="5"
+                    value={inputs.bankRentHaircut}
+                    onChange={(e) => handleInputChange('bankRentHaircut', Math.min(100, Math.max(0, Number(e.target.value))))}
+                    className="w-full px-3 py-2 border border-gray-300 rounded-md focus:ring-teal-500 focus:border-teal-500"
+                  />
+                  <span className="ml-2 text-gray-600">% of rent</span>
+                </div>
+              </div>
+            )}
+          </div>
+          
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-6 mt-6">
+            <table className="w-full text-sm">
+              <tbody>
+                <tr className="border-b border-gray-200">
+                  <td className="py-2 text-gray-700">+ Net Household Income</td>
+                  <td className="py-2 text-right">{formatCurrency(householdBudget.netIncome)}</td>
+                </tr>
+                {!isOwnerOccupied && (
+                  <tr className="border-b border-gray-200">
+                    <td className="py-2 text-gray-700">+ Counted Rent</td>
+                    <td className="py-2 text-right">{formatCurrency(householdBudget.countedRent)}</td>
+                  </tr>
+                )}
+                <tr className="border-b border-gray-200">
+                  <td className="py-2 text-gray-700">− Living Costs</td>
+                  <td className="py-2 text-right">{formatCurrency(householdBudget.livingCosts)}</td>
+                </tr>
+                <tr className="border-b border-gray-200">
+                  <td className="py-2 text-gray-700">− Existing Obligations</td>
+                  <td className="py-2 text-right">{formatCurrency(householdBudget.obligations)}</td>
+                </tr>
+                <tr className="border-b border-gray-200">
+                  <td className="py-2 text-gray-700">− Property Running Costs</td>
+                  <td className="py-2 text-right">{formatCurrency(householdBudget.propertyCosts)}</td>
+                </tr>
+                <tr className="border-b border-gray-200">
+                  <td className="py-2 text-gray-700">− New Loan Payment</td>
+                  <td className="py-2 text-right">{formatCurrency(householdBudget.loanPayment)}</td>
+                </tr>
+                <tr className="font-semibold">
+                  <td className="py-2">= Monthly Surplus</td>
+                  <td className={`py-2 text-right ${householdBudget.surplus >= 0 ? 'text-green-600' : 'text-red-600'}`}>
+                    {formatCurrency(householdBudget.surplus)}
+                  </td>
+                </tr>
+              </tbody>
+            </table>
+            
             <div>
-              <label className="block text-sm font-medium text-gray-700 mb-1">
-                Vacancy Rate
-              </label>
-              <div className="flex items-center">
-                <input
-                  type="number"
-                  step="0.1"
-                  value={inputs.vacancyRate}
-                  onChange={(e) => handleInputChange('vacancyRate', Number(e.target.value))}
+              <div className="grid grid-cols-2 gap-4 mb-4">
+                <div>
+                  <div className="text-xs text-gray-500">Maximum Loan</div>
+                  <div className="text-lg font-semibold text-gray-900">{formatCurrency(householdBudget.maxLoan)}</div>
+                  <div className="text-xs text-gray-500">at {formatPercent(inputs.interestRate, 2)} interest and {formatPercent(inputs.repaymentRate, 2)} repayment</div>
+                </div>
+                <div>
+                  <div className="text-xs text-gray-500">Required Loan</div>
+                  <div className={`text-lg font-semibold ${householdBudget.loanAmount <= householdBudget.maxLoan ? 'text-gray-900' : 'text-red-600'}`}>
+                    {formatCurrency(householdBudget.loanAmount)}
+                  </div>
+                  <div className="text-xs text-gray-500">debt service {isFinite(householdBudget.debtServiceRatio) ? formatPercent(householdBudget.debtServiceRatio, 1) : 'n/a'} of income</div>
+                </div>
+              </div>
+              
+              <ul className="space-y-1 text-sm">
+                {householdBudget.criteria.map(criterion => (
+                  <li key={criterion.label} className={criterion.passed ? 'text-green-700' : 'text-red-600'}>
+                    {criterion.passed ? '✓' : '✗'} {criterion.label}
+                  </li>
+                ))}
+              </ul>
+            </div>
+          </div>
+          
+          {!householdBudget.passed && (
+            <div className="bg-red-50 border border-red-200 rounded-md p-3 mt-4">
+              <p className="text-xs text-red-800">
+                <strong>Fails typical bank criteria:</strong> a bank is unlikely to finance this deal as entered.
+                Lower the loan, raise the equity or choose a longer repayment.
+              </p>
+            </div>
+          )}
+          
+          <p className="mt-4 text-xs text-gray-500">
+            First-year amounts per month, without tax effects.
+            {isOwnerOccupied
+              ? ' Leave the current rent out of the living costs, since it ends when you move in.'
+              : ` The bank counts ${inputs.bankRentHaircut}% of the new rent as income.`}
+            {' '}The maximum loan is the largest annuity that keeps the surplus positive and the debt service within {BANK_MAX_DEBT_SERVICE_RATIO * 100}% of income.
+          </p>
+        </div>
+        
+        {/* Ownership Structure Section */}
+        {!isOwnerOccupied && (
+          <div className="bg-white rounded-lg shadow-md p-6 mb-6">
+            <h2 className="text-xl font-semibold text-teal-700 mb-4 pb-2 border-b-2 border-teal-500">
+              Ownership Structure
+            </h2>
+            
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">
+                  Buyer
+                </label>
+                <select
+                  value={inputs.ownershipStructure}
+                  onChange={(e) => handleInputChange('ownershipStructure', e.target.value as PropertyInputs['ownershipStructure'])}
                   className="w-full px-3 py-2 border border-gray-300 rounded-md focus:ring-teal-500 focus:border-teal-500"
-                />
-                <span className="ml-2 text-gray-600">%</span>
+                >
+                  <option value="private">Private Individual (Income Tax)</option>
+                  <option value="gmbh">Vermögensverwaltende GmbH</option>
+                </select>
               </div>
+              
+              {inputs.ownershipStructure === 'gmbh' && (
+                <>
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-1">
+                      Gewerbesteuer-Hebesatz
+                    </label>
+                    <div className="flex items-center">
+                      <input
+                        type="number"
+                        step="10"
+                        min="200"
+                        value={inputs.tradeTaxMultiplier}
+                        onChange={(e) => handleInputChange('tradeTaxMultiplier', Number(e.target.value))}
+                        className="w-full px-3 py-2 border border-gray-300 rounded-md focus:ring-teal-500 focus:border-teal-500"
+                      />
+                      <span className="ml-2 text-gray-600">%</span>
+                    </div>
+                  </div>
+                  
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-1">
+                      Erweiterte Kürzung
+                    </label>
+                    <div className="flex items-center h-full">
+                      <input
+                        type="checkbox"
+                        checked={inputs.extendedTradeTaxReduction}
+                        onChange={(e) => handleInputChange('extendedTradeTaxReduction', e.target.checked)}
+                        className="h-4 w-4 text-teal-600 focus:ring-teal-500 border-gray-300 rounded"
+                      />
+                      <span className="ml-2 text-gray-700">Rental income exempt from trade tax (§9 Nr. 1 Satz 2 GewStG)</span>
+                    </div>
+                  </div>
+                  
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-1">
+                      Company Running Costs
+                    </label>
+                    <div className="flex items-center">
+                      <input
+                        type="number"
+                        step="100"
+                        min="0"
+                        value={inputs.companyAnnualCosts}
+                        onChange={(e) => handleInputChange('companyAnnualCosts', Number(e.target.value))}
+                        className="w-full px-3 py-2 border border-gray-300 rounded-md focus:ring-teal-500 focus:border-teal-500"
+                      />
+                      <span className="ml-2 text-gray-600">€ p.a.</span>
+                    </div>
+                  </div>
+                  
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-1">
+                      Distribution Rate
+                    </label>
+                    <div className="flex items-center">
+                      <input
+                        type="number"
+                        step="10"
+                        min="0"
+                        max="100"
+                        value={inputs.distributionRate}
+                        onChange={(e) => handleInputChange('distributionRate', Math.min(100, Math.max(0, Number(e.target.value))))}
+                        className="w-full px-3 py-2 border border-gray-300 rounded-md focus:ring-teal-500 focus:border-teal-500"
+                      />
+                      <span className="ml-2 text-gray-600">% of surplus</span>
+                    </div>
+                  </div>
+                </>
+              )}
             </div>
             
-            <div>
-              <label className="block text-sm font-medium text-gray-700 mb-1">
-                Depreciation Rate (AfA)
-              </label>
-              <div className="flex items-center">
+            {inputs.ownershipStructure === 'gmbh' && (
+              <p className="mt-4 text-xs text-gray-500">
+                The GmbH pays {formatPercent(CORPORATE_TAX_RATE * 100, 3)} corporate tax incl. Soli on its profit and carries losses forward; they do not reduce your income tax.
+                Sale gains are taxed in the company regardless of the holding period. Distributions and the liquidation payout above your contributed capital are taxed with the Abgeltungsteuer.
+                Cash flows, IRR and net worth are shown from your perspective as shareholder.
+              </p>
+            )}
+            
+            <div className="mt-4">
+              <label className="flex items-center cursor-pointer">
                 <input
-                  type="number"
-                  step="0.1"
-                  value={inputs.depreciationRate}
-                  onChange={(e) => handleInputChange('depreciationRate', Number(e.target.value))}
-                  className="w-full px-3 py-2 border border-gray-300 rounded-md focus:ring-teal-500 focus:border-teal-500"
+                  type="checkbox"
+                  checked={showOwnershipComparison}
+                  onChange={(e) => setShowOwnershipComparison(e.target.checked)}
+                  className="h-4 w-4 text-teal-600 focus:ring-teal-500 border-gray-300 rounded"
                 />
-                <span className="ml-2 text-gray-600">% p.a.</span>
-              </div>
+                <span className="ml-2 text-sm font-medium text-gray-700">Compare private and GmbH ownership</span>
+              </label>
+              
+              {ownershipComparison && (
+                <div className="overflow-x-auto mt-3">
+                  <table className="w-full text-sm">
+                    <thead>
+                      <tr className="bg-teal-50 border-b border-teal-200">
+                        <th className="text-left p-3 font-semibold text-teal-800">Metric</th>
+                        <th className="text-right p-3 font-semibold text-teal-800">Private</th>
+                        <th className="text-right p-3 font-semibold text-teal-800">GmbH</th>
+                        <th className="text-right p-3 font-semibold text-teal-800">Difference</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {([10, 20, 40] as const).filter(y => y <= projectionYears).map(y => {
+                        const privateIrr = ownershipComparison.privateProjection.summary[`irr${y}Year`];
+                        const companyIrr = ownershipComparison.companyProjection.summary[`irr${y}Year`];
+                        const privateNetWorth = ownershipComparison.privateProjection.summary[`netWorth${y}Year`];
+                        const companyNetWorth = ownershipComparison.companyProjection.summary[`netWorth${y}Year`];
+                        return (
+                          <React.Fragment key={y}>
+                            <tr className="border-b border-gray-200">
+                              <td className="p-3 font-medium">IRR at {y} Years</td>
+                              <td className="p-3 text-right">{renderIRR(privateIrr)}</td>
+                              <td className="p-3 text-right">{renderIRR(companyIrr)}</td>
+                              <td className="p-3 text-right">
+                                {companyIrr.rate !== null && privateIrr.rate !== null ? formatPercent(companyIrr.rate - privateIrr.rate) : 'n/a'}
+                              </td>
+                            </tr>
+                            <tr className="border-b border-gray-200">
+                              <td className="p-3 font-medium">Net Worth at {y} Years{showRealValues ? ' (real)' : ''}</td>
+                              <td className="p-3 text-right">{formatCurrency(privateNetWorth)}</td>
+                              <td className="p-3 text-right">{formatCurrency(companyNetWorth)}</td>
+                              <td className={`p-3 text-right ${companyNetWorth >= privateNetWorth ? 'text-green-600' : 'text-red-600'}`}>
+                                {formatCurrency(companyNetWorth - privateNetWorth)}
+                              </td>
+                            </tr>
+                          </React.Fragment>
+                        );
+                      })}
+                    </tbody>
+                  </table>
+                  <p className="mt-2 text-xs text-gray-500">
+                    Difference = GmbH minus private. Net worth assumes the property is sold at the horizon and the GmbH is liquidated.
+                  </p>
+                </div>
+              )}
             </div>
           </div>
-        </div>
+        )}
         
-        {/* Tax Information Section */}
+        {/* ETF Benchmark Section */}
         <div className="bg-white rounded-lg shadow-md p-6 mb-6">
           <h2 className="text-xl font-semibold text-teal-700 mb-4 pb-2 border-b-2 border-teal-500">
-            Personal Tax Information
+            ETF Benchmark
           </h2>
           
           <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
             <div>
               <label className="block text-sm font-medium text-gray-700 mb-1">
-                Annual Income (for tax calculations)
+                Expected Return (before costs)
               </label>
               <div className="flex items-center">
                 <input
                   type="number"
-                  value={inputs.annualIncome}
-                  onChange={(e) => handleInputChange('annualIncome', Number(e.target.value))}
+                  step="0.1"
+                  value={inputs.etfReturn}
+                  onChange={(e) => handleInputChange('etfReturn', Number(e.target.value))}
                   className="w-full px-3 py-2 border border-gray-300 rounded-md focus:ring-teal-500 focus:border-teal-500"
                 />
-                <span className="ml-2 text-gray-600">€/year</span>
+                <span className="ml-2 text-gray-600">% p.a.</span>
               </div>
             </div>
             
             <div>
               <label className="block text-sm font-medium text-gray-700 mb-1">
-                Marginal Tax Rate
+                Total Expense Ratio (TER)
               </label>
               <div className="flex items-center">
                 <input
                   type="number"
-                  step="1"
-                  value={inputs.marginalTaxRate}
-                  onChange={(e) => handleInputChange('marginalTaxRate', Number(e.target.value))}
+                  step="0.05"
+                  value={inputs.etfTer}
+                  onChange={(e) => handleInputChange('etfTer', Number(e.target.value))}
                   className="w-full px-3 py-2 border border-gray-300 rounded-md focus:ring-teal-500 focus:border-teal-500"
                 />
-                <span className="ml-2 text-gray-600">%</span>
+                <span className="ml-2 text-gray-600">% p.a.</span>
               </div>
             </div>
             
             <div>
               <label className="block text-sm font-medium text-gray-700 mb-1">
-                Marital Status
+                Teilfreistellung
               </label>
-              <select
-                value={inputs.maritalStatus}
-                onChange={(e) => handleInputChange('maritalStatus', e.target.value as 'single' | 'married')}
-                className="w-full px-3 py-2 border border-gray-300 rounded-md focus:ring-teal-500 focus:border-teal-500"
-              >
-                <option value="single">Single</option>
-                <option value="married">Married (Ehegattensplitting)</option>
-              </select>
+              <div className="flex items-center">
+                <input
+                  type="number"
+                  step="5"
+                  value={inputs.etfPartialExemption}
+                  onChange={(e) => handleInputChange('etfPartialExemption', Math.min(100, Math.max(0, Number(e.target.value))))}
+                  className="w-full px-3 py-2 border border-gray-300 rounded-md focus:ring-teal-500 focus:border-teal-500"
+                />
+                <span className="ml-2 text-gray-600">%</span>
+              </div>
             </div>
             
             <div>
               <label className="block text-sm font-medium text-gray-700 mb-1">
-                Church Tax Liability
+                Basiszins (Vorabpauschale)
               </label>
-              <div className="flex items-center h-full">
+              <div className="flex items-center">
                 <input
-                  type="checkbox"
-                  checked={inputs.churchTaxLiability}
-                  onChange={(e) => handleInputChange('churchTaxLiability', e.target.checked)}
-                  className="h-4 w-4 text-teal-600 focus:ring-teal-500 border-gray-300 rounded"
+                  type="number"
+                  step="0.01"
+                  value={inputs.etfBaseRate}
+                  onChange={(e) => handleInputChange('etfBaseRate', Number(e.target.value))}
+                  className="w-full px-3 py-2 border border-gray-300 rounded-md focus:ring-teal-500 focus:border-teal-500"
                 />
-                <span className="ml-2 text-gray-700">Kirchensteuer (8% of income tax)</span>
+                <span className="ml-2 text-gray-600">%</span>
               </div>
             </div>
           </div>
+          
+          <p className="mt-4 text-xs text-gray-500">
+            {isOwnerOccupied
+              ? 'Renting and investing the difference: the renter invests the equity and, in every year owning costs more than the rent, the difference in an accumulating ETF.'
+              : 'The benchmark invests the equity and every negative net cash flow of the property in an accumulating ETF instead.'}
+            The Vorabpauschale (70% of the Basiszins) and the gain on a sale at each horizon are taxed with the Abgeltungsteuer after the Teilfreistellung (30% for equity funds).
+            Its net worth nets the invested cash flows in the same way as the property's net worth.
+          </p>
         </div>
         
         {/* Sensitivity Analysis Section */}
@@ -1568,7 +5988,7 @@ const GermanPropertyAnalyzer: React.FC = () => {
                       {Object.keys(scenario.variables).length > 0 ? (
                         <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 xl:grid-cols-4 gap-2">
                           {Object.entries(scenario.variables).map(([key, value]) => {
-                            const variable = sensitivityVariables.find(v => v.key === key);
+                            const variable = allSensitivityVariables.find(v => v.key === key);
                             const baseValue = inputs[key as keyof PropertyInputs];
                             const diff = typeof value === 'number' && typeof baseValue === 'number' ? value - baseValue : 0;
                             const diffStr = diff > 0 ? `+${diff.toFixed(2)}` : diff.toFixed(2);
@@ -1578,7 +5998,7 @@ const GermanPropertyAnalyzer: React.FC = () => {
                                 <div className="font-medium text-gray-700">{variable?.name}</div>
                                 <div className="flex items-baseline space-x-1 mt-1">
                                   <span className="font-semibold text-gray-900">
-                                    {typeof value === 'number' ? value.toFixed(2) : value}{variable?.unit}
+                                    {typeof value === 'number' ? value.toFixed(2) : String(value)}{variable?.unit}
                                   </span>
                                   <span className={`text-xs ${diff > 0 ? 'text-green-600' : diff < 0 ? 'text-red-600' : 'text-gray-500'}`}>
                                     ({diffStr})
@@ -1598,6 +6018,121 @@ const GermanPropertyAnalyzer: React.FC = () => {
                 </div>
               </div>
               
+              {/* Variables and Ranges */}
+              <div className="border-t pt-6">
+                <div className="flex items-center justify-between mb-4">
+                  <h3 className="text-sm font-semibold text-gray-700">
+                    Variables and Ranges ({sensitivityVariables.length} of {availableSensitivityEntries.length})
+                  </h3>
+                  <button
+                    onClick={() => setShowSensitivitySettings(!showSensitivitySettings)}
+                    className="px-3 py-1 bg-gray-200 text-gray-700 rounded-md hover:bg-gray-300 text-xs font-medium"
+                  >
+                    {showSensitivitySettings ? 'Hide' : 'Configure'}
+                  </button>
+                </div>
+                {sensitivityVariables.some(v => v.zeroBase === 'flat') && (
+                  <p className="mb-3 text-xs text-red-600">
+                    No range to test for {sensitivityVariables.filter(v => v.zeroBase === 'flat').map(v => v.name).join(', ')}: the current value is 0, so a ± % range stays flat. Set Min / Max instead.
+                  </p>
+                )}
+                {showSensitivitySettings && (
+                  <>
+                    <div className="overflow-x-auto">
+                      <table className="w-full text-sm">
+                        <thead>
+                          <tr className="bg-teal-50 border-b border-teal-200">
+                            <th className="text-left p-3 font-semibold text-teal-800">Variable</th>
+                            <th className="text-right p-3 font-semibold text-teal-800">Current</th>
+                            <th className="text-left p-3 font-semibold text-teal-800">Range</th>
+                            <th className="text-left p-3 font-semibold text-teal-800">Bounds</th>
+                            <th className="text-right p-3 font-semibold text-teal-800">Tested</th>
+                          </tr>
+                        </thead>
+                        <tbody>
+                          {availableSensitivityEntries.map(entry => {
+                            const setting = sensitivitySettings[entry.key]!;
+                            const variable = allSensitivityVariables.find(v => v.key === entry.key)!;
+                            return (
+                              <tr key={entry.key} className={`border-b border-gray-200 ${setting.enabled ? '' : 'text-gray-400'}`}>
+                                <td className="p-3">
+                                  <label className="flex items-center cursor-pointer">
+                                    <input
+                                      type="checkbox"
+                                      checked={setting.enabled}
+                                      onChange={(e) => updateSensitivitySetting(entry.key, { enabled: e.target.checked })}
+                                      className="h-4 w-4 text-teal-600 focus:ring-teal-500 border-gray-300 rounded"
+                                    />
+                                    <span className="ml-2 font-medium">{entry.name}</span>
+                                  </label>
+                                </td>
+                                <td className="p-3 text-right">{variable.currentValue}{entry.unit}</td>
+                                <td className="p-3">
+                                  <select
+                                    value={setting.mode}
+                                    onChange={(e) => setSensitivityRangeMode(variable, e.target.value as SensitivityRangeSetting['mode'])}
+                                    className="px-2 py-1 text-sm border border-gray-300 rounded focus:ring-teal-500 focus:border-teal-500"
+                                  >
+                                    <option value="absolute">Min / Max</option>
+                                    <option value="percent">± % of Current</option>
+                                  </select>
+                                </td>
+                                <td className="p-3">
+                                  {setting.mode === 'absolute' ? (
+                                    <div className="flex items-center gap-2">
+                                      <input
+                                        type="number"
+                                        step={entry.step}
+                                        value={setting.min}
+                                        onChange={(e) => updateSensitivitySetting(entry.key, { min: Number(e.target.value) })}
+                                        className="w-24 px-2 py-1 text-sm border border-gray-300 rounded focus:ring-teal-500 focus:border-teal-500"
+                                      />
+                                      <span className="text-gray-500">to</span>
+                                      <input
+                                        type="number"
+                                        step={entry.step}
+                                        value={setting.max}
+                                        onChange={(e) => updateSensitivitySetting(entry.key, { max: Number(e.target.value) })}
+                                        className="w-24 px-2 py-1 text-sm border border-gray-300 rounded focus:ring-teal-500 focus:border-teal-500"
+                                      />
+                                    </div>
+                                  ) : (
+                                    <div className="flex items-center gap-2">
+                                      <span className="text-gray-500">±</span>
+                                      <input
+                                        type="number"
+                                        min={0}
+                                        step={5}
+                                        value={setting.percent}
+                                        onChange={(e) => updateSensitivitySetting(entry.key, { percent: Math.max(0, Number(e.target.value)) })}
+                                        className="w-20 px-2 py-1 text-sm border border-gray-300 rounded focus:ring-teal-500 focus:border-teal-500"
+                                      />
+                                      <span className="text-gray-500">%</span>
+                                    </div>
+                                  )}
+                                </td>
+                                <td className="p-3 text-right whitespace-nowrap">
+                                  {Number(variable.min.toFixed(2))}{entry.unit} – {Number(variable.max.toFixed(2))}{entry.unit}
+                                  {variable.zeroBase === 'fallback' && (
+                                    <div className="text-xs text-amber-600">Current value is 0: default range used</div>
+                                  )}
+                                  {variable.zeroBase === 'flat' && (
+                                    <div className="text-xs text-red-600">Current value is 0: ± % gives no range, use Min / Max</div>
+                                  )}
+                                </td>
+                              </tr>
+                            );
+                          })}
+                        </tbody>
+                      </table>
+                    </div>
+                    <p className="mt-2 text-xs text-gray-500">
+                      The tornado chart tests each checked variable at both ends of its range, the heatmap spans the ranges, and the scenario sliders and the optimistic and pessimistic presets stay within them. A ± % range moves with the current input value.
+                    </p>
+                  </>
+                )}
+              </div>
+              
               {/* Advanced Analysis Tools */}
               <div className="border-t pt-6">
                 <h3 className="text-sm font-semibold text-gray-700 mb-4">Advanced Analysis Tools</h3>
@@ -1614,13 +6149,25 @@ const GermanPropertyAnalyzer: React.FC = () => {
                   </button>
                   <button
                     onClick={() => setShowHeatmap(!showHeatmap)}
+                    disabled={sensitivityVariables.length < 2}
+                    title={sensitivityVariables.length < 2 ? 'The heatmap needs at least two enabled variables' : undefined}
+                    className={`px-4 py-2 rounded-md font-medium text-sm disabled:text-gray-400 ${
+                      showHeatmap && sensitivityVariables.length >= 2
+                        ? 'bg-teal-600 text-white' 
+                        : 'bg-gray-200 text-gray-700 hover:bg-gray-300'
+                    }`}
+                  >
+                    {showHeatmap && sensitivityVariables.length >= 2 ? '✓ ' : ''}Heatmap (Two-Way)
+                  </button>
+                  <button
+                    onClick={() => setShowMonteCarlo(!showMonteCarlo)}
                     className={`px-4 py-2 rounded-md font-medium text-sm ${
-                      showHeatmap 
+                      showMonteCarlo 
                         ? 'bg-teal-600 text-white' 
                         : 'bg-gray-200 text-gray-700 hover:bg-gray-300'
                     }`}
                   >
-                    {showHeatmap ? '✓ ' : ''}Heatmap (Two-Way)
+                    {showMonteCarlo ? '✓ ' : ''}Monte Carlo
                   </button>
                 </div>
               </div>
@@ -1708,8 +6255,8 @@ const GermanPropertyAnalyzer: React.FC = () => {
                         const isAdjusted = variable.key in customAdjustments;
                         const currentValue = isAdjusted 
                           ? customAdjustments[variable.key] 
-                          : inputs[variable.key];
-                        const baseValue = inputs[variable.key];
+                          : inputs[variable.key] ?? variable.currentValue;
+                        const baseValue = inputs[variable.key] ?? variable.currentValue;
                         
                         return (
                           <div key={variable.key} className={`p-3 rounded-md border ${isAdjusted ? 'bg-purple-50 border-purple-300' : 'bg-gray-50 border-gray-200'}`}>
@@ -1745,7 +6292,7 @@ const GermanPropertyAnalyzer: React.FC = () => {
                                   step={variable.step}
                                   value={currentValue as number}
                                   onChange={(e) => handleCustomAdjustment(variable.key, Number(e.target.value))}
-                                  className="w-16 px-2 py-1 text-sm border border-gray-300 rounded focus:ring-teal-500 focus:border-teal-500"
+                                  className="w-24 px-2 py-1 text-sm border border-gray-300 rounded focus:ring-teal-500 focus:border-teal-500"
                                 />
                                 <span className="text-xs text-gray-600">{variable.unit}</span>
                               </div>
@@ -1812,12 +6359,27 @@ const GermanPropertyAnalyzer: React.FC = () => {
               </button>
             ))}
           </div>
+          
+          <div className="flex items-center mt-4">
+            <label className="flex items-center cursor-pointer">
+              <input
+                type="checkbox"
+                checked={showRealValues}
+                onChange={(e) => setShowRealValues(e.target.checked)}
+                className="w-4 h-4 text-teal-600 rounded focus:ring-teal-500"
+              />
+              <span className="ml-2 text-sm font-medium text-gray-700">
+                Show real values (today's euros, deflated at {formatPercent(inputs.inflationRate, 1)} inflation)
+              </span>
+            </label>
+          </div>
         </div>
         
         {/* Key Metrics Summary */}
         <div className="bg-white rounded-lg shadow-md p-6 mb-6">
           <h2 className="text-xl font-semibold text-teal-700 mb-4 pb-2 border-b-2 border-teal-500">
             Investment Summary
+            {showRealValues && <span className="ml-2 text-sm font-normal text-gray-500">(real, in today's euros)</span>}
           </h2>
           
           <div style={{
@@ -1829,25 +6391,93 @@ const GermanPropertyAnalyzer: React.FC = () => {
             <div className="bg-gray-50 p-4 rounded-md">
               <div className="text-sm text-gray-600 mb-1">Total Investment</div>
               <div className="text-2xl font-bold text-gray-900">
-                {formatCurrency(baseProjection.summary.totalInvestment)}
+                {formatCurrency(displayProjection.summary.totalInvestment)}
               </div>
             </div>
             
             <div className="bg-gray-50 p-4 rounded-md">
               <div className="text-sm text-gray-600 mb-1">Average Annual Cash Flow</div>
               <div className="text-2xl font-bold text-gray-900">
-                {formatCurrency(baseProjection.summary.averageAnnualCashFlow)}
+                {formatCurrency(displayProjection.summary.averageAnnualCashFlow)}
               </div>
             </div>
             
             <div className="bg-gray-50 p-4 rounded-md">
               <div className="text-sm text-gray-600 mb-1">First Year Net Cash Flow</div>
               <div className={`text-2xl font-bold ${
-                baseProjection.yearlyData[0].netCashFlow >= 0 ? 'text-green-600' : 'text-red-600'
+                displayProjection.yearlyData[0].netCashFlow >= 0 ? 'text-green-600' : 'text-red-600'
+              }`}>
+                {formatCurrency(displayProjection.yearlyData[0].netCashFlow)}
+              </div>
+            </div>
+            
+            <div className="bg-gray-50 p-4 rounded-md">
+              <div className="text-sm text-gray-600 mb-1">Loan Payoff Date</div>
+              <div className="text-2xl font-bold text-gray-900">
+                {displayProjection.summary.loanPayoffDate ?? 'Not repaid'}
+              </div>
+              <div className="text-xs text-gray-500 mt-1">
+                Term: {formatLoanTerm(displayProjection.summary.loanTermMonths)}
+              </div>
+            </div>
+            
+            <div className="bg-gray-50 p-4 rounded-md">
+              <div className="text-sm text-gray-600 mb-1">Cash-on-Cash Return (Year 1)</div>
+              <div className={`text-2xl font-bold ${
+                displayProjection.summary.firstYearCashOnCash >= 0 ? 'text-green-600' : 'text-red-600'
+              }`}>
+                {formatPercent(displayProjection.summary.firstYearCashOnCash)}
+              </div>
+              <div className="text-xs text-gray-500 mt-1">
+                net cash flow after tax / equity
+              </div>
+            </div>
+            
+            <div className="bg-gray-50 p-4 rounded-md">
+              <div className="text-sm text-gray-600 mb-1">Bruttomietrendite / Kaufpreisfaktor</div>
+              <div className="text-2xl font-bold text-gray-900">
+                {formatPercent(displayProjection.summary.grossRentalYield)} / {displayProjection.summary.purchasePriceFactor.toFixed(1)}
+              </div>
+              <div className="text-xs text-gray-500 mt-1">
+                annual cold rent vs. purchase price
+              </div>
+            </div>
+            
+            <div className="bg-gray-50 p-4 rounded-md">
+              <div className="text-sm text-gray-600 mb-1">Minimum DSCR / Initial LTV</div>
+              <div className={`text-2xl font-bold ${
+                displayProjection.summary.minDscr !== null && displayProjection.summary.minDscr < 1 ? 'text-red-600' : 'text-gray-900'
               }`}>
-                {formatCurrency(baseProjection.yearlyData[0].netCashFlow)}
+                {displayProjection.summary.minDscr !== null ? displayProjection.summary.minDscr.toFixed(2) : 'n/a'} / {formatPercent(displayProjection.summary.initialLtv, 0)}
+              </div>
+              <div className="text-xs text-gray-500 mt-1">
+                lowest net operating income / debt service over the projection
+              </div>
+            </div>
+            
+            <div className="bg-gray-50 p-4 rounded-md">
+              <div className="text-sm text-gray-600 mb-1">Payback Year</div>
+              <div className="text-2xl font-bold text-gray-900">
+                {displayProjection.summary.paybackYear !== null ? `Year ${displayProjection.summary.paybackYear}` : `Beyond ${projectionYears} Years`}
+              </div>
+              <div className="text-xs text-gray-500 mt-1">
+                cumulative cash flow recovers the equity
               </div>
             </div>
+            
+            {displayProjection.summary.exitYear !== null && (
+              <div className="bg-gray-50 p-4 rounded-md">
+                <div className="text-sm text-gray-600 mb-1">Sale Proceeds in Year {displayProjection.summary.exitYear}</div>
+                <div className="text-2xl font-bold text-gray-900">
+                  {formatCurrency(displayProjection.summary.exitSaleProceeds)}
+                </div>
+                <div className="text-xs text-gray-500 mt-1">
+                  {isCompanyOwned
+                    ? `after selling costs, loan repayment and ${formatCurrency(displayProjection.summary.exitCompanyTax)} corporate, trade and dividend tax on the liquidation`
+                    : `after selling costs, loan repayment and ${formatCurrency(displayProjection.summary.exitSpeculationTax)} speculation tax (§23 EStG)`}
+                </div>
+              </div>
+            )}
           </div>
           
           <div className="overflow-x-auto">
@@ -1874,36 +6504,85 @@ const GermanPropertyAnalyzer: React.FC = () => {
                   <>
                     <tr className="border-b border-gray-200">
                       <td className="p-3 font-medium">IRR (Internal Rate of Return)</td>
-                      <td className="p-3 text-right">{formatPercent(baseProjection.summary.irr10Year)}</td>
-                      <td className="p-3 text-right">{formatPercent(baseProjection.summary.irr20Year)}</td>
-                      <td className="p-3 text-right">{formatPercent(baseProjection.summary.irr40Year)}</td>
+                      <td className="p-3 text-right">{renderIRR(displayProjection.summary.irr10Year)}</td>
+                      <td className="p-3 text-right">{renderIRR(displayProjection.summary.irr20Year)}</td>
+                      <td className="p-3 text-right">{renderIRR(displayProjection.summary.irr40Year)}</td>
+                    </tr>
+                    <tr className="border-b border-gray-200">
+                      <td className="p-3 font-medium">XIRR (Actual Cash Flow Dates)</td>
+                      <td className="p-3 text-right">{renderIRR(displayProjection.summary.xirr10Year)}</td>
+                      <td className="p-3 text-right">{renderIRR(displayProjection.summary.xirr20Year)}</td>
+                      <td className="p-3 text-right">{renderIRR(displayProjection.summary.xirr40Year)}</td>
+                    </tr>
+                    <tr className="border-b border-gray-200">
+                      <td className="p-3 font-medium">Real IRR (Inflation-Adjusted)</td>
+                      <td className="p-3 text-right">{renderIRR(displayProjection.summary.irr10Year, displayProjection.summary.realIrr10Year)}</td>
+                      <td className="p-3 text-right">{renderIRR(displayProjection.summary.irr20Year, displayProjection.summary.realIrr20Year)}</td>
+                      <td className="p-3 text-right">{renderIRR(displayProjection.summary.irr40Year, displayProjection.summary.realIrr40Year)}</td>
                     </tr>
                     <tr className="border-b border-gray-200">
                       <td className="p-3 font-medium">Total Cash Flow</td>
-                      <td className="p-3 text-right">{formatCurrency(baseProjection.summary.totalCashFlow10Year)}</td>
-                      <td className="p-3 text-right">{formatCurrency(baseProjection.summary.totalCashFlow20Year)}</td>
-                      <td className="p-3 text-right">{formatCurrency(baseProjection.summary.totalCashFlow40Year)}</td>
+                      <td className="p-3 text-right">{formatCurrency(displayProjection.summary.totalCashFlow10Year)}</td>
+                      <td className="p-3 text-right">{formatCurrency(displayProjection.summary.totalCashFlow20Year)}</td>
+                      <td className="p-3 text-right">{formatCurrency(displayProjection.summary.totalCashFlow40Year)}</td>
                     </tr>
                     <tr className="border-b border-gray-200">
-                      <td className="p-3 font-medium">Net Worth (Equity + Cumulative Cash Flow)</td>
-                      <td className="p-3 text-right">{formatCurrency(baseProjection.summary.netWorth10Year)}</td>
-                      <td className="p-3 text-right">{formatCurrency(baseProjection.summary.netWorth20Year)}</td>
-                      <td className="p-3 text-right">{formatCurrency(baseProjection.summary.netWorth40Year)}</td>
+                      <td className="p-3 font-medium">Net Worth (After-Tax Sale Proceeds + Cumulative Cash Flow)</td>
+                      <td className="p-3 text-right">{formatCurrency(displayProjection.summary.netWorth10Year)}</td>
+                      <td className="p-3 text-right">{formatCurrency(displayProjection.summary.netWorth20Year)}</td>
+                      <td className="p-3 text-right">{formatCurrency(displayProjection.summary.netWorth40Year)}</td>
+                    </tr>
+                    <tr className="border-b border-gray-200">
+                      <td className="p-3 font-medium">{isOwnerOccupied ? 'Rent and Invest Net Worth' : 'ETF Benchmark Net Worth'}</td>
+                      <td className="p-3 text-right">{formatCurrency(displayProjection.summary.benchmarkNetWorth10Year)}</td>
+                      <td className="p-3 text-right">{formatCurrency(displayProjection.summary.benchmarkNetWorth20Year)}</td>
+                      <td className="p-3 text-right">{formatCurrency(displayProjection.summary.benchmarkNetWorth40Year)}</td>
+                    </tr>
+                    <tr className="border-b border-gray-200">
+                      <td className="p-3 font-medium">{isOwnerOccupied ? 'Buy vs. Rent and Invest' : 'Property vs. ETF Benchmark'}</td>
+                      {([10, 20, 40] as const).map(y => {
+                        const difference = displayProjection.summary[`netWorth${y}Year`] - displayProjection.summary[`benchmarkNetWorth${y}Year`];
+                        return (
+                          <td key={y} className={`p-3 text-right ${difference >= 0 ? 'text-green-600' : 'text-red-600'}`}>
+                            {formatCurrency(difference)}
+                          </td>
+                        );
+                      })}
+                    </tr>
+                    <tr className="border-b border-gray-200">
+                      <td className="p-3 font-medium">Break-Even Year ({isOwnerOccupied ? 'Buying Overtakes Renting' : 'Property Overtakes ETF'})</td>
+                      <td colSpan={3} className="p-3 text-right">
+                        {displayProjection.summary.breakEvenYear !== null
+                          ? `Year ${displayProjection.summary.breakEvenYear}`
+                          : `Not within ${projectionYears} years`}
+                      </td>
                     </tr>
                     <tr className="border-b border-gray-200">
                       <td className="p-3 font-medium">ROI (Return on Investment)</td>
-                      <td className="p-3 text-right">{formatPercent(baseProjection.summary.roiAtYear10)}</td>
-                      <td className="p-3 text-right">{formatPercent(baseProjection.summary.roiAtYear20)}</td>
-                      <td className="p-3 text-right">{formatPercent(baseProjection.summary.roiAtYear40)}</td>
+                      <td className="p-3 text-right">{formatPercent(displayProjection.summary.roiAtYear10)}</td>
+                      <td className="p-3 text-right">{formatPercent(displayProjection.summary.roiAtYear20)}</td>
+                      <td className="p-3 text-right">{formatPercent(displayProjection.summary.roiAtYear40)}</td>
+                    </tr>
+                    <tr className="border-b border-gray-200">
+                      <td className="p-3 font-medium">NPV at {formatPercent(inputs.discountRate, 1)} Discount Rate</td>
+                      <td className="p-3 text-right">{formatCurrency(displayProjection.summary.npv10Year)}</td>
+                      <td className="p-3 text-right">{formatCurrency(displayProjection.summary.npv20Year)}</td>
+                      <td className="p-3 text-right">{formatCurrency(displayProjection.summary.npv40Year)}</td>
+                    </tr>
+                    <tr className="border-b border-gray-200">
+                      <td className="p-3 font-medium">Equity Multiple</td>
+                      <td className="p-3 text-right">{formatMetricValue(displayProjection.summary.equityMultiple10Year, 'multiple', true)}</td>
+                      <td className="p-3 text-right">{formatMetricValue(displayProjection.summary.equityMultiple20Year, 'multiple', true)}</td>
+                      <td className="p-3 text-right">{formatMetricValue(displayProjection.summary.equityMultiple40Year, 'multiple', true)}</td>
                     </tr>
                   </>
                 ) : (
                   <>
                     <tr className="border-b border-gray-200">
                       <td className="p-3 font-medium">IRR at {projectionYears} Years</td>
-                      {scenarioProjections.map((proj, idx) => (
+                      {displayScenarioProjections.map((proj, idx) => (
                         <td key={idx} className="p-3 text-right">
-                          {formatPercent(
+                          {renderIRR(
                             projectionYears === 10 ? proj.summary.irr10Year :
                             projectionYears === 20 ? proj.summary.irr20Year :
                             proj.summary.irr40Year
@@ -1911,9 +6590,19 @@ const GermanPropertyAnalyzer: React.FC = () => {
                         </td>
                       ))}
                     </tr>
+                    <tr className="border-b border-gray-200">
+                      <td className="p-3 font-medium">Real IRR at {projectionYears} Years</td>
+                      {displayScenarioProjections.map((proj, idx) => (
+                        <td key={idx} className="p-3 text-right">
+                          {projectionYears === 10 ? renderIRR(proj.summary.irr10Year, proj.summary.realIrr10Year) :
+                            projectionYears === 20 ? renderIRR(proj.summary.irr20Year, proj.summary.realIrr20Year) :
+                            renderIRR(proj.summary.irr40Year, proj.summary.realIrr40Year)}
+                        </td>
+                      ))}
+                    </tr>
                     <tr className="border-b border-gray-200">
                       <td className="p-3 font-medium">Total Cash Flow</td>
-                      {scenarioProjections.map((proj, idx) => (
+                      {displayScenarioProjections.map((proj, idx) => (
                         <td key={idx} className="p-3 text-right">
                           {formatCurrency(
                             projectionYears === 10 ? proj.summary.totalCashFlow10Year :
@@ -1925,7 +6614,7 @@ const GermanPropertyAnalyzer: React.FC = () => {
                     </tr>
                     <tr className="border-b border-gray-200">
                       <td className="p-3 font-medium">Net Worth</td>
-                      {scenarioProjections.map((proj, idx) => (
+                      {displayScenarioProjections.map((proj, idx) => (
                         <td key={idx} className="p-3 text-right">
                           {formatCurrency(
                             projectionYears === 10 ? proj.summary.netWorth10Year :
@@ -1935,6 +6624,22 @@ const GermanPropertyAnalyzer: React.FC = () => {
                         </td>
                       ))}
                     </tr>
+                    <tr className="border-b border-gray-200">
+                      <td className="p-3 font-medium">NPV at {formatPercent(inputs.discountRate, 1)}</td>
+                      {displayScenarioProjections.map((proj, idx) => (
+                        <td key={idx} className="p-3 text-right">
+                          {formatCurrency(getAnalysisMetric(proj, 'npv', projectionYears).value ?? 0)}
+                        </td>
+                      ))}
+                    </tr>
+                    <tr className="border-b border-gray-200">
+                      <td className="p-3 font-medium">Equity Multiple</td>
+                      {displayScenarioProjections.map((proj, idx) => (
+                        <td key={idx} className="p-3 text-right">
+                          {formatMetricValue(getAnalysisMetric(proj, 'equityMultiple', projectionYears).value, 'multiple', true)}
+                        </td>
+                      ))}
+                    </tr>
                   </>
                 )}
               </tbody>
@@ -1942,10 +6647,149 @@ const GermanPropertyAnalyzer: React.FC = () => {
           </div>
         </div>
         
+        {/* Goal Seek */}
+        <div className="bg-white rounded-lg shadow-md p-6 mb-6">
+          <h2 className="text-xl font-semibold text-teal-700 mb-4 pb-2 border-b-2 border-teal-500">
+            Goal Seek
+          </h2>
+          
+          <p className="text-sm text-gray-600 mb-4">
+            Finds the value of one input that reaches a target, e.g. the maximum purchase price for a 5% IRR or the rent at which the first year breaks even. All other inputs keep their current values.
+          </p>
+          
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">
+                Target Metric
+              </label>
+              <select
+                value={goalSeekMetric}
+                onChange={(e) => setGoalSeekMetric(e.target.value as GoalSeekMetric)}
+                className="w-full px-3 py-2 border border-gray-300 rounded-md focus:ring-teal-500 focus:border-teal-500"
+              >
+                {ANALYSIS_METRICS.map(metric => (
+                  <option key={metric.key} value={metric.key}>
+                    {metric.atHorizon ? `${metric.label} at ${projectionYears} Years` : metric.label}
+                  </option>
+                ))}
+                <option value="yearCashFlow">Net Cash Flow in Year N</option>
+              </select>
+              {goalSeekMetric === 'yearCashFlow' && (
+                <div className="mt-2 flex items-center gap-2">
+                  <span className="text-sm text-gray-700">Year</span>
+                  <input
+                    type="number"
+                    min={1}
+                    max={projectionYears}
+                    step={1}
+                    value={goalSeekCashFlowYear}
+                    onChange={(e) => setGoalSeekCashFlowYear(Math.min(projectionYears, Math.max(1, Math.round(Number(e.target.value)))))}
+                    className="w-20 px-2 py-1 text-sm border border-gray-300 rounded focus:ring-teal-500 focus:border-teal-500"
+                  />
+                </div>
+              )}
+            </div>
+            
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">
+                Target Value ({goalSeekFormat === 'percent' ? '%' : goalSeekFormat === 'currency' ? '€' : goalSeekFormat === 'years' ? 'year' : 'x'})
+              </label>
+              <input
+                type="number"
+                step={goalSeekFormat === 'currency' ? 1000 : goalSeekFormat === 'years' ? 1 : 0.1}
+                value={goalSeekTarget}
+                onChange={(e) => setGoalSeekTarget(Number(e.target.value))}
+                className="w-full px-3 py-2 border border-gray-300 rounded-md focus:ring-teal-500 focus:border-teal-500"
+              />
+            </div>
+            
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">
+                Input to Solve For
+              </label>
+              <select
+                value={goalSeekInput}
+                onChange={(e) => selectGoalSeekInput(e.target.value as keyof PropertyInputs)}
+                className="w-full px-3 py-2 border border-gray-300 rounded-md focus:ring-teal-500 focus:border-teal-500"
+              >
+                {availableSensitivityEntries.map(entry => (
+                  <option key={entry.key} value={entry.key}>
+                    {entry.key === 'monthlyRent' && isOwnerOccupied ? 'Rent for a Comparable Home' : entry.name} (now {allSensitivityVariables.find(v => v.key === entry.key)!.currentValue}{entry.unit === '€' ? ' €' : entry.unit})
+                  </option>
+                ))}
+              </select>
+            </div>
+            
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">
+                Search Range ({goalSeekEntry.unit.trim()})
+              </label>
+              <div className="flex items-center gap-2">
+                <input
+                  type="number"
+                  step={goalSeekEntry.step}
+                  value={goalSeekRange.min}
+                  onChange={(e) => setGoalSeekRange(prev => ({ ...prev, min: Number(e.target.value) }))}
+                  className="w-full px-3 py-2 border border-gray-300 rounded-md focus:ring-teal-500 focus:border-teal-500"
+                />
+                <span className="text-sm text-gray-500">to</span>
+                <input
+                  type="number"
+                  step={goalSeekEntry.step}
+                  value={goalSeekRange.max}
+                  onChange={(e) => setGoalSeekRange(prev => ({ ...prev, max: Number(e.target.value) }))}
+                  className="w-full px-3 py-2 border border-gray-300 rounded-md focus:ring-teal-500 focus:border-teal-500"
+                />
+              </div>
+            </div>
+          </div>
+          
+          <div className="mt-4 flex flex-wrap items-center gap-4">
+            <button
+              onClick={runGoalSeek}
+              disabled={goalSeekRange.max <= goalSeekRange.min}
+              className="px-4 py-2 bg-teal-600 text-white rounded-md hover:bg-teal-700 font-medium text-sm disabled:bg-gray-300 disabled:text-gray-500"
+            >
+              Solve
+            </button>
+            {goalSeekResult && goalSeekResult.value !== null && (
+              <>
+                <div className="text-sm text-gray-700">
+                  {goalSeekEntry.name}:{' '}
+                  <span className="text-lg font-semibold text-gray-900">
+                    {formatGoalSeekValue(goalSeekResult.value)}
+                  </span>
+                  <span className="ml-2 text-gray-500">
+                    (reaches {formatMetricValue(goalSeekResult.achieved, goalSeekFormat, false)})
+                  </span>
+                </div>
+                <button
+                  onClick={() => handleInputChange(goalSeekInput, goalSeekResult.value)}
+                  className="px-3 py-1 bg-gray-200 text-gray-700 rounded-md hover:bg-gray-300 text-xs font-medium"
+                >
+                  Apply to Inputs
+                </button>
+              </>
+            )}
+            {goalSeekResult && goalSeekResult.value === null && (
+              <div className="text-sm text-red-600">
+                {goalSeekResult.reason} ({goalSeekRange.min} to {goalSeekRange.max}{goalSeekEntry.unit === '€' ? ' €' : goalSeekEntry.unit}).
+              </div>
+            )}
+          </div>
+          
+          {showRealValues && (
+            <p className="mt-4 text-xs text-gray-500">
+              Currency targets are in today's euros, like the rest of the real view.
+            </p>
+          )}
+        </div>
+        
         {/* Charts */}
         <div className="bg-white rounded-lg shadow-md p-6 mb-6">
           <h2 className="text-xl font-semibold text-teal-700 mb-4 pb-2 border-b-2 border-teal-500">
             Projection Charts
+            {showRealValues && <span className="ml-2 text-sm font-normal text-gray-500">(real, in today's euros)</span>}
           </h2>
           
           <div className="grid grid-cols-1 sm:grid-cols-2 gap-8">
@@ -1953,7 +6797,7 @@ const GermanPropertyAnalyzer: React.FC = () => {
             <div>
               <h3 className="text-lg font-medium text-gray-900 mb-4">Annual Net Cash Flow</h3>
               <ResponsiveContainer width="100%" height={300} key={`cashflow-${projectionYears}`}>
-                <AreaChart data={baseProjection.yearlyData.slice(0, projectionYears)}>
+                <AreaChart data={displayProjection.yearlyData.slice(0, projectionYears)}>
                   <CartesianGrid strokeDasharray="3 3" />
                   <XAxis 
                     dataKey="year"
@@ -1971,8 +6815,8 @@ const GermanPropertyAnalyzer: React.FC = () => {
                     labelFormatter={(label) => `Year ${label}`}
                   />
                   <Legend />
-                  {scenarioProjections.map((proj, idx) => {
-                    const chartData = baseProjection.yearlyData.slice(0, projectionYears).map((basePoint, pointIdx) => ({
+                  {displayScenarioProjections.map((proj, idx) => {
+                    const chartData = displayProjection.yearlyData.slice(0, projectionYears).map((basePoint, pointIdx) => ({
                       ...basePoint,
                       [`scenario_${idx}_value`]: proj.yearlyData[pointIdx]?.netCashFlow
                     }));
@@ -1993,6 +6837,17 @@ const GermanPropertyAnalyzer: React.FC = () => {
                       />
                     );
                   })}
+                  {inputs.capexEvents
+                    .filter(event => event.year <= projectionYears)
+                    .map(event => (
+                      <ReferenceLine
+                        key={`capex-${event.id}`}
+                        x={event.year}
+                        stroke="#b45309"
+                        strokeDasharray="4 4"
+                        label={{ value: event.name, position: 'insideTopLeft', fontSize: 10, fill: '#b45309' }}
+                      />
+                    ))}
                 </AreaChart>
               </ResponsiveContainer>
             </div>
@@ -2001,7 +6856,7 @@ const GermanPropertyAnalyzer: React.FC = () => {
             <div>
               <h3 className="text-lg font-medium text-gray-900 mb-4">Net Worth Development</h3>
               <ResponsiveContainer width="100%" height={300} key={`networth-${projectionYears}`}>
-                <AreaChart data={baseProjection.yearlyData.slice(0, projectionYears)}>
+                <AreaChart data={monteCarloChartData}>
                   <CartesianGrid strokeDasharray="3 3" />
                   <XAxis 
                     dataKey="year"
@@ -2015,12 +6870,12 @@ const GermanPropertyAnalyzer: React.FC = () => {
                     tickFormatter={(value) => `${(value / 1000).toFixed(0)}k`}
                   />
                   <Tooltip 
-                    formatter={(value: number) => formatCurrency(value)}
+                    formatter={(value: number | number[]) => Array.isArray(value) ? value.map(formatCurrency).join(' – ') : formatCurrency(value)}
                     labelFormatter={(label) => `Year ${label}`}
                   />
                   <Legend />
-                  {scenarioProjections.map((proj, idx) => {
-                    const chartData = baseProjection.yearlyData.slice(0, projectionYears).map((basePoint, pointIdx) => ({
+                  {displayScenarioProjections.map((proj, idx) => {
+                    const chartData = displayProjection.yearlyData.slice(0, projectionYears).map((basePoint, pointIdx) => ({
                       ...basePoint,
                       [`scenario_${idx}_value`]: proj.yearlyData[pointIdx]?.netWorth
                     }));
@@ -2041,6 +6896,51 @@ const GermanPropertyAnalyzer: React.FC = () => {
                       />
                     );
                   })}
+                  <Area
+                    type="monotone"
+                    dataKey="benchmarkNetWorth"
+                    stroke="#6b7280"
+                    fill="#9ca3af"
+                    fillOpacity={0.1}
+                    strokeDasharray="5 5"
+                    name={isOwnerOccupied ? 'Rent and Invest' : 'ETF Benchmark'}
+                    strokeWidth={2}
+                    dot={false}
+                    activeDot={false}
+                  />
+                  {monteCarloResults && (
+                    <Area
+                      type="monotone"
+                      dataKey="monteCarloNetWorthBand"
+                      stroke="none"
+                      fill="#7c3aed"
+                      fillOpacity={0.15}
+                      name="Monte Carlo P10–P90"
+                      dot={false}
+                      activeDot={false}
+                    />
+                  )}
+                  {monteCarloResults && (
+                    <Area
+                      type="monotone"
+                      dataKey="monteCarloNetWorthMedian"
+                      stroke="#7c3aed"
+                      fill="none"
+                      strokeDasharray="3 3"
+                      name="Monte Carlo Median"
+                      strokeWidth={2}
+                      dot={false}
+                      activeDot={false}
+                    />
+                  )}
+                  {displayProjection.summary.breakEvenYear !== null && (
+                    <ReferenceLine
+                      x={displayProjection.summary.breakEvenYear}
+                      stroke="#0d9488"
+                      strokeDasharray="3 3"
+                      label={{ value: `Break-even: year ${displayProjection.summary.breakEvenYear}`, position: 'insideTopLeft', fontSize: 11, fill: '#0d9488' }}
+                    />
+                  )}
                 </AreaChart>
               </ResponsiveContainer>
             </div>
@@ -2049,7 +6949,7 @@ const GermanPropertyAnalyzer: React.FC = () => {
             <div>
               <h3 className="text-lg font-medium text-gray-900 mb-4">Cumulative Cash Flow</h3>
               <ResponsiveContainer width="100%" height={300} key={`cumulative-${projectionYears}`}>
-                <AreaChart data={baseProjection.yearlyData.slice(0, projectionYears)}>
+                <AreaChart data={monteCarloChartData}>
                   <CartesianGrid strokeDasharray="3 3" />
                   <XAxis 
                     dataKey="year"
@@ -2063,12 +6963,12 @@ const GermanPropertyAnalyzer: React.FC = () => {
                     tickFormatter={(value) => `${(value / 1000).toFixed(0)}k`}
                   />
                   <Tooltip 
-                    formatter={(value: number) => formatCurrency(value)}
+                    formatter={(value: number | number[]) => Array.isArray(value) ? value.map(formatCurrency).join(' – ') : formatCurrency(value)}
                     labelFormatter={(label) => `Year ${label}`}
                   />
                   <Legend />
-                  {scenarioProjections.map((proj, idx) => {
-                    const chartData = baseProjection.yearlyData.slice(0, projectionYears).map((basePoint, pointIdx) => ({
+                  {displayScenarioProjections.map((proj, idx) => {
+                    const chartData = displayProjection.yearlyData.slice(0, projectionYears).map((basePoint, pointIdx) => ({
                       ...basePoint,
                       [`scenario_${idx}_value`]: proj.yearlyData[pointIdx]?.cumulativeCashFlow
                     }));
@@ -2089,12 +6989,191 @@ const GermanPropertyAnalyzer: React.FC = () => {
                       />
                     );
                   })}
+                  {monteCarloResults && (
+                    <Area
+                      type="monotone"
+                      dataKey="monteCarloCashFlowBand"
+                      stroke="none"
+                      fill="#7c3aed"
+                      fillOpacity={0.15}
+                      name="Monte Carlo P10–P90"
+                      dot={false}
+                      activeDot={false}
+                    />
+                  )}
+                  {monteCarloResults && (
+                    <Area
+                      type="monotone"
+                      dataKey="monteCarloCashFlowMedian"
+                      stroke="#7c3aed"
+                      fill="none"
+                      strokeDasharray="3 3"
+                      name="Monte Carlo Median"
+                      strokeWidth={2}
+                      dot={false}
+                      activeDot={false}
+                    />
+                  )}
                 </AreaChart>
               </ResponsiveContainer>
             </div>
           </div>
         </div>
         
+        {/* Portfolio Results */}
+        {portfolioResults && (
+          <div className="bg-white rounded-lg shadow-md p-6 mb-6">
+            <h2 className="text-xl font-semibold text-teal-700 mb-4 pb-2 border-b-2 border-teal-500">
+              Portfolio Results
+              {showRealValues && <span className="ml-2 text-sm font-normal text-gray-500">(real, in today's euros)</span>}
+            </h2>
+            
+            <div className="overflow-x-auto mb-6">
+              <table className="w-full text-sm">
+                <thead>
+                  <tr className="bg-teal-50 border-b border-teal-200">
+                    <th className="text-left p-3 font-semibold text-teal-800">Metric</th>
+                    {([10, 20, 40] as const).filter(y => y <= projectionYears).map(y => (
+                      <th key={y} className="text-right p-3 font-semibold text-teal-800">{y} Years</th>
+                    ))}
+                  </tr>
+                </thead>
+                <tbody>
+                  <tr className="border-b border-gray-200">
+                    <td className="p-3 font-medium">Portfolio IRR (Equity {formatCurrency(portfolioResults.summary.totalEquity)})</td>
+                    {([10, 20, 40] as const).filter(y => y <= projectionYears).map(y => (
+                      <td key={y} className="p-3 text-right">{renderIRR(portfolioResults.summary[`irr${y}Year`])}</td>
+                    ))}
+                  </tr>
+                  <tr className="border-b border-gray-200">
+                    <td className="p-3 font-medium">Total Cash Flow</td>
+                    {([10, 20, 40] as const).filter(y => y <= projectionYears).map(y => (
+                      <td key={y} className="p-3 text-right">{formatCurrency(portfolioResults.summary[`totalCashFlow${y}Year`])}</td>
+                    ))}
+                  </tr>
+                  <tr className="border-b border-gray-200">
+                    <td className="p-3 font-medium">Net Worth</td>
+                    {([10, 20, 40] as const).filter(y => y <= projectionYears).map(y => (
+                      <td key={y} className="p-3 text-right">{formatCurrency(portfolioResults.summary[`netWorth${y}Year`])}</td>
+                    ))}
+                  </tr>
+                </tbody>
+              </table>
+            </div>
+            
+            <div className="grid grid-cols-1 sm:grid-cols-2 gap-8">
+              {([
+                { title: 'Annual Net Cash Flow by Property', field: 'netCashFlow', pooling: 'taxPoolingEffect' },
+                { title: 'Net Worth by Property', field: 'netWorth', pooling: 'cumulativeTaxPoolingEffect' }
+              ] as const).map(chart => (
+                <div key={chart.field}>
+                  <h3 className="text-lg font-medium text-gray-900 mb-4">{chart.title}</h3>
+                  <ResponsiveContainer width="100%" height={300} key={`portfolio-${chart.field}-${projectionYears}`}>
+                    <AreaChart
+                      data={portfolioResults.years.map(d => ({
+                        year: d.year,
+                        taxPooling: d[chart.pooling],
+                        ...Object.fromEntries(d.properties.map((p, idx) => [`property_${idx}`, p?.[chart.field] ?? 0]))
+                      }))}
+                    >
+                      <CartesianGrid strokeDasharray="3 3" />
+                      <XAxis
+                        dataKey="year"
+                        type="number"
+                        domain={[1, projectionYears]}
+                        ticks={projectionYears === 10 ? [1, 2, 3, 4, 5, 6, 7, 8, 9, 10] :
+                               projectionYears === 20 ? [1, 5, 10, 15, 20] :
+                               [1, 10, 20, 30, 40]}
+                      />
+                      <YAxis
+                        tickFormatter={(value) => `${(value / 1000).toFixed(0)}k`}
+                      />
+                      <Tooltip
+                        formatter={(value: number) => formatCurrency(value)}
+                        labelFormatter={(label) => `Year ${label}`}
+                      />
+                      <Legend />
+                      {portfolioResults.properties.map((property, idx) => (
+                        <Area
+                          key={property.id}
+                          type="monotone"
+                          dataKey={`property_${idx}`}
+                          stackId="portfolio"
+                          stroke={getScenarioColor(portfolioProperties.findIndex(p => p.id === property.id))}
+                          fill={getScenarioColor(portfolioProperties.findIndex(p => p.id === property.id))}
+                          fillOpacity={0.5}
+                          name={property.name}
+                          dot={false}
+                          activeDot={false}
+                        />
+                      ))}
+                      <Area
+                        type="monotone"
+                        dataKey="taxPooling"
+                        stackId="portfolio"
+                        stroke="#6b7280"
+                        fill="#9ca3af"
+                        fillOpacity={0.5}
+                        name="Tax Pooling Effect"
+                        dot={false}
+                        activeDot={false}
+                      />
+                    </AreaChart>
+                  </ResponsiveContainer>
+                </div>
+              ))}
+            </div>
+            
+            <h3 className="text-lg font-medium text-gray-900 mt-6 mb-3">Combined Tax and Cash Flow</h3>
+            <div className="overflow-x-auto">
+              <table className="w-full text-xs">
+                <thead>
+                  <tr className="bg-teal-50 border-b border-teal-200">
+                    <th className="text-left p-2 font-semibold text-teal-800">Year</th>
+                    <th className="text-right p-2 font-semibold text-teal-800">Equity Invested</th>
+                    <th className="text-right p-2 font-semibold text-teal-800">Combined Rental Result</th>
+                    {portfolioResults.years.some(year => year.saleGains > 0) && (
+                      <th className="text-right p-2 font-semibold text-teal-800">Taxable Sale Gains</th>
+                    )}
+                    <th className="text-right p-2 font-semibold text-teal-800">Tax Savings</th>
+                    <th className="text-right p-2 font-semibold text-teal-800">Tax Pooling Effect</th>
+                    <th className="text-right p-2 font-semibold text-teal-800">Net Cash Flow</th>
+                    <th className="text-right p-2 font-semibold text-teal-800">Cumulative Cash Flow</th>
+                    <th className="text-right p-2 font-semibold text-teal-800">Net Worth</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {portfolioResults.years.map(year => (
+                    <tr key={year.year} className="border-b border-gray-200 hover:bg-gray-50">
+                      <td className="p-2">{year.year}</td>
+                      <td className="p-2 text-right">{year.equityInvested > 0 ? formatCurrency(year.equityInvested) : ''}</td>
+                      <td className="p-2 text-right">{formatCurrency(year.taxableIncome)}</td>
+                      {portfolioResults.years.some(y => y.saleGains > 0) && (
+                        <td className="p-2 text-right">{year.saleGains > 0 ? formatCurrency(year.saleGains) : ''}</td>
+                      )}
+                      <td className={`p-2 text-right ${year.taxSavings >= 0 ? 'text-green-600' : 'text-red-600'}`}>
+                        {formatCurrency(year.taxSavings)}
+                      </td>
+                      <td className="p-2 text-right">{formatCurrency(year.taxPoolingEffect)}</td>
+                      <td className={`p-2 text-right font-medium ${year.netCashFlow >= 0 ? 'text-green-600' : 'text-red-600'}`}>
+                        {formatCurrency(year.netCashFlow)}
+                      </td>
+                      <td className="p-2 text-right">{formatCurrency(year.cumulativeCashFlow)}</td>
+                      <td className="p-2 text-right font-medium">{formatCurrency(year.netWorth)}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+            <p className="mt-3 text-xs text-gray-500">
+              The tax pooling effect is the difference between taxing the combined rental result of all privately held properties and
+              taxing each property on its own, e.g. losses of one property offsetting profits of another. A taxable gain from selling a property
+              within ten years is added to the combined income of its exit year, so rental losses of the other properties offset it. The hypothetical
+              sale at a horizon keeps each property's stand-alone speculation tax. Properties held by a GmbH keep their company-level taxes.
+            </p>
+          </div>
+        )}
+        
         {/* Tornado Chart */}
         {showTornadoChart && sensitivityEnabled && (
           <div className="bg-white rounded-lg shadow-md p-6 mb-6">
@@ -2115,28 +7194,25 @@ const GermanPropertyAnalyzer: React.FC = () => {
                 </label>
                 <select
                   value={tornadoMetric}
-                  onChange={(e) => setTornadoMetric(e.target.value as any)}
+                  onChange={(e) => setTornadoMetric(e.target.value as AnalysisMetric)}
                   className="px-3 py-2 border border-gray-300 rounded-md focus:ring-teal-500 focus:border-teal-500"
                 >
-                  <option value="irr10">IRR at 10 Years</option>
-                  <option value="irr20">IRR at 20 Years</option>
-                  <option value="irr40">IRR at 40 Years</option>
-                  <option value="cashflow">Total Cash Flow at {projectionYears} Years</option>
-                  <option value="networth">Net Worth at {projectionYears} Years</option>
+                  {ANALYSIS_METRICS.map(metric => (
+                    <option key={metric.key} value={metric.key}>
+                      {metric.atHorizon ? `${metric.label} at ${projectionYears} Years` : metric.label}
+                    </option>
+                  ))}
                 </select>
               </div>
               
               {/* Base case value badge */}
               {tornadoData.length > 0 && (
                 <div className="pb-0.5">
-                  <span className="text-xs font-medium text-gray-600 bg-white px-3 py-2 rounded border border-gray-300">
-                    Base: {(() => {
-                      const firstItem = tornadoData[0];
-                      const isPercentMetric = tornadoMetric.startsWith('irr');
-                      return isPercentMetric 
-                        ? formatPercent(firstItem.baseValue, 1)
-                        : `${(firstItem.baseValue / 1000).toFixed(0)}k`;
-                    })()}
+                  <span
+                    className="text-xs font-medium text-gray-600 bg-white px-3 py-2 rounded border border-gray-300"
+                    title={tornadoData[0].baseReason ?? undefined}
+                  >
+                    Base: {formatMetricValue(tornadoData[0].baseValue, tornadoMetricFormat, true)}
                   </span>
                 </div>
               )}
@@ -2144,26 +7220,27 @@ const GermanPropertyAnalyzer: React.FC = () => {
             
             <div className="space-y-2">
               {tornadoData.map((item, idx) => {
-                const isPercentMetric = tornadoMetric.startsWith('irr');
-                const minDisplay = isPercentMetric ? formatPercent(item.minImpact, 1) : `${(item.minImpact / 1000).toFixed(0)}k`;
-                const maxDisplay = isPercentMetric ? formatPercent(item.maxImpact, 1) : `${(item.maxImpact / 1000).toFixed(0)}k`;
+                const minDisplay = formatMetricValue(item.minImpact, tornadoMetricFormat, true);
+                const maxDisplay = formatMetricValue(item.maxImpact, tornadoMetricFormat, true);
                 
                 // Get the variable's min/max range and base value
                 const variable = sensitivityVariables.find(v => v.name === item.variable);
-                const varMinDisplay = variable ? `${variable.min}%` : '';
-                const varMaxDisplay = variable ? `${variable.max}%` : '';
-                const varBaseValue = variable ? inputs[variable.key as keyof PropertyInputs] : 0;
-                const varBaseDisplay = typeof varBaseValue === 'number' ? `${varBaseValue}%` : `${varBaseValue}`;
+                const varMinDisplay = variable ? `${variable.min}${variable.unit}` : '';
+                const varMaxDisplay = variable ? `${variable.max}${variable.unit}` : '';
+                const varBaseValue = variable ? inputs[variable.key as keyof PropertyInputs] ?? variable.currentValue : 0;
+                const varBaseDisplay = typeof varBaseValue === 'number' ? `${varBaseValue}${variable?.unit}` : `${varBaseValue}`;
                 
-                // Calculate bar widths as percentages based on delta from base
-                const minDelta = item.minImpact - item.baseValue;
-                const maxDelta = item.maxImpact - item.baseValue;
-                const maxAbsDelta = Math.max(...tornadoData.map(d => Math.max(Math.abs(d.minImpact - d.baseValue), Math.abs(d.maxImpact - d.baseValue))));
+                // Calculate bar widths as percentages based on delta from base (no bar where a value is n/a)
+                const delta = (value: number | null, baseValue: number | null) =>
+                  value !== null && baseValue !== null ? value - baseValue : 0;
+                const minDelta = delta(item.minImpact, item.baseValue);
+                const maxDelta = delta(item.maxImpact, item.baseValue);
+                const maxAbsDelta = Math.max(...tornadoData.map(d => Math.max(Math.abs(delta(d.minImpact, d.baseValue)), Math.abs(delta(d.maxImpact, d.baseValue))))) || 1;
                 const minWidthPercent = (Math.abs(minDelta) / maxAbsDelta) * 100;
                 const maxWidthPercent = (Math.abs(maxDelta) / maxAbsDelta) * 100;
                 
                 // Swap colors if max impact is negative (more intuitive: green = better, red = worse)
-                const shouldSwapColors = item.maxImpact < item.baseValue;
+                const shouldSwapColors = maxDelta < 0;
                 const leftBarColor = shouldSwapColors ? 'bg-green-500' : 'bg-red-500';
                 const rightBarColor = shouldSwapColors ? 'bg-red-500' : 'bg-green-500';
                 
@@ -2183,7 +7260,10 @@ const GermanPropertyAnalyzer: React.FC = () => {
                       <div className="absolute inset-0 bg-gray-100 rounded"></div>
                       <div className="relative flex items-center h-8">
                         <div className="flex-1 flex items-center justify-start pl-2">
-                          <span className="text-xs font-medium text-white bg-black bg-opacity-50 px-2 py-0.5 rounded z-10">
+                          <span
+                            className="text-xs font-medium text-white bg-black bg-opacity-50 px-2 py-0.5 rounded z-10"
+                            title={item.minReason ?? undefined}
+                          >
                             {minDisplay}
                           </span>
                         </div>
@@ -2203,7 +7283,10 @@ const GermanPropertyAnalyzer: React.FC = () => {
                           </div>
                         </div>
                         <div className="flex-1 flex items-center justify-end pr-2">
-                          <span className="text-xs font-medium text-white bg-black bg-opacity-50 px-2 py-0.5 rounded z-10">
+                          <span
+                            className="text-xs font-medium text-white bg-black bg-opacity-50 px-2 py-0.5 rounded z-10"
+                            title={item.maxReason ?? undefined}
+                          >
                             {maxDisplay}
                           </span>
                         </div>
@@ -2228,7 +7311,7 @@ const GermanPropertyAnalyzer: React.FC = () => {
         )}
         
         {/* Heatmap */}
-        {showHeatmap && sensitivityEnabled && (
+        {showHeatmap && sensitivityEnabled && sensitivityVariables.length >= 2 && (
           <div className="bg-white rounded-lg shadow-md p-6 mb-6">
             <h2 className="text-xl font-semibold text-teal-700 mb-4 pb-2 border-b-2 border-teal-500">
               Heatmap - Two-Way Sensitivity Analysis
@@ -2280,16 +7363,58 @@ const GermanPropertyAnalyzer: React.FC = () => {
                 </label>
                 <select
                   value={heatmapMetric}
-                  onChange={(e) => setHeatmapMetric(e.target.value as any)}
+                  onChange={(e) => setHeatmapMetric(e.target.value as AnalysisMetric)}
                   className="w-full px-3 py-2 border border-gray-300 rounded-md focus:ring-teal-500 focus:border-teal-500"
                 >
-                  <option value="irr10">IRR at 10 Years</option>
-                  <option value="irr20">IRR at 20 Years</option>
-                  <option value="irr40">IRR at 40 Years</option>
-                  <option value="cashflow">Total Cash Flow at {projectionYears} Years</option>
-                  <option value="networth">Net Worth at {projectionYears} Years</option>
+                  {ANALYSIS_METRICS.map(metric => (
+                    <option key={metric.key} value={metric.key}>
+                      {metric.atHorizon ? `${metric.label} at ${projectionYears} Years` : metric.label}
+                    </option>
+                  ))}
+                </select>
+              </div>
+            </div>
+            
+            <div className="flex flex-wrap items-center gap-6 mb-4">
+              <div className="flex items-center gap-2">
+                <label className="text-sm font-medium text-gray-700">Grid Size</label>
+                <select
+                  value={heatmapGridSize}
+                  onChange={(e) => setHeatmapGridSize(Number(e.target.value))}
+                  className="px-2 py-1 text-sm border border-gray-300 rounded focus:ring-teal-500 focus:border-teal-500"
+                >
+                  {[5, 9, 13, 17, 21, 25].map(size => (
+                    <option key={size} value={size}>{size} × {size}</option>
+                  ))}
                 </select>
               </div>
+              <div className="flex items-center gap-2">
+                <label className="flex items-center cursor-pointer">
+                  <input
+                    type="checkbox"
+                    checked={showHeatmapThreshold}
+                    onChange={(e) => setShowHeatmapThreshold(e.target.checked)}
+                    className="h-4 w-4 text-teal-600 focus:ring-teal-500 border-gray-300 rounded"
+                  />
+                  <span className="ml-2 text-sm font-medium text-gray-700">Threshold Line at</span>
+                </label>
+                <input
+                  type="number"
+                  step={heatmapMetricFormat === 'currency' ? 1000 : heatmapMetricFormat === 'years' ? 1 : 0.1}
+                  value={heatmapThreshold}
+                  onChange={(e) => setHeatmapThreshold(Number(e.target.value))}
+                  disabled={!showHeatmapThreshold}
+                  className="w-28 px-2 py-1 text-sm border border-gray-300 rounded focus:ring-teal-500 focus:border-teal-500 disabled:bg-gray-100"
+                />
+                <span className="text-sm text-gray-600">
+                  {heatmapMetricFormat === 'percent' ? '%' : heatmapMetricFormat === 'currency' ? '€' : heatmapMetricFormat === 'years' ? 'year' : 'x'}
+                </span>
+              </div>
+              {heatmapProgress !== null && (
+                <span className="text-xs text-gray-500">
+                  Calculating {heatmapGridSize * heatmapGridSize} projections… {heatmapProgress.toFixed(0)}%
+                </span>
+              )}
             </div>
             
             <TableHeatmap 
@@ -2298,18 +7423,231 @@ const GermanPropertyAnalyzer: React.FC = () => {
               heatmapVarY={heatmapVarY}
               heatmapMetric={heatmapMetric}
               sensitivityVariables={sensitivityVariables}
-              formatPercent={formatPercent}
-              formatCurrency={formatCurrency}
+              threshold={showHeatmapThreshold ? heatmapThreshold : null}
               gapSize="1px"
               glossyOverlay={true}
             />
           </div>
         )}
         
+        {/* Monte Carlo Simulation */}
+        {showMonteCarlo && sensitivityEnabled && (
+          <div className="bg-white rounded-lg shadow-md p-6 mb-6">
+            <h2 className="text-xl font-semibold text-teal-700 mb-4 pb-2 border-b-2 border-teal-500">
+              Monte Carlo Simulation
+            </h2>
+            
+            <div className="bg-blue-50 border border-blue-200 rounded p-4 mb-4">
+              <p className="text-sm text-blue-700">
+                <strong>Note:</strong> Give the uncertain variables a distribution and the simulation draws all of them at once in every run, while the other inputs stay at their current values. Correlations link the draws of two variables, e.g. rising interest rates with weaker price growth. The same seed always reproduces the same runs.
+              </p>
+            </div>
+            
+            <div className="overflow-x-auto mb-4">
+              <table className="w-full text-sm">
+                <thead>
+                  <tr className="bg-teal-50 border-b border-teal-200">
+                    <th className="text-left p-3 font-semibold text-teal-800">Variable</th>
+                    <th className="text-left p-3 font-semibold text-teal-800">Distribution</th>
+                    <th className="text-right p-3 font-semibold text-teal-800">Mean / Mode</th>
+                    <th className="text-right p-3 font-semibold text-teal-800">Std. Dev.</th>
+                    <th className="text-right p-3 font-semibold text-teal-800">Min</th>
+                    <th className="text-right p-3 font-semibold text-teal-800">Max</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {sensitivityVariables.map(variable => {
+                    const distribution = monteCarloSettings.distributions[variable.key];
+                    return (
+                      <tr key={variable.key} className="border-b border-gray-200">
+                        <td className="p-3 font-medium">{variable.name} ({variable.currentValue}{variable.unit})</td>
+                        <td className="p-3">
+                          <select
+                            value={distribution?.type ?? 'none'}
+                            onChange={(e) => updateMonteCarloDistribution(variable, e.target.value as MonteCarloDistribution['type'] | 'none')}
+                            className="px-2 py-1 text-sm border border-gray-300 rounded focus:ring-teal-500 focus:border-teal-500"
+                          >
+                            <option value="none">Fixed</option>
+                            <option value="normal">Normal</option>
+                            <option value="triangular">Triangular</option>
+                            <option value="uniform">Uniform</option>
+                          </select>
+                        </td>
+                        {(['mean', 'stdDev', 'min', 'max'] as const).map(parameter => (
+                          <td key={parameter} className="p-3 text-right">
+                            {distribution && (parameter !== 'stdDev' || distribution.type === 'normal') && (parameter !== 'mean' || distribution.type !== 'uniform') ? (
+                              <input
+                                type="number"
+                                step={variable.step}
+                                value={distribution[parameter]}
+                                onChange={(e) => updateMonteCarloParameter(variable.key, parameter, Number(e.target.value))}
+                                className="w-24 px-2 py-1 text-sm border border-gray-300 rounded focus:ring-teal-500 focus:border-teal-500 text-right"
+                              />
+                            ) : (
+                              <span className="text-gray-400">–</span>
+                            )}
+                          </td>
+                        ))}
+                      </tr>
+                    );
+                  })}
+                </tbody>
+              </table>
+            </div>
+            
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+              <div>
+                <h3 className="text-sm font-semibold text-gray-700 mb-2">Correlations</h3>
+                <div className="space-y-2">
+                  {monteCarloSettings.correlations.map((correlation, index) => (
+                    <div key={index} className="flex items-center gap-2">
+                      {(['keyA', 'keyB'] as const).map(side => (
+                        <select
+                          key={side}
+                          value={correlation[side]}
+                          onChange={(e) => updateMonteCarloCorrelation(index, { [side]: e.target.value as keyof PropertyInputs })}
+                          className="px-2 py-1 text-sm border border-gray-300 rounded focus:ring-teal-500 focus:border-teal-500"
+                        >
+                          {sensitivityVariables.map(v => (
+                            <option key={v.key} value={v.key}>{v.name}</option>
+                          ))}
+                        </select>
+                      ))}
+                      <input
+                        type="number"
+                        min={-0.99}
+                        max={0.99}
+                        step={0.1}
+                        value={correlation.rho}
+                        onChange={(e) => updateMonteCarloCorrelation(index, { rho: Number(e.target.value) })}
+                        className="w-20 px-2 py-1 text-sm border border-gray-300 rounded focus:ring-teal-500 focus:border-teal-500 text-right"
+                      />
+                      <button
+                        onClick={() => setMonteCarloSettings(prev => ({ ...prev, correlations: prev.correlations.filter((_, i) => i !== index) }))}
+                        className="text-red-600 hover:text-red-800 text-sm"
+                      >
+                        Remove
+                      </button>
+                    </div>
+                  ))}
+                  <button
+                    onClick={() => setMonteCarloSettings(prev => ({
+                      ...prev,
+                      correlations: [...prev.correlations, { keyA: 'interestRate', keyB: 'followUpInterestRate', rho: 0.5 }]
+                    }))}
+                    className="px-3 py-1 bg-gray-200 text-gray-700 rounded-md hover:bg-gray-300 text-xs font-medium"
+                  >
+                    + Add Correlation
+                  </button>
+                </div>
+                <p className="mt-2 text-xs text-gray-500">
+                  Only applies when both variables have a distribution.
+                </p>
+              </div>
+              
+              <div>
+                <div className="grid grid-cols-2 gap-4 mb-4">
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-2">Runs</label>
+                    <input
+                      type="number"
+                      min={100}
+                      max={10000}
+                      step={100}
+                      value={monteCarloSettings.runs}
+                      onChange={(e) => setMonteCarloSettings(prev => ({ ...prev, runs: Math.min(10000, Math.max(1, Math.round(Number(e.target.value)))) }))}
+                      className="w-full px-3 py-2 border border-gray-300 rounded-md focus:ring-teal-500 focus:border-teal-500"
+                    />
+                  </div>
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-2">Seed</label>
+                    <input
+                      type="number"
+                      step={1}
+                      value={monteCarloSettings.seed}
+                      onChange={(e) => setMonteCarloSettings(prev => ({ ...prev, seed: Math.round(Number(e.target.value)) }))}
+                      className="w-full px-3 py-2 border border-gray-300 rounded-md focus:ring-teal-500 focus:border-teal-500"
+                    />
+                  </div>
+                </div>
+                <button
+                  onClick={runMonteCarlo}
+                  disabled={activeMonteCarloRun !== null || monteCarloVariables.length === 0}
+                  className="px-4 py-2 bg-teal-600 text-white rounded-md hover:bg-teal-700 font-medium text-sm disabled:bg-gray-300 disabled:text-gray-500"
+                >
+                  {monteCarloProgress !== null ? `Running… ${monteCarloProgress.toFixed(0)}%` : 'Run Simulation'}
+                </button>
+                {droppedMonteCarloVariables.length > 0 && (
+                  <p className="mt-2 text-xs text-yellow-800">
+                    <strong>Not simulated:</strong> {droppedMonteCarloVariables.map(entry => entry.name).join(', ')}. These variables are turned off in Variables and Ranges or do not apply to the current inputs, so they stay at their current values. Their distributions are kept.
+                  </p>
+                )}
+              </div>
+            </div>
+            
+            {monteCarloResults && (
+              <div className="mt-6 border-t pt-4">
+                {monteCarloResults.correlationsIgnored && (
+                  <div className="bg-yellow-50 border border-yellow-200 rounded-md p-3 mb-4">
+                    <p className="text-xs text-yellow-800">
+                      <strong>Correlations ignored:</strong> the entered correlations contradict each other, so the variables were drawn independently.
+                    </p>
+                  </div>
+                )}
+                
+                <div className="grid grid-cols-2 md:grid-cols-4 gap-4 mb-4">
+                  {(['p10', 'p50', 'p90'] as const).map(p => (
+                    <div key={p}>
+                      <div className="text-xs text-gray-500">IRR {p.toUpperCase()} ({monteCarloResults.horizon} Years)</div>
+                      <div className="text-lg font-semibold text-gray-900">
+                        {monteCarloResults.irr ? formatPercent(monteCarloResults.irr[p], 2) : 'n/a'}
+                      </div>
+                    </div>
+                  ))}
+                  <div>
+                    <div className="text-xs text-gray-500">Negative Cumulative Cash Flow</div>
+                    <div className={`text-lg font-semibold ${monteCarloResults.negativeCashFlowProbability > 0 ? 'text-red-600' : 'text-gray-900'}`}>
+                      {formatPercent(monteCarloResults.negativeCashFlowProbability, 1)}
+                    </div>
+                    <div className="text-xs text-gray-500">probability after {monteCarloResults.horizon} years</div>
+                  </div>
+                </div>
+                
+                <h3 className="text-sm font-semibold text-gray-700 mb-2">IRR Distribution</h3>
+                <ResponsiveContainer width="100%" height={250}>
+                  <BarChart
+                    data={monteCarloResults.irrHistogram.map(bin => ({ ...bin, label: `${bin.from.toFixed(1)}%` }))}
+                    barCategoryGap={1}
+                  >
+                    <CartesianGrid strokeDasharray="3 3" />
+                    <XAxis dataKey="label" />
+                    <YAxis allowDecimals={false} />
+                    <Tooltip 
+                      formatter={(value: number) => [value, 'Runs']}
+                      labelFormatter={(_, payload) => {
+                        const bin = payload?.[0]?.payload;
+                        return bin ? `IRR ${bin.from.toFixed(2)}% to ${bin.to.toFixed(2)}%` : '';
+                      }}
+                    />
+                    <Bar dataKey="count" fill="#0d9488" />
+                  </BarChart>
+                </ResponsiveContainer>
+                
+                <p className="mt-4 text-xs text-gray-500">
+                  {monteCarloResults.runs} runs.
+                  {monteCarloResults.irrUndefinedRuns > 0 && ` ${monteCarloResults.irrUndefinedRuns} runs without a unique IRR are left out of the IRR figures.`}
+                  {' '}The P10–P90 band and the median appear on the Net Worth and Cumulative Cash Flow charts.
+                </p>
+              </div>
+            )}
+          </div>
+        )}
+        
         {/* Detailed Year-by-Year Table */}
         <div className="bg-white rounded-lg shadow-md p-6 mb-6">
           <h2 className="text-xl font-semibold text-teal-700 mb-4 pb-2 border-b-2 border-teal-500">
             Detailed Annual Projections
+            {showRealValues && <span className="ml-2 text-sm font-normal text-gray-500">(real, in today's euros)</span>}
           </h2>
           
           <div className="overflow-x-auto">
@@ -2320,38 +7658,224 @@ const GermanPropertyAnalyzer: React.FC = () => {
                   <th className="text-left p-2 font-semibold text-teal-800">Date</th>
                   <th className="text-right p-2 font-semibold text-teal-800">Property Value</th>
                   <th className="text-right p-2 font-semibold text-teal-800">Loan Balance</th>
-                  <th className="text-right p-2 font-semibold text-teal-800">Effective Rent</th>
+                  <th className="text-right p-2 font-semibold text-teal-800">{isOwnerOccupied ? 'Saved Rent' : 'Effective Rent'}</th>
+                  {(inputs.rentRegime === 'free' || (!isOwnerOccupied && inputs.vacancyModel === 'turnover')) && (
+                    <th className="text-left p-2 font-semibold text-teal-800">Rent Cap</th>
+                  )}
+                  {!isOwnerOccupied && inputs.vacancyModel === 'turnover' && (
+                    <th className="text-right p-2 font-semibold text-teal-800">Re-letting</th>
+                  )}
                   <th className="text-right p-2 font-semibold text-teal-800">Operating Costs</th>
+                  {inputs.monthlyMaintenanceReserve > 0 && (
+                    <th className="text-right p-2 font-semibold text-teal-800">Deductible Costs</th>
+                  )}
+                  {inputs.capexEvents.length > 0 && (
+                    <th className="text-right p-2 font-semibold text-teal-800">CapEx</th>
+                  )}
                   <th className="text-right p-2 font-semibold text-teal-800">Interest Paid</th>
+                  <th className="text-right p-2 font-semibold text-teal-800">Depreciation</th>
+                  {inputs.specialRepaymentMode !== 'none' && (
+                    <th className="text-right p-2 font-semibold text-teal-800">Special Repayment</th>
+                  )}
+                  {inputs.loanTranches.length > 0 && displayProjection.trancheSchedules.map(({ tranche }) => (
+                    <React.Fragment key={tranche.id}>
+                      <th className="text-right p-2 font-semibold text-teal-800">{tranche.name} Interest</th>
+                      <th className="text-right p-2 font-semibold text-teal-800">{tranche.name} Principal</th>
+                    </React.Fragment>
+                  ))}
+                  {isCompanyOwned ? (
+                    <>
+                      <th className="text-right p-2 font-semibold text-teal-800">Corporate Tax</th>
+                      <th className="text-right p-2 font-semibold text-teal-800">Trade Tax</th>
+                      <th className="text-right p-2 font-semibold text-teal-800">Dividend Tax</th>
+                      <th className="text-right p-2 font-semibold text-teal-800">Retained Cash</th>
+                    </>
+                  ) : (
+                    <>
+                      <th className="text-right p-2 font-semibold text-teal-800">Income Tax Δ</th>
+                      <th className="text-right p-2 font-semibold text-teal-800">Soli Δ</th>
+                      <th className="text-right p-2 font-semibold text-teal-800">Church Tax Δ</th>
+                    </>
+                  )}
                   <th className="text-right p-2 font-semibold text-teal-800">Tax Savings</th>
                   <th className="text-right p-2 font-semibold text-teal-800">Net Cash Flow</th>
+                  <th className="text-right p-2 font-semibold text-teal-800">DSCR</th>
+                  <th className="text-right p-2 font-semibold text-teal-800">LTV</th>
                   <th className="text-right p-2 font-semibold text-teal-800">Equity</th>
+                  <th className="text-right p-2 font-semibold text-teal-800">Sale Proceeds</th>
                   <th className="text-right p-2 font-semibold text-teal-800">Net Worth</th>
                 </tr>
               </thead>
               <tbody>
-                {baseProjection.yearlyData.slice(0, projectionYears).map((year) => (
-                  <tr key={year.year} className="border-b border-gray-200 hover:bg-gray-50">
+                {displayProjection.yearlyData.slice(0, projectionYears).map((year) => (
+                  <tr
+                    key={year.year}
+                    className={`border-b border-gray-200 hover:bg-gray-50 ${year.year === displayProjection.summary.exitYear ? 'bg-yellow-50' : ''} ${year.propertySold ? 'text-gray-400' : ''}`}
+                  >
                     <td className="p-2">{year.year}</td>
                     <td className="p-2">{year.date}</td>
                     <td className="p-2 text-right">{formatCurrency(year.propertyValue)}</td>
                     <td className="p-2 text-right">{formatCurrency(year.outstandingLoan)}</td>
                     <td className="p-2 text-right">{formatCurrency(year.effectiveRent)}</td>
+                    {(inputs.rentRegime === 'free' || (!isOwnerOccupied && inputs.vacancyModel === 'turnover')) && (
+                      <td className="p-2 text-orange-700 text-xs">
+                        {year.rentCapBinding === 'kappungsgrenze' ? 'Kappungsgrenze' :
+                          year.rentCapBinding === 'mietspiegel' ? 'Mietspiegel' :
+                          year.rentCapBinding === 'mietpreisbremse' ? 'Mietpreisbremse' : ''}
+                      </td>
+                    )}
+                    {!isOwnerOccupied && inputs.vacancyModel === 'turnover' && (
+                      <td className="p-2 text-right" title={year.tenantTurnover ? 'New tenancy this year' : undefined}>
+                        {year.tenantTurnover ? formatCurrency(year.reLettingCosts) : ''}
+                      </td>
+                    )}
                     <td className="p-2 text-right">{formatCurrency(year.totalOperatingCosts)}</td>
+                    {inputs.monthlyMaintenanceReserve > 0 && (
+                      <td
+                        className="p-2 text-right"
+                        title={`Reserve paid: ${formatCurrency(year.maintenanceReserveContribution)}, spent by WEG: ${formatCurrency(year.maintenanceReserveSpent)}, balance: ${formatCurrency(year.maintenanceReserveBalance)}`}
+                      >
+                        {formatCurrency(year.deductibleOperatingCosts)}
+                      </td>
+                    )}
+                    {inputs.capexEvents.length > 0 && (
+                      <td
+                        className="p-2 text-right"
+                        title={[
+                          year.capexDeduction > 0 ? `Deducted as maintenance: ${formatCurrency(year.capexDeduction)}` : '',
+                          year.capexReclassified > 0 ? `Capitalized under the 15% rule: ${formatCurrency(year.capexReclassified)}` : ''
+                        ].filter(Boolean).join(', ') || undefined}
+                      >
+                        {formatCurrency(year.capitalExpenditure)}
+                        {year.capexReclassified > 0 && <span className="ml-1 text-xs text-amber-600">15%</span>}
+                      </td>
+                    )}
                     <td className="p-2 text-right">{formatCurrency(year.interestPaid)}</td>
-                    <td className={`p-2 text-right ${year.taxSavings >= 0 ? 'text-green-600' : 'text-red-600'}`}>
+                    <td className="p-2 text-right" title={year.renovationDeduction > 0 ? `Plus renovation deducted as maintenance: ${formatCurrency(year.renovationDeduction)}` : undefined}>
+                      {formatCurrency(year.depreciation)}
+                    </td>
+                    {inputs.specialRepaymentMode !== 'none' && (
+                      <td className="p-2 text-right">{formatCurrency(year.specialRepayment)}</td>
+                    )}
+                    {inputs.loanTranches.length > 0 && year.loanTranches.map((tranche, idx) => (
+                      <React.Fragment key={idx}>
+                        <td className="p-2 text-right">{formatCurrency(tranche.interestPaid)}</td>
+                        <td className="p-2 text-right">{formatCurrency(tranche.principalRepaid)}</td>
+                      </React.Fragment>
+                    ))}
+                    {isCompanyOwned ? (
+                      <>
+                        <td className="p-2 text-right">{formatCurrency(year.corporateTax)}</td>
+                        <td className="p-2 text-right">{formatCurrency(year.tradeTax)}</td>
+                        <td className="p-2 text-right">{formatCurrency(year.dividendTax)}</td>
+                        <td className="p-2 text-right">{formatCurrency(year.retainedCash)}</td>
+                      </>
+                    ) : (
+                      <>
+                        <td className={`p-2 text-right ${year.incomeTaxSavings >= 0 ? 'text-green-600' : 'text-red-600'}`}>
+                          {formatCurrency(year.incomeTaxSavings)}
+                        </td>
+                        <td className={`p-2 text-right ${year.solidarityTaxSavings >= 0 ? 'text-green-600' : 'text-red-600'}`}>
+                          {formatCurrency(year.solidarityTaxSavings)}
+                        </td>
+                        <td className={`p-2 text-right ${year.churchTaxSavings >= 0 ? 'text-green-600' : 'text-red-600'}`}>
+                          {formatCurrency(year.churchTaxSavings)}
+                        </td>
+                      </>
+                    )}
+                    <td
+                      className={`p-2 text-right ${year.taxSavings >= 0 ? 'text-green-600' : 'text-red-600'}`}
+                      title={year.lossCarryforward > 0 ? `Loss carried forward (§10d EStG): ${formatCurrency(year.lossCarryforward)}` : undefined}
+                    >
                       {formatCurrency(year.taxSavings)}
                     </td>
                     <td className={`p-2 text-right font-medium ${year.netCashFlow >= 0 ? 'text-green-600' : 'text-red-600'}`}>
                       {formatCurrency(year.netCashFlow)}
                     </td>
+                    <td className={`p-2 text-right ${year.dscr !== null && year.dscr < 1 ? 'text-red-600' : ''}`}>
+                      {year.dscr !== null ? year.dscr.toFixed(2) : '–'}
+                    </td>
+                    <td className="p-2 text-right">{formatPercent(year.ltv, 0)}</td>
                     <td className="p-2 text-right">{formatCurrency(year.equity)}</td>
+                    <td
+                      className="p-2 text-right"
+                      title={year.speculationTax > 0 ? `Speculation tax: ${formatCurrency(year.speculationTax)}`
+                        : year.saleCompanyTax > 0 ? `Corporate, trade and dividend tax: ${formatCurrency(year.saleCompanyTax)}` : undefined}
+                    >
+                      {formatCurrency(year.saleProceeds)}
+                    </td>
                     <td className="p-2 text-right font-medium">{formatCurrency(year.netWorth)}</td>
                   </tr>
                 ))}
               </tbody>
             </table>
           </div>
+          
+          {/* Monthly Amortization Schedule */}
+          <div className="mt-6 border-t pt-4">
+            <button
+              onClick={() => setShowMonthlySchedule(!showMonthlySchedule)}
+              className="text-sm font-medium text-teal-700 hover:text-teal-900"
+            >
+              {showMonthlySchedule ? '▾' : '▸'} Monthly Amortization Schedule
+            </button>
+            
+            {showMonthlySchedule && inputs.loanTranches.length > 0 && (
+              <div className="mt-3">
+                <select
+                  value={scheduleTranche}
+                  onChange={(e) => setScheduleTranche(e.target.value === 'all' ? 'all' : Number(e.target.value))}
+                  className="px-3 py-1 text-sm border border-gray-300 rounded-md focus:ring-teal-500 focus:border-teal-500"
+                >
+                  <option value="all">All Tranches</option>
+                  {baseProjection.trancheSchedules.map(({ tranche }) => (
+                    <option key={tranche.id} value={tranche.id}>{tranche.name}</option>
+                  ))}
+                </select>
+              </div>
+            )}
+            
+            {showMonthlySchedule && (
+              <div className="overflow-x-auto mt-4" style={{ maxHeight: '480px', overflowY: 'auto' }}>
+                <table className="w-full text-xs">
+                  <thead>
+                    <tr className="bg-teal-50 border-b border-teal-200">
+                      <th className="text-left p-2 font-semibold text-teal-800">Month</th>
+                      <th className="text-left p-2 font-semibold text-teal-800">Date</th>
+                      <th className="text-right p-2 font-semibold text-teal-800">Interest Rate</th>
+                      <th className="text-right p-2 font-semibold text-teal-800">Opening Balance</th>
+                      <th className="text-right p-2 font-semibold text-teal-800">Payment</th>
+                      <th className="text-right p-2 font-semibold text-teal-800">Interest</th>
+                      <th className="text-right p-2 font-semibold text-teal-800">Principal</th>
+                      <th className="text-right p-2 font-semibold text-teal-800">Grant</th>
+                      <th className="text-right p-2 font-semibold text-teal-800">Special Repayment</th>
+                      <th className="text-right p-2 font-semibold text-teal-800">Closing Balance</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {(baseProjection.trancheSchedules.find(t => t.tranche.id === scheduleTranche)?.schedule ?? baseProjection.loanSchedule)
+                      .slice(0, projectionYears * 12).map((entry) => (
+                      <tr
+                        key={entry.month}
+                        className={`border-b border-gray-200 hover:bg-gray-50 ${entry.month % 12 === 0 ? 'border-b-teal-200' : ''}`}
+                      >
+                        <td className="p-2">{entry.month}</td>
+                        <td className="p-2">{entry.date}</td>
+                        <td className="p-2 text-right">{formatPercent(entry.interestRate)}</td>
+                        <td className="p-2 text-right">{formatCurrency(entry.openingBalance)}</td>
+                        <td className="p-2 text-right">{formatCurrency(entry.payment)}</td>
+                        <td className="p-2 text-right">{formatCurrency(entry.interest)}</td>
+                        <td className="p-2 text-right">{formatCurrency(entry.principal)}</td>
+                        <td className="p-2 text-right">{formatCurrency(entry.grant)}</td>
+                        <td className="p-2 text-right">{formatCurrency(entry.specialRepayment)}</td>
+                        <td className="p-2 text-right">{formatCurrency(entry.closingBalance)}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            )}
+          </div>
         </div>
         
         {/* Disclaimer */}